@@ -0,0 +1,6 @@
+#!/bin/bash
+# Long-running daemon: one browser session, internal scheduler, own locking
+# Replaces the cron + run-4x.sh setup. Stop it with SIGTERM (kill <pid>).
+
+cd /home/distiller/projects/tockstalk-bot
+exec xvfb-run -a --server-args="-screen 0 1920x1080x24" node src/bot.js --daemon
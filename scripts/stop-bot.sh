@@ -1,5 +1,6 @@
 #!/bin/bash
-# Disable cron jobs after successful booking
+# Remove every tockstalk-bot cron job. Run it by hand: the bot never calls it, and once every
+# watchlist target is booked it pauses monitoring instead (see "Stop the Bot" in README.md).
 echo "Disabling tockstalk cron jobs..."
 crontab -l | grep -v "tockstalk-bot" > /tmp/cron-no-tockstalk
 crontab /tmp/cron-no-tockstalk
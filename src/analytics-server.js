@@ -1,27 +1,313 @@
+require('dotenv').config();
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
+const store = require('./store');
+const analytics = require('./analytics');
+const { RELEASE_TIMEZONE } = require('./scheduler');
+const { isValidTimeZone } = require('./timezone');
+const { learnCadence } = require('./releases');
+const { getChallengeStatus } = require('./challenge');
+const intervention = require('./intervention');
+const control = require('./control');
+const { addTarget, updateTarget, removeTarget } = require('./watchlist');
+const health = require('./health');
+const bookings = require('./bookings');
+const waitlists = require('./waitlists');
+const { notify } = require('./notifiers');
 
 const app = express();
 const PORT = 3002;
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const ANALYTICS_FILE = path.join(DATA_DIR, 'analytics.json');
+const DEFAULT_RANGE_DAYS = 30;
+// Release patterns (monthly drops especially) need a longer history
+const PREDICTION_RANGE_DAYS = 180;
+const MAX_PAGE_SIZE = 10000;
+
+// Import legacy analytics.json / cloudflare-blocks.json on first start
+try {
+  store.migrateLegacy();
+} catch (error) {
+  console.error('Error migrating legacy analytics:', error);
+}
 
 // Serve static files from src directory
 app.use(express.static(__dirname));
 
+// Time range and paging from ?from=&to=&offset=&limit=&order= (defaults to the last 30 days)
+function parseRange(req, rangeDays = DEFAULT_RANGE_DAYS) {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - rangeDays * 86400000);
+  if (isNaN(from) || isNaN(to)) {
+    throw new RangeError('Invalid from/to date');
+  }
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    offset: Math.max(0, parseInt(req.query.offset, 10) || 0),
+    limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 1000)),
+    order: req.query.order === 'desc' ? 'desc' : 'asc'
+  };
+}
+
+function sendQueryError(res, error, what) {
+  if (error instanceof RangeError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error reading ${what}:`, error);
+  res.status(500).json({ error: `Failed to read ${what}` });
+}
+
+function parseTimeZone(req) {
+  const timeZone = req.query.tz || RELEASE_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    throw new RangeError(`Invalid timezone: ${timeZone}`);
+  }
+  return timeZone;
+}
+
+// JSON by default, CSV with ?format=csv
+function sendRows(req, res, rows, name, json = rows) {
+  if (req.query.format === 'csv') {
+    res.type('text/csv');
+    res.attachment(`${name}.csv`);
+    return res.send(analytics.toCsv(rows));
+  }
+  res.json(json);
+}
+
+// Paginated collection endpoints: { total, offset, limit, from, to, items }
+function collectionEndpoint(collection) {
+  return async (req, res) => {
+    try {
+      const range = parseRange(req);
+      const result = await store.query(collection, {
+        ...range,
+        filter: analytics.buildFilter(req.query)
+      });
+      sendRows(req, res, result.items, collection, { ...result, from: range.from, to: range.to });
+    } catch (error) {
+      sendQueryError(res, error, collection);
+    }
+  };
+}
+
+// Aggregate endpoints: filter by ?from=&to=&target=&peak=, bucket times in ?tz=
+function aggregateEndpoint(name, collection, aggregate, rangeDays) {
+  return async (req, res) => {
+    try {
+      const range = parseRange(req, rangeDays);
+      const timeZone = parseTimeZone(req);
+      const { items } = await store.query(collection, {
+        from: range.from,
+        to: range.to,
+        limit: Infinity,
+        filter: collection === 'analytics' ? analytics.buildFilter(req.query) : null
+      });
+      const result = aggregate(items, { timeZone, query: req.query });
+      sendRows(req, res, [].concat(result), name, result);
+    } catch (error) {
+      sendQueryError(res, error, name);
+    }
+  };
+}
+
 // API endpoint to get analytics data
-app.get('/api/analytics', (req, res) => {
+app.get('/api/analytics', collectionEndpoint('analytics'));
+app.get('/api/runs', collectionEndpoint('runs'));
+app.get('/api/cloudflare', collectionEndpoint('cloudflare'));
+
+app.get('/api/analytics/summary', aggregateEndpoint('summary', 'analytics',
+  items => analytics.summarize(items)));
+app.get('/api/analytics/hourly', aggregateEndpoint('hourly', 'analytics',
+  (items, { timeZone }) => analytics.availabilityByHour(items, timeZone)));
+app.get('/api/analytics/weekday', aggregateEndpoint('weekday', 'analytics',
+  (items, { timeZone }) => analytics.availabilityByWeekday(items, timeZone)));
+app.get('/api/analytics/first-seen', aggregateEndpoint('first-seen', 'analytics',
+  items => analytics.firstSeenByDate(items)));
+app.get('/api/analytics/slot-durations', aggregateEndpoint('slot-durations', 'analytics',
+  items => analytics.slotIntervals(items)));
+app.get('/api/releases/events', collectionEndpoint('slots'));
+app.get('/api/releases/predictions', aggregateEndpoint('release-predictions', 'slots',
+  (items, { timeZone, query }) => learnCadence(items, { timeZone, target: query.target }), PREDICTION_RANGE_DAYS));
+app.get('/api/analytics/cloudflare', aggregateEndpoint('cloudflare-rates', 'cloudflare',
+  (items, { timeZone, query }) => analytics.cloudflareRates(items, { bucket: query.bucket, timeZone })));
+app.get('/api/challenges', collectionEndpoint('challenges'));
+
+// Current backoff/cooldown level and recent block rate
+app.get('/api/challenges/state', (req, res) => {
   try {
-    if (!fs.existsSync(ANALYTICS_FILE)) {
-      return res.json([]);
+    res.json(getChallengeStatus());
+  } catch (error) {
+    sendQueryError(res, error, 'challenge state');
+  }
+});
+
+// Remote intervention: the /intervene?key=... link from the alert is the only way in
+function interventionAuth(req, res, next) {
+  const session = intervention.authorize(req.query.key || req.get('X-Intervention-Key'));
+  if (!session) {
+    return res.status(403).json({ error: 'No open intervention session for this key' });
+  }
+  req.intervention = session;
+  next();
+}
+
+app.get('/intervene', (req, res) => {
+  res.sendFile(path.join(__dirname, 'intervene.html'));
+});
+
+app.get('/api/intervention', interventionAuth, (req, res) => {
+  res.json(intervention.publicSession(req.intervention));
+});
+
+app.get('/api/intervention/screen.png', interventionAuth, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.sendFile(intervention.screenFile(req.intervention), error => {
+    if (error && !res.headersSent) res.status(404).json({ error: 'No screenshot yet' });
+  });
+});
+
+app.post('/api/intervention/commands', express.json(), interventionAuth, (req, res) => {
+  try {
+    res.status(202).json(intervention.enqueueCommand(req.intervention, req.body));
+  } catch (error) {
+    sendQueryError(res, error, 'intervention command');
+  }
+});
+
+// Control panel: every endpoint needs CONTROL_TOKEN as a bearer token (or X-Control-Token)
+function controlAuth(req, res, next) {
+  if (!control.CONTROL_TOKEN) {
+    return res.status(503).json({ error: 'Control panel is off - set CONTROL_TOKEN to enable it' });
+  }
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.get('X-Control-Token');
+  if (!control.authorize(token)) {
+    return res.status(401).json({ error: 'Invalid control token' });
+  }
+  next();
+}
+
+// Control endpoints reply with the updated status, so the page can redraw from it
+function controlEndpoint(what, action) {
+  return (req, res) => {
+    try {
+      const result = action(req);
+      res.json({ ...result, status: control.controlStatus() });
+    } catch (error) {
+      sendQueryError(res, error, what);
     }
-    const data = fs.readFileSync(ANALYTICS_FILE, 'utf-8');
-    const analytics = data.trim() ? JSON.parse(data) : [];
-    res.json(analytics);
+  };
+}
+
+app.get('/control', (req, res) => {
+  res.sendFile(path.join(__dirname, 'control.html'));
+});
+
+app.use('/api/control', express.json(), controlAuth);
+
+app.get('/api/control/status', controlEndpoint('control status', () => ({})));
+
+app.post('/api/control/pause', controlEndpoint('pause', () => {
+  control.pause('manual');
+  return {};
+}));
+
+app.post('/api/control/resume', controlEndpoint('resume', () => {
+  control.resume();
+  return {};
+}));
+
+app.post('/api/control/check', (req, res) => {
+  try {
+    const startedBy = control.startCheck();
+    if (!startedBy) {
+      return res.status(409).json({ error: 'A check is already running', status: control.controlStatus() });
+    }
+    res.status(202).json({ startedBy, status: control.controlStatus() });
+  } catch (error) {
+    sendQueryError(res, error, 'check');
+  }
+});
+
+app.put('/api/control/dry-run', controlEndpoint('dry run', req => {
+  control.setDryRun(req.body.dryRun === undefined ? null : req.body.dryRun);
+  return {};
+}));
+
+app.post('/api/control/targets', controlEndpoint('target', req => ({
+  target: addTarget(control.targetFields(req.body))
+})));
+
+app.patch('/api/control/targets/:id', controlEndpoint('target', req => {
+  const { id, ...changes } = control.targetFields(req.body);
+  return { target: updateTarget(req.params.id, changes) };
+}));
+
+app.delete('/api/control/targets/:id', controlEndpoint('target', req => ({
+  removed: removeTarget(req.params.id)
+})));
+
+// Tock sent a waitlist notification (e.g. a forwarded notify email): check now, those targets
+// first, and keep polling at the peak cadence for a while. Body: { target, date }, both optional.
+app.post('/api/control/waitlist/notify', async (req, res) => {
+  try {
+    const notified = waitlists.recordNotification({ target: req.body.target || null, date: req.body.date || null });
+    const startedBy = control.startCheck();
+    const what = notified.length > 0 ? notified.map(n => `${n.target} ${n.date}`).join(', ') : 'no joined waitlist matches';
+    await notify(`🔔 Tock waitlist notification (${what}) - ${startedBy ? 'checking now' : 'a check is already running'}`, 'availability');
+    res.status(202).json({ notified, startedBy, status: control.controlStatus() });
+  } catch (error) {
+    sendQueryError(res, error, 'waitlist notification');
+  }
+});
+
+// Daily rollups of records older than the retention period
+app.get('/api/rollups/:collection', (req, res) => {
+  try {
+    const range = parseRange(req);
+    res.json(store.readRollups(req.params.collection, range));
+  } catch (error) {
+    if (/Unknown collection/.test(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    sendQueryError(res, error, 'rollups');
+  }
+});
+
+// Bookings ledger and its calendar feed: CALENDAR_FEED_TOKEN or CONTROL_TOKEN as ?token= (or the
+// control panel's headers). Not served at all until one of them is set.
+function feedAuth(req, res, next) {
+  if (!bookings.FEED_ENABLED) {
+    return res.status(404).json({ error: 'Bookings feed is off - set CALENDAR_FEED_TOKEN to enable it' });
+  }
+  const header = req.get('Authorization') || '';
+  const token = req.query.token || (header.startsWith('Bearer ') ? header.slice(7) : req.get('X-Control-Token'));
+  if (!bookings.authorizeFeed(token)) {
+    return res.status(401).json({ error: 'Missing or wrong feed token' });
+  }
+  next();
+}
+
+app.get('/api/bookings', feedAuth, collectionEndpoint('bookings'));
+
+app.get('/bookings.ics', feedAuth, (req, res) => {
+  try {
+    res.type('text/calendar; charset=utf-8');
+    res.send(bookings.bookingsIcs(bookings.listBookings()));
+  } catch (error) {
+    console.error('Error building the bookings feed:', error);
+    res.status(500).json({ error: 'Failed to build the bookings feed' });
+  }
+});
+
+// For uptime monitors: 503 once checks have stopped, 200 (with the details) otherwise
+app.get('/healthz', (req, res) => {
+  try {
+    const report = health.healthReport();
+    res.status(report.status === 'down' ? 503 : 200).json(report);
   } catch (error) {
-    console.error('Error reading analytics:', error);
-    res.status(500).json({ error: 'Failed to read analytics data' });
+    console.error('Error building health report:', error);
+    res.status(500).json({ status: 'unknown', error: error.message });
   }
 });
 
@@ -33,4 +319,5 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
   console.log(`📊 Analytics dashboard running at http://localhost:${PORT}`);
   console.log(`💡 Open this URL in your browser to view availability patterns`);
+  health.startWatchdog();
 });
@@ -0,0 +1,184 @@
+// Server-side aggregation over the analytics and Cloudflare collections.
+// Every function takes records already filtered by date range/target/peak.
+const { zonedParts } = require('./timezone');
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ?target=&peak=true|false -> record filter for store.query
+function buildFilter({ target, peak } = {}) {
+  const peakOnly = peak === 'true' || peak === 'peak';
+  const offPeakOnly = peak === 'false' || peak === 'off-peak';
+  return record =>
+    (!target || record.target === target) &&
+    (!peakOnly || !!record.isPeakWindow) &&
+    (!offPeakOnly || !record.isPeakWindow);
+}
+
+function rate(part, whole) {
+  return whole ? Number((part / whole).toFixed(4)) : 0;
+}
+
+function hasAvailability(record) {
+  return record.totalAvailableDays > 0;
+}
+
+function summarize(records) {
+  const checks = records.length;
+  const withAvailability = records.filter(hasAvailability).length;
+  const peakChecks = records.filter(r => r.isPeakWindow).length;
+  return {
+    checks,
+    withAvailability,
+    availabilityRate: rate(withAvailability, checks),
+    peakChecks,
+    offPeakChecks: checks - peakChecks,
+    totalTimeSlots: records.reduce((sum, r) => sum + (r.totalTimeSlots || 0), 0),
+    matches: records.filter(r => r.matchedSlot).length,
+    cloudflareBlocked: records.filter(r => r.cloudflareBlocked).length,
+    firstCheck: checks ? records[0].timestamp : null,
+    lastCheck: checks ? records[checks - 1].timestamp : null
+  };
+}
+
+// Checks and availability by hour of day in `timeZone`
+function availabilityByHour(records, timeZone) {
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, checks: 0, withAvailability: 0 }));
+  for (const record of records) {
+    const bucket = hours[zonedParts(new Date(record.timestamp), timeZone).hour];
+    bucket.checks += 1;
+    if (hasAvailability(record)) bucket.withAvailability += 1;
+  }
+  return hours.map(h => ({ ...h, rate: rate(h.withAvailability, h.checks) }));
+}
+
+// Checks and availability by weekday (of the check, in `timeZone`)
+function availabilityByWeekday(records, timeZone) {
+  const days = WEEKDAY_NAMES.map((name, weekday) => ({ weekday, name, checks: 0, withAvailability: 0 }));
+  for (const record of records) {
+    const bucket = days[zonedParts(new Date(record.timestamp), timeZone).weekday];
+    bucket.checks += 1;
+    if (hasAvailability(record)) bucket.withAvailability += 1;
+  }
+  return days.map(d => ({ ...d, rate: rate(d.withAvailability, d.checks) }));
+}
+
+function reservationDate(day) {
+  return day.isoDate || day.date;
+}
+
+// When each reservation date was first seen with open slots
+function firstSeenByDate(records) {
+  const firstSeen = {};
+  for (const record of records) {
+    for (const day of record.availableDays || []) {
+      const key = `${record.target || ''}|${reservationDate(day)}`;
+      if (!firstSeen[key]) {
+        firstSeen[key] = {
+          target: record.target || null,
+          date: reservationDate(day),
+          label: day.date,
+          firstSeenAt: record.timestamp,
+          firstSeenSlots: (day.timeSlots || []).join(' ')
+        };
+      }
+    }
+  }
+  return Object.values(firstSeen).sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// How long each (date, time) slot stayed open: consecutive checks of the same target
+// that list it form one interval, closed by the first check that doesn't.
+function slotIntervals(records) {
+  const open = {};
+  const intervals = [];
+
+  for (const record of records) {
+    const target = record.target || null;
+    const seen = new Set();
+
+    for (const day of record.availableDays || []) {
+      for (const time of day.timeSlots || []) {
+        const key = `${target}|${reservationDate(day)}|${time}`;
+        seen.add(key);
+        if (open[key]) {
+          open[key].lastSeenAt = record.timestamp;
+          open[key].checks += 1;
+        } else {
+          open[key] = {
+            target,
+            date: reservationDate(day),
+            time,
+            appearedAt: record.timestamp,
+            lastSeenAt: record.timestamp,
+            vanishedAt: null,
+            checks: 1
+          };
+        }
+      }
+    }
+
+    for (const key of Object.keys(open)) {
+      if (open[key].target === target && !seen.has(key)) {
+        intervals.push({ ...open[key], vanishedAt: record.timestamp });
+        delete open[key];
+      }
+    }
+  }
+
+  return intervals
+    .concat(Object.values(open))
+    .map(interval => ({
+      ...interval,
+      // Upper bound: until the check that no longer listed it (or the last sighting if still open)
+      durationMs: new Date(interval.vanishedAt || interval.lastSeenAt) - new Date(interval.appearedAt)
+    }))
+    .sort((a, b) => (a.appearedAt < b.appearedAt ? -1 : a.appearedAt > b.appearedAt ? 1 : 0));
+}
+
+// Cloudflare block rate per day or hour (in `timeZone`)
+function cloudflareRates(records, { bucket = 'day', timeZone }) {
+  const buckets = {};
+  for (const record of records) {
+    const p = zonedParts(new Date(record.timestamp), timeZone);
+    const day = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    const period = bucket === 'hour' ? `${day} ${String(p.hour).padStart(2, '0')}:00` : day;
+    const entry = buckets[period] || (buckets[period] = { period, checks: 0, blocked: 0 });
+    entry.checks += 1;
+    if (record.blocked) entry.blocked += 1;
+  }
+  return Object.values(buckets)
+    .map(b => ({ ...b, rate: rate(b.blocked, b.checks) }))
+    .sort((a, b) => (a.period < b.period ? -1 : 1));
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of flat-ish objects -> CSV with a header row (nested values become JSON)
+function toCsv(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvValue(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  buildFilter,
+  summarize,
+  availabilityByHour,
+  availabilityByWeekday,
+  firstSeenByDate,
+  slotIntervals,
+  cloudflareRates,
+  toCsv
+};
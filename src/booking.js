@@ -0,0 +1,288 @@
+// Booking state machine for one ranked candidate: open its day, pick the time, check that
+// the checkout page shows what we asked for, enter the CVV, pay and confirm.
+// Every failure is classified so the caller knows whether another candidate could still work.
+const { parseDateLabel, parseTime, formatMinutes } = require('./matcher');
+const { daySelector, textVisible, challengeVisible } = require('./site-profile');
+const { getWatchlistState } = require('./watchlist');
+const { listBookings } = require('./bookings');
+const { emitEvent } = require('./events');
+
+const MAX_TOTAL_SPEND = process.env.MAX_TOTAL_SPEND ? Number(process.env.MAX_TOTAL_SPEND) : null;
+// On unless set to false: only what the checkout summary actually shows can fail the check
+const VERIFY_CHECKOUT = process.env.VERIFY_CHECKOUT !== 'false';
+const CHECKOUT_TIMEOUT_MS = 15000;
+const CVV_WAIT_MS = 5000;
+const POLL_MS = 250;
+
+// retry: another candidate may still work. abort: stop trying this target.
+// purchase-unconfirmed: the purchase was submitted but never confirmed, so it may have gone through.
+const FAILURES = {
+  'slot-taken': { retry: true },
+  'hold-expired': { retry: true },
+  'checkout-mismatch': { retry: true },
+  'over-budget': { retry: true },
+  'price-unknown': { retry: false },
+  'error': { retry: true },
+  'payment-declined': { retry: false },
+  'cvv-missing': { retry: false },
+  'challenge': { retry: false, abort: true },
+  'purchase-unconfirmed': { retry: false, abort: true }
+};
+// What the page can tell us for certain after the purchase was submitted
+const PURCHASE_OUTCOMES = ['hold-expired', 'payment-declined', 'slot-taken'];
+
+class BookingFailure extends Error {
+  constructor(reason, message, details = {}) {
+    super(message);
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+// "Total $1,250.00" -> 1250 (the first currency amount, else the last number)
+function parsePrice(text) {
+  const value = String(text || '');
+  const currency = value.match(/[$€£]\s*(\d[\d,]*(?:\.\d{1,2})?)/);
+  const amounts = value.match(/\d[\d,]*(?:\.\d{1,2})?/g);
+  const amount = currency ? currency[1] : amounts && amounts[amounts.length - 1];
+  return amount ? Number(amount.replace(/,/g, '')) : null;
+}
+
+// "Party of 2" / "2 guests" / "for 2 people"
+function parsePartySize(text) {
+  const match = String(text || '').match(/(?:party of|table for|for)\s+(\d+)|(\d+)\s+(?:guests?|people|persons|diners)/i);
+  return match ? Number(match[1] || match[2]) : null;
+}
+
+function parseTimes(text) {
+  const times = String(text || '').match(/\b\d{1,2}(?::\d{2})?\s*(?:am|pm)\b/gi) || [];
+  return times.map(parseTime).filter(minutes => minutes !== null);
+}
+
+// Compares the checkout page's summary with the candidate. Only fields found on the page can
+// fail: `problems` are mismatches, `unverified` the fields that weren't shown.
+function verifyCheckout({ summary, total }, { candidate, partySize }) {
+  const problems = [];
+  const unverified = [];
+
+  const date = parseDateLabel(summary);
+  if (date === null) {
+    unverified.push('date');
+  } else if (date !== candidate.date) {
+    problems.push(`date ${date} instead of ${candidate.date}`);
+  }
+  const times = parseTimes(summary);
+  if (times.length === 0) {
+    unverified.push('time');
+  } else if (!times.includes(candidate.minutes)) {
+    problems.push(`time ${times.map(formatMinutes).join('/')} instead of ${candidate.time}`);
+  }
+  const size = parsePartySize(summary);
+  if (size === null) {
+    unverified.push('party size');
+  } else if (size !== partySize) {
+    problems.push(`party of ${size} instead of ${partySize}`);
+  }
+  return { problems, unverified, price: parsePrice(total) };
+}
+
+// Most we may pay for this target: its own maxPrice and what's left of MAX_TOTAL_SPEND
+function spendLimit(target) {
+  const limits = [];
+  if (target.maxPrice !== undefined && target.maxPrice !== null) {
+    limits.push(Number(target.maxPrice));
+  }
+  if (MAX_TOTAL_SPEND !== null) {
+    limits.push(Math.max(0, MAX_TOTAL_SPEND - totalSpent()));
+  }
+  return limits.length ? Math.min(...limits) : null;
+}
+
+// Everything charged so far: the bookings ledger (upgrades included, since the earlier booking
+// stays paid until it is cancelled), plus targets retired before the ledger existed
+function totalSpent() {
+  const bookings = listBookings();
+  const recorded = new Set(bookings.map(b => b.confirmationId).filter(Boolean));
+  const legacy = Object.values(getWatchlistState().retired).filter(r => !recorded.has(r.confirmationId));
+  return [...bookings, ...legacy].reduce((sum, b) => sum + (Number(b.price) || 0), 0);
+}
+
+// Poll until one of `checks` returns a truthy value; resolves with its name (or null on timeout)
+async function waitForAny(page, checks, timeout) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    for (const [name, check] of Object.entries(checks)) {
+      if (await check()) return name;
+    }
+    await page.waitForTimeout(POLL_MS);
+  }
+  return null;
+}
+
+async function textOf(page, selector) {
+  const element = page.locator(selector).first();
+  return await element.count() > 0 ? (await element.textContent()).trim() : null;
+}
+
+// The time slot showing exactly `minutes` (text matching would take "11:00 PM" for "1:00 PM")
+async function findTimeSlot(page, selector, minutes) {
+  const slots = page.locator(selector);
+  const texts = await slots.allTextContents();
+  const index = texts.findIndex(text => parseTime(text) === minutes);
+  return index === -1 ? null : slots.nth(index);
+}
+
+// helpers: { log(message), reopenCalendar(), showMonth(month) -> true once shown, waitOutChallenge() -> true once cleared,
+//   joinWaitlist() (optional, called while the "Set Notify" modal for a taken slot is open) }
+async function bookCandidate(page, { site, target, candidate, maxPrice, cvv, helpers }) {
+  const { selectors, text } = site;
+  const { dateLabel, time } = candidate;
+  const booking = { confirmationId: null, price: null };
+  let purchaseSubmitted = false;
+
+  const steps = {
+    'open-day': async () => {
+      // A failed attempt may have left us on the checkout page
+      if (await page.locator(selectors.calendarDay).count() === 0) {
+        await helpers.reopenCalendar();
+        await page.waitForSelector(selectors.calendarDay, { state: 'attached', timeout: CHECKOUT_TIMEOUT_MS });
+      }
+      let day = page.locator(daySelector(site, dateLabel)).first();
+      // The calendar may have paged past the candidate's month since it was read
+      if (await day.count() === 0 && candidate.month && helpers.showMonth) {
+        await helpers.showMonth(candidate.month);
+        day = page.locator(daySelector(site, dateLabel)).first();
+      }
+      if (await day.count() === 0) {
+        throw new BookingFailure('slot-taken', 'Day no longer available');
+      }
+      await day.click();
+      await page.waitForTimeout(800);
+      return 'select-time';
+    },
+
+    'select-time': async () => {
+      const slot = await findTimeSlot(page, selectors.timeSlot, candidate.minutes);
+      if (!slot) {
+        throw new BookingFailure('slot-taken', 'Slot disappeared');
+      }
+      await slot.click();
+      return 'checkout';
+    },
+
+    'checkout': async () => {
+      const landed = await waitForAny(page, {
+        challenge: () => challengeVisible(site, page),
+        taken: () => textVisible(page, text.notifyModal),
+        checkout: async () => await page.locator(selectors.purchaseButton).count() > 0
+      }, CHECKOUT_TIMEOUT_MS);
+
+      if (landed === 'challenge') {
+        if (!await helpers.waitOutChallenge()) {
+          throw new BookingFailure('challenge', 'Cloudflare challenge not solved');
+        }
+        return 'checkout';
+      }
+      if (landed === 'taken') {
+        if (helpers.joinWaitlist) {
+          await helpers.joinWaitlist();
+        }
+        await page.keyboard.press('Escape'); // Close the "Set Notify" modal
+        await page.waitForTimeout(500);
+        throw new BookingFailure('slot-taken', 'Slot already taken');
+      }
+      if (!landed) {
+        throw new BookingFailure('error', 'Checkout page did not load');
+      }
+      return 'verify';
+    },
+
+    'verify': async () => {
+      const summary = await textOf(page, selectors.checkoutSummary);
+      const total = await textOf(page, selectors.checkoutTotal);
+      const { problems, unverified, price } = verifyCheckout({ summary, total }, { candidate, partySize: target.partySize });
+      booking.price = price;
+
+      if (VERIFY_CHECKOUT) {
+        if (problems.length > 0) {
+          throw new BookingFailure('checkout-mismatch', `Checkout shows ${problems.join(', ')}`, { summary, total });
+        }
+        if (unverified.length > 0) {
+          helpers.log(`⚠️  Cannot verify the ${unverified.join(', ')} - not shown on the checkout page (check the checkoutSummary selector)`);
+        }
+      }
+      // The spend cap applies whether or not the rest is verified: no readable total, no purchase
+      if (maxPrice !== null && price === null) {
+        throw new BookingFailure('price-unknown', `No total found on the checkout page, so the $${maxPrice} spend limit cannot be checked`, { total });
+      }
+      if (maxPrice !== null && price > maxPrice) {
+        throw new BookingFailure('over-budget', `Total $${price} is over the $${maxPrice} spend limit`, { price, maxPrice });
+      }
+      return cvv ? 'enter-cvv' : 'purchase';
+    },
+
+    'enter-cvv': async () => {
+      const cvvInput = page.frameLocator(selectors.cvvFrame).locator(selectors.cvvInput);
+      const found = await waitForAny(page, { cvv: async () => await cvvInput.count() > 0 }, CVV_WAIT_MS);
+      if (!found) {
+        throw new BookingFailure('cvv-missing', 'CVV field never appeared on the checkout page');
+      }
+      helpers.log('💳 Entering CVV...');
+      await cvvInput.fill(cvv);
+      await page.waitForTimeout(500);
+      return 'purchase';
+    },
+
+    'purchase': async () => {
+      helpers.log('🎯 Submitting reservation...');
+      await page.click(selectors.purchaseButton, { timeout: 10000 });
+      purchaseSubmitted = true;
+
+      const result = await waitForAny(page, {
+        confirmed: async () => await page.locator(selectors.confirmationId).count() > 0,
+        'hold-expired': () => textVisible(page, text.holdExpired),
+        'payment-declined': () => textVisible(page, text.paymentDeclined),
+        'slot-taken': () => textVisible(page, text.slotUnavailable)
+      }, CHECKOUT_TIMEOUT_MS);
+
+      if (result === 'confirmed') {
+        booking.confirmationId = (await page.textContent(selectors.confirmationId)).trim();
+        return 'confirmed';
+      }
+      if (result) {
+        throw new BookingFailure(result, `Purchase failed: ${result.replace('-', ' ')}`);
+      }
+      throw new BookingFailure('purchase-unconfirmed', 'No confirmation after submitting the purchase');
+    }
+  };
+
+  let state = 'open-day';
+  try {
+    while (state !== 'confirmed') {
+      emitEvent('booking-step', { state, date: candidate.date, time });
+      state = await steps[state]();
+    }
+    emitEvent('booking-step', { state, date: candidate.date, time, confirmationId: booking.confirmationId });
+    return { status: 'booked', ...booking };
+  } catch (error) {
+    let reason = error instanceof BookingFailure ? error.reason : 'error';
+    // Once the purchase is submitted, anything short of a clear answer from Tock may be a booking
+    if (purchaseSubmitted && !PURCHASE_OUTCOMES.includes(reason)) {
+      reason = 'purchase-unconfirmed';
+    }
+    const details = error instanceof BookingFailure ? error.details : {};
+    emitEvent('booking-failed', { state, reason, error: error.message, date: candidate.date, time, ...details });
+    return { status: 'failed', reason, state, message: error.message, ...FAILURES[reason], price: booking.price };
+  }
+}
+
+module.exports = {
+  MAX_TOTAL_SPEND,
+  FAILURES,
+  BookingFailure,
+  parsePrice,
+  parsePartySize,
+  verifyCheckout,
+  spendLimit,
+  bookCandidate
+};
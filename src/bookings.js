@@ -0,0 +1,164 @@
+// Bookings ledger: one record per reservation the bot bought (data/bookings.jsonl, kept
+// forever) with its receipt screenshot, plus the .ics feed the analytics server serves so the
+// bookings show up in a shared calendar.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+const store = require('./store');
+const { RELEASE_TIMEZONE } = require('./scheduler');
+const { parseTime } = require('./matcher');
+const { zonedTimeToUtc } = require('./timezone');
+
+const RECEIPTS_DIR = path.join(DATA_DIR, 'receipts');
+// What to do after a booking: keep monitoring the other targets, keep looking for a better
+// slot for this one, or pause monitoring altogether (watchlist targets can set afterBooking)
+const POST_BOOKING_ACTIONS = ['continue', 'upgrade', 'stop'];
+const POST_BOOKING_ACTION = process.env.POST_BOOKING_ACTION || 'continue';
+// Restaurant time zone for the calendar feed, and how long each event lasts
+const BOOKING_TIMEZONE = process.env.BOOKING_TIMEZONE || RELEASE_TIMEZONE;
+const BOOKING_DURATION_MINUTES = Number(process.env.BOOKING_DURATION_MINUTES || 150);
+// Required as ?token= on /bookings.ics and /api/bookings (calendar apps can't send headers).
+// The control panel's token works too; with neither set the feed is off.
+const CALENDAR_FEED_TOKEN = process.env.CALENDAR_FEED_TOKEN || '';
+const CONTROL_TOKEN = process.env.CONTROL_TOKEN || '';
+const FEED_ENABLED = !!(CALENDAR_FEED_TOKEN || CONTROL_TOKEN);
+
+function postBookingAction(target) {
+  const action = target.afterBooking || POST_BOOKING_ACTION;
+  if (!POST_BOOKING_ACTIONS.includes(action)) {
+    throw new RangeError(`afterBooking must be one of ${POST_BOOKING_ACTIONS.join(', ')}`);
+  }
+  return action;
+}
+
+function receiptName(confirmationId, now) {
+  const id = String(confirmationId || `unconfirmed-${now.getTime()}`).replace(/[^\w.-]/g, '_');
+  return `${id}.png`;
+}
+
+// Append a booking to the ledger. `screenshot(file)` saves the receipt page; a failed
+// screenshot still records the booking.
+async function recordBooking({ target, candidate, confirmationId, price, account, runId, receiptUrl, replaces = null, screenshot }, now = new Date()) {
+  let receipt = null;
+  if (screenshot) {
+    try {
+      fs.mkdirSync(RECEIPTS_DIR, { recursive: true });
+      receipt = path.join('receipts', receiptName(confirmationId, now));
+      await screenshot(path.join(DATA_DIR, receipt));
+    } catch (e) {
+      console.error('Error saving the receipt screenshot:', e.message);
+      receipt = null;
+    }
+  }
+
+  const booking = {
+    timestamp: now.toISOString(),
+    confirmationId: confirmationId || null,
+    target: target.id,
+    restaurant: target.name,
+    bookingPage: target.bookingPage,
+    date: candidate.date,
+    time: candidate.time,
+    partySize: target.partySize,
+    price: price === undefined ? null : price,
+    account: account || null,
+    runId: runId || null,
+    receipt,
+    receiptUrl: receiptUrl || null,
+    replaces
+  };
+  store.append('bookings', booking);
+  return booking;
+}
+
+function listBookings() {
+  return store.readAll('bookings');
+}
+
+// iCalendar text: escape \ ; , and newlines
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const parts = [];
+  let rest = Buffer.from(line);
+  while (rest.length > 75) {
+    let cut = parts.length === 0 ? 75 : 74;
+    while ((rest[cut] & 0xc0) === 0x80) cut--; // Don't split a UTF-8 character
+    parts.push(rest.subarray(0, cut).toString());
+    rest = rest.subarray(cut);
+  }
+  parts.push(rest.toString());
+  return parts.join('\r\n ');
+}
+
+function icsTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// VCALENDAR with one event per booking; bookings whose time can't be read are left out
+function bookingsIcs(bookings, { timeZone = BOOKING_TIMEZONE, durationMinutes = BOOKING_DURATION_MINUTES, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//tockstalk//bookings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Tock bookings'
+  ];
+
+  for (const booking of bookings) {
+    const minutes = parseTime(booking.time);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(booking.date || '') || minutes === null) continue;
+    const [year, month, day] = booking.date.split('-').map(Number);
+    const start = zonedTimeToUtc(year, month, day, Math.floor(minutes / 60), minutes % 60, timeZone);
+    const end = new Date(start.getTime() + durationMinutes * 60000);
+
+    const details = [
+      booking.confirmationId && `Confirmation: ${booking.confirmationId}`,
+      `Party of ${booking.partySize}`,
+      booking.price !== null && booking.price !== undefined && `Charged: $${booking.price}`,
+      booking.replaces && `Replaces booking ${booking.replaces} - cancel that one on Tock`,
+      booking.receiptUrl && `Receipt: ${booking.receiptUrl}`
+    ].filter(Boolean);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${icsText(booking.confirmationId || `${booking.target}-${booking.timestamp}`)}@tockstalk`,
+      `DTSTAMP:${icsTime(new Date(booking.timestamp || now))}`,
+      `DTSTART:${icsTime(start)}`,
+      `DTEND:${icsTime(end)}`,
+      `SUMMARY:${icsText(`${booking.restaurant} (party of ${booking.partySize})`)}`,
+      `DESCRIPTION:${icsText(details.join('\n'))}`,
+      ...(booking.receiptUrl ? [`URL:${booking.receiptUrl}`] : []),
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function sameToken(expected, token) {
+  return crypto.timingSafeEqual(crypto.createHash('sha256').update(expected).digest(), crypto.createHash('sha256').update(token).digest());
+}
+
+// Constant-time check of the feed token (or the control token); no token configured means no feed
+function authorizeFeed(token) {
+  if (typeof token !== 'string') return false;
+  return [CALENDAR_FEED_TOKEN, CONTROL_TOKEN].filter(Boolean).some(expected => sameToken(expected, token));
+}
+
+module.exports = {
+  RECEIPTS_DIR,
+  POST_BOOKING_ACTIONS,
+  postBookingAction,
+  recordBooking,
+  listBookings,
+  bookingsIcs,
+  FEED_ENABLED,
+  authorizeFeed
+};
@@ -1,350 +1,742 @@
 require('dotenv').config();
 const { chromium } = require('playwright-extra');
 const stealth = require('puppeteer-extra-plugin-stealth')();
-const { IncomingWebhook } = require('@slack/webhook');
 const fs = require('fs');
 const path = require('path');
+const {
+  loadTargets, getActiveTargets, getWatchlistState, updateTarget, retireTarget, markUpgrading, buildBookingPath
+} = require('./watchlist');
+const { parseDateLabel, buildRules, rankCandidates } = require('./matcher');
+const { currentPeakWindow, isPeakWindow, nextCheckDelay, nextPeakWindow } = require('./scheduler');
+const { notify, flushNotifications } = require('./notifiers');
+const {
+  startRun, getRunId, withRunTarget, recordPhase, timePhase, recordTargetOutcome, finishRun
+} = require('./events');
+const store = require('./store');
+const { recordSnapshot } = require('./releases');
+const { MAX_TOTAL_SPEND, bookCandidate, spendLimit } = require('./booking');
+const {
+  CloudflareTimeoutError, getBlockStats, recordDecision, cooldownRemaining, handleChallenge
+} = require('./challenge');
+const {
+  acquireRunLock, releaseRunLock, acquireDaemonLock, releaseDaemonLock, acquireBookingGuard, releaseBookingGuard
+} = require('./lock');
+const { DATA_DIR } = require('./paths');
+const {
+  SITE_PROFILE_FILE, SELECTOR_STAGES, loadSiteProfile, loginUrl, isLoginUrl, verificationVisible, unverifiedSelector,
+  probeSelectors, daySelector
+} = require('./site-profile');
+const { INTERVENTION_ENABLED, intervene } = require('./intervention');
+const { getAccount, loadAccounts, saveSession, loadSession, expireSession, clearSession } = require('./vault');
+const { redact, errorMessage, maskedScreenshot } = require('./redact');
+const {
+  SCAN_TABS, createWorkers, accountFor, createTargetQueue, splitDays, slotKey, createClaims, serialize
+} = require('./workers');
+const { PROBE_MODE, attachProbe, probeAvailability } = require('./probe');
+const { MAX_MONTHS, monthEnd, calendarPlan, shownMonth, shownMonths, pageForward } = require('./calendar');
+const { pause, dryRunEnabled, checkPending, checkAllowed, watchControl } = require('./control');
+const { postBookingAction, recordBooking } = require('./bookings');
+const {
+  WAITLIST_MAX_PER_RUN, waitlistEnabled, targetWaitlists, waitlistCandidates, recordEnrollment, notifiedTargets, soldOutDays, setNotify
+} = require('./waitlists');
 
 // Enable stealth mode to bypass bot detection
 chromium.use(stealth);
 
-const webhook = process.env.SLACK_WEBHOOK_URL ? new IncomingWebhook(process.env.SLACK_WEBHOOK_URL) : null;
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const COOKIES_FILE = path.join(DATA_DIR, 'tock-cookies.json');
-const LOCK_FILE = '/tmp/tockstalk.lock';
-const LOCK_TIMEOUT_MS = 180000; // 3 minutes
-const ANALYTICS_FILE = path.join(DATA_DIR, 'analytics.json');
-const CLOUDFLARE_BLOCKS_FILE = path.join(DATA_DIR, 'cloudflare-blocks.json');
+// URLs, selectors and text markers (see site-profile.js); TOCK_BASE_URL can point at
+// a local stand-in (see test/fake-tock) to exercise the flow offline
+const SITE = loadSiteProfile();
+const HEADLESS = process.env.HEADLESS === 'true';
+// Candidates to try per target per run before giving up until the next check
+const MAX_BOOKING_ATTEMPTS = Number(process.env.MAX_BOOKING_ATTEMPTS || 10);
 
 // Console-only log (no Slack)
 function consoleLog(message) {
-  console.log(message);
+  console.log(redact(message));
 }
 
-// Critical alerts - send to Slack AND console
-async function log(message) {
-  console.log(message);
-  if (webhook) {
-    try {
-      await webhook.send({ text: message });
-    } catch (e) {
-      console.error('Slack error:', e.message);
-    }
-  }
+// Critical alerts - send to console AND every notifier channel that accepts `level`
+// (info, availability, success, warning, cloudflare, intervention, error).
+// Sent in the background so a slow channel never holds up a checkout; runMain waits for
+// them before the process exits.
+async function log(message, level = 'info') {
+  console.log(redact(message));
+  notify(message, level);
+}
+
+// Screenshot into DATA_DIR with the login and payment fields masked
+function screenshot(page, name) {
+  return maskedScreenshot(page, SITE, { path: path.join(DATA_DIR, name) });
 }
 
 // Analytics logging
 function logAnalytics(data) {
-  try {
-    let analytics = [];
-    if (fs.existsSync(ANALYTICS_FILE)) {
-      const content = fs.readFileSync(ANALYTICS_FILE, 'utf-8');
-      if (content.trim()) {
-        analytics = JSON.parse(content);
-      }
-    }
-    analytics.push(data);
-    fs.writeFileSync(ANALYTICS_FILE, JSON.stringify(analytics, null, 2));
-  } catch (e) {
-    console.error('Analytics logging error:', e.message);
+  store.append('analytics', data);
+  recordSnapshot(data);
+}
+
+// Cookies are saved per account (encrypted when a vault key is set, see vault.js)
+async function saveCookies(context, accountId) {
+  saveSession(accountId, await context.cookies());
+  consoleLog(`💾 Saved login session (${accountId})`);
+}
+
+async function loadCookies(context, accountId) {
+  const cookies = loadSession(accountId);
+  if (cookies) {
+    await context.addCookies(cookies);
+    return true;
   }
+  return false;
 }
 
-// Cloudflare block tracking
-function getCloudflareBlocks() {
-  try {
-    if (fs.existsSync(CLOUDFLARE_BLOCKS_FILE)) {
-      const content = fs.readFileSync(CLOUDFLARE_BLOCKS_FILE, 'utf-8');
-      return content.trim() ? JSON.parse(content) : { consecutive: 0, total: 0, history: [] };
+// Challenge handling lives in challenge.js; the bot supplies alerts and the worker's session
+function detectCloudflare(page, worker, location = 'page load') {
+  return handleChallenge(page, {
+    site: SITE,
+    location,
+    slot: interventionSlot(worker),
+    helpers: {
+      log,
+      // Nothing to save before the worker has logged in as anyone
+      saveSession: async () => worker.activeAccount && saveCookies(worker.context, worker.activeAccount),
+      rotateSession: () => rotateSession(worker)
     }
-  } catch (e) {
-    console.error('Error reading Cloudflare blocks:', e.message);
+  });
+}
+
+// Each worker hands its page over in its own intervention slot
+function interventionSlot(worker) {
+  return `worker-${worker.index}`;
+}
+
+// Forget a session that keeps getting challenged, so the next run logs in from scratch
+async function rotateSession(worker) {
+  await worker.context.clearCookies();
+  worker.loggedIn = false;
+  if (worker.activeAccount) {
+    expireSession(worker.activeAccount, 'rotated');
   }
-  return { consecutive: 0, total: 0, history: [] };
+  consoleLog('🔁 Discarded the saved session');
 }
 
-function logCloudflareBlock(blocked) {
-  try {
-    const blocks = getCloudflareBlocks();
+// Launch Chromium with stealth and one realistic desktop context per worker (see workers.js)
+async function launchBrowser(workerCount) {
+  const browser = await chromium.launch({
+    headless: HEADLESS,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage'
+    ]
+  });
 
-    if (blocked) {
-      blocks.consecutive += 1;
-      blocks.total += 1;
-      blocks.history.push({ timestamp: new Date().toISOString(), blocked: true });
-    } else {
-      // Reset consecutive on success
-      blocks.consecutive = 0;
-      blocks.history.push({ timestamp: new Date().toISOString(), blocked: false });
-    }
+  const workers = await createWorkers(async () => {
+    const context = await browser.newContext({
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36'
+    });
+    const page = await context.newPage();
+    return { context, page, probe: attachProbe(page, SITE) };
+  }, workerCount);
 
-    // Keep only last 100 history entries
-    if (blocks.history.length > 100) {
-      blocks.history = blocks.history.slice(-100);
-    }
+  return { browser, workers };
+}
 
-    fs.writeFileSync(CLOUDFLARE_BLOCKS_FILE, JSON.stringify(blocks, null, 2));
-    return blocks;
-  } catch (e) {
-    console.error('Error logging Cloudflare block:', e.message);
-    return { consecutive: 0, total: 0, history: [] };
+// Check every target once, spread over the session's workers. `options.dryRun` overrides
+// DRY_RUN and the control panel. Returns true once a booking leaves nothing else to watch.
+async function runChecks(session, targets, options = {}) {
+  // Peak-aware timeouts: 60s around a release, 30s otherwise
+  const peakWindow = currentPeakWindow();
+  const run = {
+    dryRun: options.dryRun === undefined ? dryRunEnabled() : options.dryRun,
+    gotoTimeout: peakWindow ? 60000 : 30000,
+    reloadTimeout: peakWindow ? 60000 : 30000,
+    pooled: session.workers.length > 1,
+    // Which account each worker has checked its session for this run
+    ready: new Map(),
+    failedLogins: new Set(),
+    claims: createClaims(),
+    abort: null
+  };
+
+  if (peakWindow) {
+    await log(`🚨 PEAK WINDOW CHECK - Checking ${peakWindow.label} release! 🚨`);
+  }
+
+  // Targets Tock just sent a waitlist notification for go first
+  const notified = notifiedTargets();
+  if (notified.some(id => targets.some(t => t.id === id))) {
+    targets = [...targets].sort((a, b) => notified.includes(b.id) - notified.includes(a.id));
+    consoleLog(`🔔 Waitlist notification for ${targets.filter(t => notified.includes(t.id)).map(t => t.name).join(', ')} - checking first`);
+  }
+
+  const pool = run.pooled ? ` with ${session.workers.length} workers` : '';
+  consoleLog(`📋 Watching ${targets.length} target(s)${pool}: ${targets.map(t => t.name).join(', ')}`);
+
+  const queue = createTargetQueue(targets);
+  const results = await Promise.all(session.workers.map(worker => runWorker(worker, queue, run)));
+
+  // A Cloudflare timeout will block every other target too, so the run ends with it
+  if (run.abort) {
+    throw run.abort;
   }
-}
 
-async function saveCookies(context) {
-  const cookies = await context.cookies();
-  fs.writeFileSync(COOKIES_FILE, JSON.stringify(cookies, null, 2));
-  consoleLog('💾 Saved login session');
+  for (const target of queue.remaining()) {
+    await log(`⚠️ No worker can check ${target.name} as account "${target.account}" - add it to WORKER_ACCOUNTS`, 'warning');
+    recordTargetOutcome(target.id, 'error', { error: `No worker for account ${target.account}` });
+  }
+
+  // Only report success once nothing is left to watch
+  return results.some(Boolean) && getActiveTargets().length === 0;
 }
 
-async function loadCookies(context) {
-  if (fs.existsSync(COOKIES_FILE)) {
-    const cookies = JSON.parse(fs.readFileSync(COOKIES_FILE, 'utf-8'));
-    await context.addCookies(cookies);
-    return true;
+// One worker's share of a run: targets off the shared queue until it is empty.
+// Resolves true if this worker booked (or in a dry run, matched) anything.
+async function runWorker(worker, queue, run) {
+  let bookedAny = false;
+  let target;
+  while (!run.abort && (target = queue.next(worker))) {
+    const current = target;
+    const booked = await withRunTarget(current.id, () => checkTarget(worker, current, run), run.pooled ? worker.index : undefined);
+    bookedAny = bookedAny || booked;
   }
-  return false;
+  return bookedAny;
 }
 
-function checkLock() {
-  if (fs.existsSync(LOCK_FILE)) {
-    const stats = fs.statSync(LOCK_FILE);
-    const lockAge = Date.now() - stats.mtimeMs;
+async function checkTarget(worker, target, run) {
+  const accountId = accountFor(worker, target);
+  if (run.failedLogins.has(accountId)) {
+    recordTargetOutcome(target.id, 'login-failed');
+    return false;
+  }
+  consoleLog(`\n🍽️  Checking ${target.name} (party of ${target.partySize})${run.pooled ? ` on worker ${worker.index + 1}` : ''}...`);
 
-    if (lockAge < LOCK_TIMEOUT_MS) {
-      console.log('🔒 Another instance is running. Exiting.');
-      process.exit(0);
+  try {
+    if (run.ready.get(worker) === accountId) {
+      await openTarget(worker.page, worker, target, run.gotoTimeout);
     } else {
-      console.log('⚠️  Removing stale lock file');
-      fs.unlinkSync(LOCK_FILE);
+      // Log in (or restore the saved session) once per account per run, landing on this target's page.
+      // One worker at a time per account, so the others pick up the session it saves
+      // (or skip an account that just failed to log in).
+      const loggedIn = await serialize(`login:${accountId}`, () => !run.failedLogins.has(accountId)
+        && ensureSession(worker, target, run.gotoTimeout, run.reloadTimeout));
+      if (!loggedIn) {
+        run.failedLogins.add(accountId);
+        recordTargetOutcome(target.id, 'login-failed');
+        return false;
+      }
+      run.ready.set(worker, accountId);
+    }
+
+    return await checkAvailability(worker, target, run);
+  } catch (error) {
+    if (error instanceof CloudflareTimeoutError) {
+      run.abort = run.abort || error;
+      return false;
     }
+    await log(`❌ Error checking ${target.name}: ${error.message}`, 'error');
+    await screenshot(worker.page, 'error.png');
+    recordTargetOutcome(target.id, 'error', { error: errorMessage(error) });
+    return false;
   }
 }
 
-function createLock() {
-  fs.writeFileSync(LOCK_FILE, process.pid.toString());
-}
 
-function removeLock() {
-  if (fs.existsSync(LOCK_FILE)) {
-    fs.unlinkSync(LOCK_FILE);
+// Single run: one browser, one pass over the watchlist, then exit.
+// `options.dryRun` (from the CLI's check/book) overrides DRY_RUN and the control panel.
+async function bookReservation(options = {}) {
+  // Check for existing lock
+  if (!acquireRunLock()) {
+    process.exit(0);
   }
-}
 
-// Detect and handle Cloudflare challenges
-async function detectCloudflare(page, browserContext, location = 'page load') {
-  consoleLog(`🔍 Checking for Cloudflare challenge (${location})...`);
+  const { allowed, requested } = checkAllowed();
+  if (!allowed) {
+    consoleLog('⏸️  Monitoring is paused from the control panel - skipping this check');
+    releaseRunLock();
+    return false;
+  }
+  if (requested) {
+    consoleLog('👆 Check requested from the control panel');
+  }
 
-  // Check for Cloudflare challenge indicators
-  const cloudflareDetected = await page.locator('text=Verify you are human').count() > 0 ||
-                             await page.locator('[name="cf-turnstile-response"]').count() > 0 ||
-                             await page.locator('.cf-turnstile').count() > 0 ||
-                             await page.locator('text=Verifying you are human').count() > 0;
+  const targets = getActiveTargets();
+  if (targets.length === 0) {
+    consoleLog('📭 No active targets in watchlist. Nothing to check.');
+    releaseRunLock();
+    return true;
+  }
 
-  if (!cloudflareDetected) {
-    // No challenge detected - log success
-    logCloudflareBlock(false);
+  if (!cooldownAllowsCheck()) {
+    releaseRunLock();
     return false;
   }
 
-  // Cloudflare challenge detected!
-  const blocks = getCloudflareBlocks();
-  const newBlocks = logCloudflareBlock(true);
-
-  await log(`🤖 ALERT: Cloudflare challenge detected at ${location}! (Consecutive blocks: ${newBlocks.consecutive}, Total: ${newBlocks.total})`);
-  await page.screenshot({ path: path.join(DATA_DIR, 'cloudflare-detected.png') });
+  startRun({ mode: 'single', siteProfile: SITE.version });
+  let session = null;
+  let failure = null;
 
-  // Alert if we have 3+ consecutive blocks (something is wrong)
-  if (newBlocks.consecutive >= 3) {
-    await log(`⚠️ WARNING: ${newBlocks.consecutive} consecutive Cloudflare blocks! Session may be flagged.`);
+  try {
+    store.migrateLegacy();
+    session = await timePhase('launch', launchBrowser);
+    return await runChecks(session, targets, options);
+  } catch (error) {
+    failure = error;
+    await log(`❌ Error: ${error.message}`, 'error');
+    if (session) {
+      await screenshot(session.workers[0].page, 'error.png');
+    }
+    return false;
+  } finally {
+    finishRun(failure ? runOutcomeForError(failure) : undefined, failure ? { error: errorMessage(failure) } : {});
+    store.compactIfDue();
+    if (session) {
+      await session.browser.close();
+    }
+    releaseRunLock();
   }
+}
 
-  // Wait for Cloudflare to auto-solve - poll every 10 seconds for 150 seconds
-  consoleLog('⏳ Waiting up to 150s for Cloudflare challenge to auto-solve...');
-  const maxIterations = 15;
-  for (let i = 0; i < maxIterations; i++) {
-    await page.waitForTimeout(10000); // Wait 10 seconds
+function runOutcomeForError(error) {
+  return error instanceof CloudflareTimeoutError ? 'cloudflare-timeout' : 'error';
+}
 
-    // Check if challenge cleared
-    const stillBlocked = await page.locator('text=Verify you are human').count() > 0 ||
-                         await page.locator('[name="cf-turnstile-response"]').count() > 0 ||
-                         await page.locator('.cf-turnstile').count() > 0 ||
-                         await page.locator('text=Verifying you are human').count() > 0;
+// False while challenge.js has paused checks after repeated Cloudflare blocks.
+// A release window is the one check that matters, so it goes ahead regardless.
+function cooldownAllowsCheck(now = new Date()) {
+  const remaining = cooldownRemaining(now);
+  if (remaining === 0) {
+    return true;
+  }
+  const minutes = Math.ceil(remaining / 60000);
+  if (isPeakWindow(now)) {
+    consoleLog(`🧊 Cloudflare cooldown has ${minutes} min left, but this is a release window - checking anyway`);
+    recordDecision('peak-override', { remainingMs: remaining });
+    return true;
+  }
+  consoleLog(`🧊 Cloudflare cooldown - skipping this check (${minutes} min left)`);
+  recordDecision('skip', { remainingMs: remaining });
+  return false;
+}
+
+// Sleep out a cooldown, but wake up for the next release window
+function cooldownDelay(now = new Date()) {
+  const next = nextPeakWindow(now);
+  return Math.max(1000, Math.min(cooldownRemaining(now), next ? next.start - now : Infinity));
+}
 
-    if (!stillBlocked) {
-      // Challenge auto-solved!
-      consoleLog('✅ Cloudflare challenge auto-solved!');
-      await log('✅ Cloudflare challenge auto-solved! Saving session...');
+let shuttingDown = false;
+let wakeDaemon = null;
+
+// Interruptible sleep so a shutdown signal doesn't wait out a 15 minute poll interval
+function sleep(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wakeDaemon = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
 
-      // Screenshot after it clears (for debugging)
-      await page.screenshot({ path: path.join(DATA_DIR, 'cloudflare-cleared.png') });
+// Daemon: keep one browser alive and poll on the scheduler's cadence
+async function runDaemon() {
+  if (!acquireDaemonLock()) {
+    process.exit(0);
+  }
 
-      // Save cookies immediately
-      await saveCookies(browserContext);
+  const next = nextPeakWindow();
+  await log(`🟢 Tockstalk daemon started (PID ${process.pid})${next ? ` - next release window ${next.label}` : ''}`);
 
-      return true;
+  // A "check now" or a resume from the control panel shouldn't wait out the poll interval
+  let wasPaused = false;
+  const unwatchControl = watchControl(control => {
+    if ((checkPending(control) || (wasPaused && !control.paused)) && wakeDaemon) {
+      wakeDaemon();
     }
+    wasPaused = control.paused;
+  });
+  let idle = null;
+  let session = null;
+  try {
+    store.migrateLegacy();
+    while (!shuttingDown) {
+      const { allowed, requested, control } = checkAllowed();
+      wasPaused = control.paused;
+      const targets = getActiveTargets();
+      // Nothing to do until the control panel resumes monitoring or adds targets
+      const reason = !allowed ? 'paused' : targets.length === 0 ? 'no-targets' : null;
+      if (reason) {
+        if (idle !== reason) {
+          await log(reason === 'paused'
+            ? `⏸️ Monitoring paused (${control.pauseReason || 'manual'}) - resume it from the control panel`
+            : '📭 No active targets left - waiting for new ones from the control panel');
+        }
+        idle = reason;
+        // Drop the browser while idle; the next check launches a fresh one
+        if (session) {
+          await session.browser.close().catch(() => {});
+          session = null;
+        }
+        await sleep(nextCheckDelay());
+        continue;
+      }
+      if (idle) {
+        consoleLog('▶️  Monitoring resumed');
+      }
+      idle = null;
+      if (requested) {
+        consoleLog('👆 Check requested from the control panel');
+      }
+
+      if (!cooldownAllowsCheck()) {
+        await sleep(cooldownDelay());
+        continue;
+      }
 
-    // Progress update every 30 seconds (every 3 iterations)
-    if ((i + 1) % 3 === 0) {
-      const elapsed = (i + 1) * 10;
-      consoleLog(`⏳ Still waiting... (${elapsed}s / 150s elapsed)`);
+      startRun({ mode: 'daemon', siteProfile: SITE.version });
+      let failure = null;
+      let done = false;
+      try {
+        if (!session) {
+          session = await timePhase('launch', launchBrowser);
+        }
+        done = await runChecks(session, targets);
+      } catch (error) {
+        failure = error;
+        await log(`❌ Error: ${error.message}`, 'error');
+        // Start over with a fresh browser on the next check
+        if (session) {
+          await screenshot(session.workers[0].page, 'error.png').catch(() => {});
+          await session.browser.close().catch(() => {});
+          session = null;
+        }
+      }
+      finishRun(failure ? runOutcomeForError(failure) : undefined, failure ? { error: errorMessage(failure) } : {});
+      store.compactIfDue();
+
+      if (shuttingDown) {
+        break;
+      }
+      // Everything is booked - straight to idling until new targets come in
+      if (done) {
+        continue;
+      }
+
+      const delay = nextCheckDelay();
+      consoleLog(`💤 Next check in ${Math.round(delay / 1000)}s${isPeakWindow() ? ' (peak window)' : ''}`);
+      await sleep(delay);
     }
+  } finally {
+    unwatchControl();
+    if (session) {
+      await session.browser.close().catch(() => {});
+    }
+    releaseDaemonLock();
+    await log('🔴 Tockstalk daemon stopped');
   }
 
-  // Timeout after 150 seconds
-  await log(`❌ ALERT: Cloudflare challenge not solved after 150s wait. Aborting run.`);
-  await page.screenshot({ path: path.join(DATA_DIR, 'cloudflare-timeout.png') });
-  throw new Error('Cloudflare challenge not solved after 150s wait');
+  return true;
 }
 
-async function bookReservation() {
-  // Check for existing lock
-  checkLock();
-  createLock();
-
-  // Check if this is peak window time
-  // Peak #1: 4:59pm PT = 12:59am UTC next day (0:59)
-  // Peak #2: 5:59pm PT = 1:59am UTC next day (1:59)
-  const now = new Date();
-  const hour = now.getUTCHours();
-  const minute = now.getUTCMinutes();
-  const isPeakWindow = (hour === 0 && minute === 59) || // 4:59pm PT peak
-                       (hour === 1 && minute === 59); // 5:59pm PT peak
-
-  // Peak-aware timeouts: 60s during peak, 30s otherwise
-  const gotoTimeout = isPeakWindow ? 60000 : 30000;
-  const reloadTimeout = isPeakWindow ? 60000 : 30000;
+// Restore and re-save each account's session, logging in where it has expired, so a release
+// window starts with a fresh one. Every configured account unless `accountIds` are given.
+async function refreshLogin(accountIds = []) {
+  if (!acquireRunLock()) {
+    process.exit(0);
+  }
 
-  if (isPeakWindow) {
-    const peakTime = hour === 0 ? '4:59pm PT' : '5:59pm PT';
-    await log(`🚨 PEAK WINDOW CHECK - Checking ${peakTime} release! 🚨`);
+  const targets = loadTargets();
+  if (targets.length === 0) {
+    consoleLog('📭 No targets configured - logging in needs a booking page to land on.');
+    releaseRunLock();
+    return false;
   }
+  let session = null;
+  let ok = true;
+  try {
+    const ids = accountIds.length > 0 ? accountIds : Object.keys(loadAccounts());
+    session = await launchBrowser(1);
+    const [worker] = session.workers;
+    for (const id of ids) {
+      const account = getAccount(id);
+      const target = targets.find(t => t.account === account.id) || targets[0];
+      consoleLog(`🔑 Refreshing the session for ${account.id}...`);
+      if (await ensureSession(worker, { ...target, account: account.id }, 30000, 30000)) {
+        await saveCookies(worker.context, account.id);
+      } else {
+        ok = false;
+      }
+    }
+  } catch (error) {
+    await log(`❌ Login refresh failed: ${error.message}`, 'error');
+    ok = false;
+  } finally {
+    if (session) {
+      await session.browser.close().catch(() => {});
+    }
+    releaseRunLock();
+  }
+  return ok;
+}
 
-  const browser = await chromium.launch({
-    headless: false,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage'
-    ]
-  });
+const SELFTEST_FILE = path.join(DATA_DIR, 'selftest.json');
 
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36'
-  });
+// Load the login and booking pages and report which site profile selectors resolve,
+// so markup changes are caught before a release window rather than during one
+async function runSelftest() {
+  if (!acquireRunLock()) {
+    process.exit(0);
+  }
 
-  const page = await context.newPage();
+  const target = getActiveTargets()[0] || loadTargets()[0];
+  if (!target) {
+    consoleLog('📭 No targets configured - the selftest needs a booking page to load.');
+    releaseRunLock();
+    return false;
+  }
+  consoleLog(`🧪 Selftest: site profile ${SITE.version} (${SITE.source}) against ${SITE.baseUrl}`);
+  let session = null;
+  const results = [];
 
   try {
-    const bookingPage = process.env.BOOKING_PAGE;
-    const partySize = process.env.PARTY_SIZE;
-    const desiredTimes = process.env.DESIRED_TIME_SLOTS.split(',');
-    const dryRun = process.env.DRY_RUN === 'true';
+    session = await launchBrowser(1);
+    const [worker] = session.workers;
+    const { page } = worker;
 
-    // Try to load saved cookies
-    const hasCookies = await loadCookies(context);
+    // The login page first, before any saved session is restored
+    await page.goto(loginUrl(SITE, buildBookingPath(target)), { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForTimeout(3000);
+    await detectCloudflare(page, worker, 'selftest - login page');
+    results.push(...await probeSelectors(SITE, page, 'login'));
+
+    // Then the booking page, the same way a normal run gets there
+    if (await ensureSession(worker, target, 30000, 30000)) {
+      await page.waitForSelector(SITE.selectors.calendarDay, { state: 'attached', timeout: 30000 }).catch(() => {});
+      results.push(...await probeSelectors(SITE, page, 'calendar'));
+      if (PROBE_MODE === 'network') {
+        const probed = await probeAvailability(page, worker.probe, SITE, target.partySize);
+        results.push({
+          name: 'availabilityResponse',
+          stage: 'calendar',
+          selector: SITE.probe.responsePattern,
+          count: probed ? probed.days.length : 0,
+          ok: probed !== null
+        });
+      }
+
+      const openDay = page.locator(SITE.selectors.availableDay).first();
+      if (await openDay.count() > 0) {
+        await openDay.click();
+        await page.waitForTimeout(800);
+        results.push(...await probeSelectors(SITE, page, 'day'));
+      }
+    }
+  } catch (error) {
+    consoleLog(`❌ Selftest error: ${error.message}`);
+    results.push({ name: 'error', stage: 'run', selector: null, count: null, ok: false, error: errorMessage(error) });
+  } finally {
+    if (session) {
+      await session.browser.close().catch(() => {});
+    }
+    releaseRunLock();
+  }
 
-    if (hasCookies) {
-      consoleLog('🔑 Using saved session...');
+  // Selectors on pages we never reached (e.g. checkout, which needs a real slot) are reported as unchecked
+  const checked = new Set(results.map(r => r.name));
+  for (const [name, stage] of Object.entries(SELECTOR_STAGES)) {
+    if (!checked.has(name)) {
+      results.push({ name, stage, selector: SITE.selectors[name], count: null, ok: null, unverified: unverifiedSelector(SITE, name) });
+    }
+  }
 
-      // Go directly to booking page
-      await page.goto(`https://www.exploretock.com${bookingPage}?size=${partySize}`, {
-        waitUntil: 'domcontentloaded',
-        timeout: gotoTimeout
-      });
+  // Unconfirmed defaults that didn't match here either: optional or unreachable, but may be wrong
+  const unconfirmed = results.filter(r => r.unverified && !(r.count > 0));
+  for (const r of results) {
+    const icon = unconfirmed.includes(r) && r.ok !== false ? '⚠️ ' : r.ok === null ? '⏭️ ' : r.ok ? '✅' : '❌';
+    const count = r.count === null ? 'not checked' : `${r.count} match(es)`;
+    consoleLog(`${icon} ${r.stage.padEnd(8)} ${r.name.padEnd(16)} ${count}  ${r.selector || r.error}${unconfirmed.includes(r) ? '  (unverified default)' : ''}`);
+  }
+  if (unconfirmed.length > 0) {
+    consoleLog(`⚠️  Never confirmed on Tock: ${unconfirmed.map(r => r.name).join(', ')}. Check them against the page when it shows them and put the right ones in ${SITE_PROFILE_FILE}`);
+  }
 
-      await page.waitForTimeout(1500); // Reduced from 3000ms
+  const failed = results.filter(r => r.ok === false);
+  const report = {
+    timestamp: new Date().toISOString(),
+    siteProfile: SITE.version,
+    source: SITE.source,
+    baseUrl: SITE.baseUrl,
+    target: target.id,
+    ok: failed.length === 0,
+    unconfirmed: unconfirmed.map(r => r.name),
+    results
+  };
+  fs.writeFileSync(SELFTEST_FILE, JSON.stringify(report, null, 2));
 
-      // Check for Cloudflare challenge after initial page load
-      await detectCloudflare(page, context, 'saved session - initial load');
+  if (failed.length > 0) {
+    await log(`🧪 SELFTEST FAILED: ${failed.map(r => r.name).join(', ')} did not resolve (site profile ${SITE.version}). Update ${SITE_PROFILE_FILE}.`, 'warning');
+    return false;
+  }
+  consoleLog('✅ Selftest passed');
+  return true;
+}
 
-      // Check if we're still logged in
-      if (page.url().includes('login')) {
-        consoleLog('🔄 Session expired, logging in again...');
-        // Fall through to login
-      } else {
-        consoleLog('✅ Session valid, already on booking page!');
-        // Refresh the page to ensure calendar is loaded
-        await page.reload({ waitUntil: 'domcontentloaded', timeout: reloadTimeout });
-        await page.waitForTimeout(1000); // Reduced from 2000ms
+// Restore the worker's saved session or log in as the target's account, leaving the page
+// on the target's booking page
+async function ensureSession(worker, target, gotoTimeout, reloadTimeout) {
+  const { page, context } = worker;
+  const bookingPath = buildBookingPath(target);
+  const account = getAccount(target.account || worker.account);
+
+  // Switching accounts: drop the other account's cookies first
+  if (worker.activeAccount && worker.activeAccount !== account.id) {
+    await context.clearCookies();
+    worker.loggedIn = false;
+  }
+  worker.activeAccount = account.id;
 
-        // Check for Cloudflare challenge after reload
-        await detectCloudflare(page, context, 'saved session - after reload');
+  // Reuse the live session, or try to load saved cookies
+  const hasSession = worker.loggedIn || await loadCookies(context, account.id);
 
-        // Skip to availability check
-        await checkAvailability(page, desiredTimes, dryRun, context);
-        return;
-      }
-    }
+  if (hasSession) {
+    consoleLog('🔑 Using saved session...');
+    const restoreStartedAt = Date.now();
 
-    // Need to login
-    consoleLog('🏠 Navigating to Tock...');
-    const redirectUrl = encodeURIComponent(`${bookingPage}?size=${partySize}`);
-    await page.goto(`https://www.exploretock.com/login?continue=${redirectUrl}`, {
+    // Go directly to booking page
+    await page.goto(`${SITE.baseUrl}${bookingPath}`, {
       waitUntil: 'domcontentloaded',
       timeout: gotoTimeout
     });
 
-    await page.waitForTimeout(3000);
+    await page.waitForTimeout(1500); // Reduced from 3000ms
 
-    // Check for Cloudflare challenge after login page load
-    await detectCloudflare(page, context, 'login page');
+    // Check for Cloudflare challenge after initial page load
+    await detectCloudflare(page, worker, 'saved session - initial load');
 
-    consoleLog('🔓 Logging in...');
-    await page.fill('[data-testid="email-input"]', process.env.TOCK_EMAIL);
-    await page.fill('[data-testid="password-input"]', process.env.TOCK_PASSWORD);
-    await page.click('[data-testid="signin"]');
+    // Check if we're still logged in
+    if (isLoginUrl(SITE, page.url())) {
+      consoleLog('🔄 Session expired, logging in again...');
+      expireSession(account.id, 'logged-out');
+      recordPhase('session-restore', restoreStartedAt, { status: 'expired' });
+      // Fall through to login
+    } else {
+      consoleLog('✅ Session valid, already on booking page!');
+      // Refresh the page to ensure calendar is loaded
+      await page.reload({ waitUntil: 'domcontentloaded', timeout: reloadTimeout });
+      await page.waitForTimeout(1000); // Reduced from 2000ms
+
+      // Check for Cloudflare challenge after reload
+      await detectCloudflare(page, worker, 'saved session - after reload');
+      worker.loggedIn = true;
+      recordPhase('session-restore', restoreStartedAt);
+      return true;
+    }
+  }
 
-    await page.waitForTimeout(5000);
+  // Need to login
+  consoleLog('🏠 Navigating to Tock...');
+  const loginStartedAt = Date.now();
+  await page.goto(loginUrl(SITE, bookingPath), {
+    waitUntil: 'domcontentloaded',
+    timeout: gotoTimeout
+  });
 
-    if (page.url().includes('login')) {
-      await log('❌ ALERT: Login failed');
-      return false;
-    }
+  await page.waitForTimeout(3000);
 
-    consoleLog('✅ Login successful!');
+  // Check for Cloudflare challenge after login page load
+  await detectCloudflare(page, worker, 'login page');
 
-    // Save cookies for next time
-    await saveCookies(context);
+  consoleLog(`🔓 Logging in (${account.id})...`);
+  await page.fill(SITE.selectors.emailInput, account.email);
+  await page.fill(SITE.selectors.passwordInput, account.password);
+  await page.click(SITE.selectors.signIn);
 
-    await page.waitForTimeout(2000);
+  await page.waitForTimeout(5000);
 
-    // Check availability
-    await checkAvailability(page, desiredTimes, dryRun, context);
+  // A code sent to the account's email/phone - only a person can fetch it
+  if (isLoginUrl(SITE, page.url()) && await verificationVisible(SITE, page)) {
+    if (INTERVENTION_ENABLED) {
+      await intervene(page, {
+        reason: 'verification',
+        location: 'login',
+        slot: interventionSlot(worker),
+        isDone: async () => !isLoginUrl(SITE, page.url()),
+        log,
+        site: SITE
+      });
+    } else {
+      await log('🔐 ALERT: Tock wants a verification code to log in. Set INTERVENTION_ENABLED=true to enter it remotely.', 'error');
+    }
+  }
 
-  } catch (error) {
-    await log(`❌ Error: ${error.message}`);
-    await page.screenshot({ path: path.join(DATA_DIR, 'error.png') });
+  if (isLoginUrl(SITE, page.url())) {
+    await log('❌ ALERT: Login failed', 'error');
+    worker.loggedIn = false;
+    recordPhase('login', loginStartedAt, { status: 'error' });
     return false;
-  } finally {
-    await browser.close();
-    removeLock();
   }
+
+  consoleLog('✅ Login successful!');
+
+  // Save cookies for next time
+  await saveCookies(context, account.id);
+  worker.loggedIn = true;
+  recordPhase('login', loginStartedAt);
+
+  await page.waitForTimeout(2000);
+  return true;
 }
 
-async function checkAvailability(page, desiredTimes, dryRun, context) {
+// Navigate an already logged-in page (a worker's page or one of its scan tabs) to a target's booking page,
+// optionally with the calendar opened on `date`'s month
+async function openTarget(page, worker, target, gotoTimeout, date = null) {
+  const dateParam = date ? `&${SITE.paths.dateParam}=${date}` : '';
+  await page.goto(`${SITE.baseUrl}${buildBookingPath(target)}${dateParam}`, {
+    waitUntil: 'domcontentloaded',
+    timeout: gotoTimeout
+  });
+
+  await page.waitForTimeout(1500);
+
+  await detectCloudflare(page, worker, `${target.name} - initial load`);
+}
+
+// Open a target's calendar on `month` (YYYY-MM): jump there with the date parameter, paging
+// forward if the site ignores it. True once the month is on the page.
+async function showMonth(page, worker, target, month, gotoTimeout) {
+  await openTarget(page, worker, target, gotoTimeout, `${month}-01`);
+  await page.waitForSelector(SITE.selectors.calendarDay, { state: 'attached', timeout: gotoTimeout });
+  for (let i = 0; i < MAX_MONTHS; i++) {
+    const months = await shownMonths(page, SITE);
+    if (months.includes(month)) return true;
+    if (months.length === 0 || months[months.length - 1] > month || !await pageForward(page, SITE, worker.probe)) return false;
+  }
+  return false;
+}
+
+async function checkAvailability(worker, target, run) {
+  const { page } = worker;
   consoleLog('🔍 Checking for available days...');
 
   // Detect peak window for longer timeout
-  const now = new Date();
-  const hour = now.getUTCHours();
-  const minute = now.getUTCMinutes();
-  const isPeakWindow = (hour === 0 && minute === 59) || // 4:59pm PT peak
-                       (hour === 1 && minute === 59); // 5:59pm PT peak
-  const timeout = isPeakWindow ? 60000 : 30000;
+  const peakWindow = isPeakWindow();
+  const timeout = peakWindow ? 60000 : 30000;
 
   // Wait for calendar to load with retry logic
+  const calendarStartedAt = Date.now();
   let retries = 3;
   while (retries > 0) {
     try {
-      await page.waitForSelector('[data-testid="consumer-calendar-day"]', { state: 'attached', timeout });
+      await page.waitForSelector(SITE.selectors.calendarDay, { state: 'attached', timeout });
       break;
     } catch (e) {
       retries--;
       if (retries === 0) {
         // Final failure - send to Slack
-        await log(`❌ ALERT: Calendar failed to load after 3 attempts (${isPeakWindow ? 'PEAK WINDOW' : 'off-peak'})`);
-        await page.screenshot({ path: path.join(DATA_DIR, 'calendar-timeout.png') });
+        await log(`❌ ALERT: Calendar failed to load after 3 attempts (${peakWindow ? 'PEAK WINDOW' : 'off-peak'})`, 'error');
+        await screenshot(page, 'calendar-timeout.png');
+        recordPhase('calendar-load', calendarStartedAt, { status: 'error', attempts: 3 });
         throw e;
       }
       // Intermediate retry - console only, no Slack spam
@@ -354,170 +746,512 @@ async function checkAvailability(page, desiredTimes, dryRun, context) {
     }
   }
 
-  await page.waitForTimeout(2000);
+  recordPhase('calendar-load', calendarStartedAt, { attempts: 3 - retries + 1 });
 
-  // Find available days
-  const availableDays = await page.$$('[data-testid="consumer-calendar-day"][aria-disabled="false"].is-available');
+  // Page through the calendar up to the target's horizon, reading each month as it shows
+  const plan = calendarPlan(target);
+  if (plan.startMonth && !(await shownMonths(page, SITE)).includes(plan.startMonth)) {
+    if (!await showMonth(page, worker, target, plan.startMonth, timeout)) {
+      consoleLog(`⚠️  Could not open the calendar on ${plan.startMonth} - starting from ${await shownMonth(page, SITE)}`);
+    }
+  }
+
+  const days = [];
+  const months = [];
+  const sources = new Set();
+  const unlisted = new Set();
+  const soldOut = [];
+  for (let i = 0; i < MAX_MONTHS; i++) {
+    const month = await shownMonth(page, SITE);
+    const read = await readMonth(worker, target, run, month);
+    months.push(month);
+    sources.add(read.source);
+    read.unlisted.forEach(date => unlisted.add(date));
+    soldOut.push(...read.soldOut.filter(day => !soldOut.some(d => d.date === day.date)));
+    // Calendars that show a few days of the next month list them again there
+    for (const day of read.days) {
+      if (!days.some(d => d.dateLabel === day.dateLabel)) days.push({ ...day, month });
+    }
+
+    const last = (await shownMonths(page, SITE)).pop();
+    if (!last || monthEnd(last) >= plan.end) break;
+    if (!await pageForward(page, SITE, worker.probe)) {
+      consoleLog(`📅 Can't page past ${last} - the calendar ends there`);
+      break;
+    }
+  }
+
+  const seen = new Set(days.map(day => parseDateLabel(day.dateLabel)));
+  const missing = [...unlisted].filter(date => !seen.has(date) && date <= plan.end);
+  if (missing.length > 0) {
+    consoleLog(`📡 Skipping ${missing.length} day(s) the calendar never showed: ${missing.join(', ')}`);
+  }
+  const dayCount = days.length;
 
   // Check Cloudflare block status
-  const blockData = getCloudflareBlocks();
-  const wasBlockedThisRun = blockData.history.length > 0 &&
-                            blockData.history[blockData.history.length - 1].blocked;
+  const blockData = getBlockStats();
+  const wasBlockedThisRun = blockData.history.some(h => h.blocked && h.runId === getRunId());
 
   // Analytics data structure
   const analyticsData = {
     timestamp: new Date().toISOString(),
-    isPeakWindow,
+    runId: getRunId(),
+    target: target.id,
+    isPeakWindow: peakWindow,
     cloudflareBlocked: wasBlockedThisRun,
-    totalAvailableDays: availableDays.length,
+    source: sources.size === 1 ? [...sources][0] : 'mixed',
+    months,
+    totalAvailableDays: dayCount,
     availableDays: [],
     totalTimeSlots: 0
   };
 
-  if (availableDays.length === 0) {
-    consoleLog('😢 No available days found');
+  if (dayCount === 0) {
+    consoleLog(`😢 No available days found (${months.join(', ')})`);
     logAnalytics(analyticsData);
+    recordTargetOutcome(target.id, 'no-availability');
+    await joinWaitlists(worker, target, run, soldOut);
     return false;
   }
 
-  // First availability detection - alert on Slack
-  consoleLog(`🙌 Found ${availableDays.length} available days`);
-  await log(`🚨 AVAILABILITY DETECTED: ${availableDays.length} days have slots!`);
+  consoleLog(`🙌 Found ${dayCount} available days`);
+  await log(`🚨 AVAILABILITY DETECTED: ${dayCount} days have slots!`, 'availability');
 
-  // Check each day for desired time slots
-  for (let i = 0; i < availableDays.length; i++) {
-    const day = availableDays[i];
-    const dateLabel = await day.getAttribute('aria-label');
+  const scannedSlots = [];
+  for (const { dateLabel, slots, month } of days) {
+    slots.forEach(time => scannedSlots.push({ dateLabel, time, month }));
+    analyticsData.availableDays.push({
+      date: dateLabel,
+      isoDate: parseDateLabel(dateLabel),
+      month,
+      timeSlots: slots
+    });
+    analyticsData.totalTimeSlots += slots.length;
+  }
+
+  // Already booked with afterBooking "upgrade": only slots that rank above the current booking count
+  const upgrading = getWatchlistState().upgrading[target.id];
+  let candidates = rankCandidates(scannedSlots, buildRules(target));
+  if (upgrading) {
+    const current = rankCandidates([...scannedSlots, { dateLabel: upgrading.date, time: upgrading.time, current: true }], buildRules(target));
+    const better = current.findIndex(c => c.current);
+    candidates = (better === -1 ? candidates : current.slice(0, better))
+      .filter(c => !(c.date === upgrading.date && c.time === upgrading.time));
+  }
+  if (candidates.length === 0) {
+    consoleLog(upgrading ? `😢 Nothing better than the current booking (${upgrading.date} ${upgrading.time})` : '😢 No matching time slots found');
+    logAnalytics(analyticsData);
+    recordTargetOutcome(target.id, 'no-match', { availableDays: dayCount, slots: scannedSlots.length });
+    await joinWaitlists(worker, target, run, soldOut);
+    return false;
+  }
+
+  consoleLog(`🏅 ${candidates.length} matching slot(s), best first: ${candidates.slice(0, 5).map(c => `${c.date} ${c.time}`).join(', ')}`);
+  const best = candidates[0];
+  await log(`🎯 MATCHED DESIRED TIME: ${best.time} on ${best.dateLabel} for ${target.name}!`, 'availability');
+  analyticsData.matchedSlot = { date: best.dateLabel, time: best.time };
+  analyticsData.candidates = candidates.length;
+  logAnalytics(analyticsData);
+
+  if (run.dryRun) {
+    await log('🧪 DRY RUN MODE - Would book now!', 'availability');
+    await screenshot(page, 'would-book.png');
+    recordTargetOutcome(target.id, 'dry-run-match', { date: best.date, time: best.time });
+    return true;
+  }
+
+  // One checkout per booking group at a time, across workers and bot processes
+  if (!acquireBookingGuard(target.group)) {
+    consoleLog(`🔒 Another worker is already booking ${target.group} - leaving it to them`);
+    recordTargetOutcome(target.id, 'slots-taken', { reason: 'already-booking' });
+    return false;
+  }
+  try {
+    const book = () => bookCandidates(worker, target, candidates, run);
+    // Every booking counts against MAX_TOTAL_SPEND, so with a cap set checkouts take turns
+    return await (MAX_TOTAL_SPEND !== null ? serialize('checkout', book) : book());
+  } finally {
+    releaseBookingGuard(target.group);
+  }
+}
 
+// Open days and their times for the month the calendar shows: from the availability response,
+// or by clicking through the open days. { days: [{ dateLabel, slots }], unlisted, soldOut, source }
+async function readMonth(worker, target, run, month) {
+  const { page } = worker;
+  const startedAt = Date.now();
+
+  // Read every day and time from the calendar's availability response (probe.js);
+  // clicking through the days is the fallback, and after one miss the only way this session
+  let probed = PROBE_MODE === 'network' && !worker.probe.missed ? await probeDays(worker, target) : null;
+  if (!probed) {
+    await page.waitForTimeout(2000);
+  }
+
+  const availableDays = await page.$$(SITE.selectors.availableDay);
+  if (probed && probed.days.length === 0 && availableDays.length > 0) {
+    consoleLog(`📡 The availability response lists nothing but ${availableDays.length} day(s) are open - checking days by hand from now on`);
+    worker.probe.missed = true;
+    probed = null;
+  }
+
+  let days = probed ? probed.days : [];
+  if (!probed && availableDays.length > 0) {
+    const dateLabels = await Promise.all(availableDays.map(day => day.getAttribute(SITE.selectors.dayLabelAttribute)));
+    days = await scanDays(worker, target, dateLabels, run, month);
+  }
+  // Sold-out days, for joining their waitlists (only looked for when the target opted in)
+  const soldOut = waitlistEnabled(target) ? await soldOutDays(page, SITE) : [];
+  const slots = days.reduce((sum, day) => sum + day.slots.length, 0);
+  consoleLog(`📅 ${month}: ${days.length} open day(s), ${slots} time slot(s)${soldOut.length > 0 ? `, ${soldOut.length} sold out` : ''}`);
+  recordPhase('calendar-month', startedAt, { month, days: days.length, slots, soldOut: soldOut.length, source: probed ? 'network' : 'dom' });
+  return { days, unlisted: probed ? probed.unlisted : [], soldOut, source: probed ? 'network' : 'dom' };
+}
+
+// Days and times from the calendar's availability response ({ days, unlisted }, see probe.js),
+// or null to click through the days instead
+async function probeDays(worker, target) {
+  const startedAt = Date.now();
+  const result = await probeAvailability(worker.page, worker.probe, SITE, target.partySize);
+  if (!result) {
+    consoleLog('📡 No availability response captured - checking days by hand from now on');
+    recordPhase('probe', startedAt, { status: 'error' });
+    worker.probe.missed = true;
+    return null;
+  }
+
+  const slots = result.days.reduce((sum, day) => sum + day.slots.length, 0);
+  consoleLog(`📡 Availability response: ${result.days.length} day(s), ${slots} time slot(s) on this page`);
+  recordPhase('probe', startedAt, { days: result.days.length, slots });
+  return result;
+}
+
+// Open each available day and read its time slots, in calendar order. With SCAN_TABS > 1
+// the days are split across extra tabs in the worker's context (same login), opened on `month`.
+async function scanDays(worker, target, dateLabels, run, month) {
+  const [own, ...others] = splitDays(dateLabels, SCAN_TABS);
+  const scans = await Promise.all([
+    scanDayList(worker.page, own),
+    ...others.map((labels, i) => scanInTab(worker, i, target, labels, run, month))
+  ]);
+
+  // A tab that failed leaves its days to the main page
+  const results = scans.filter(Boolean).flat();
+  for (let i = 0; i < others.length; i++) {
+    if (!scans[i + 1]) {
+      results.push(...await scanDayList(worker.page, others[i]));
+    }
+  }
+  return dateLabels.map(label => results.find(r => r.dateLabel === label));
+}
+
+async function scanDayList(page, dateLabels) {
+  const results = [];
+  for (const dateLabel of dateLabels) {
     consoleLog(`📅 Checking ${dateLabel}...`);
-    await day.click();
+    const dayStartedAt = Date.now();
+    await page.locator(daySelector(SITE, dateLabel)).first().click();
     await page.waitForTimeout(800); // Reduced from 1500ms for faster checking
 
-    // Get time slots
-    const timeSlots = await page.$$('[data-testid="search-result-time"] span');
-    consoleLog(`   Found ${timeSlots.length} time slots`);
+    const slots = (await page.locator(SITE.selectors.timeSlot).allTextContents()).map(text => text.trim());
+    consoleLog(`   Found ${slots.length} time slots`);
+    recordPhase('day-scan', dayStartedAt, { date: dateLabel, slots: slots.length });
+    results.push({ dateLabel, slots });
+  }
+  return results;
+}
+
+// Scan `dateLabels` in the worker's extra tab `i` (opened on first use); null if the tab fails
+async function scanInTab(worker, i, target, dateLabels, run, month) {
+  try {
+    if (!worker.tabs[i]) {
+      worker.tabs[i] = await worker.context.newPage();
+    }
+    const tab = worker.tabs[i];
+    if (!await showMonth(tab, worker, target, month, run.gotoTimeout)) {
+      throw new Error(`could not open ${month}`);
+    }
+    return await scanDayList(tab, dateLabels);
+  } catch (error) {
+    if (error instanceof CloudflareTimeoutError) {
+      throw error;
+    }
+    consoleLog(`⚠️  Scan tab ${i + 2} failed (${errorMessage(error)}) - scanning its days in the main tab`);
+    return null;
+  }
+}
 
-    // Collect time slot data for analytics
-    const daySlots = [];
-    for (const slot of timeSlots) {
-      const timeText = await slot.textContent();
-      const trimmedTime = timeText.trim();
-      daySlots.push(trimmedTime);
+// Join Tock's notify list for the sold-out days the target would take (WAITLIST_ENROLL or its
+// own "waitlist"), a few per check. A failed enrollment is logged, never fatal to the check.
+async function joinWaitlists(worker, target, run, soldOut) {
+  if (!waitlistEnabled(target) || soldOut.length === 0) return;
+  const { page } = worker;
+  for (const day of waitlistCandidates(target, soldOut).slice(0, WAITLIST_MAX_PER_RUN)) {
+    if (run.dryRun) {
+      consoleLog(`🧪 DRY RUN - would join the waitlist for ${target.name} on ${day.date}`);
+      continue;
+    }
+    const startedAt = Date.now();
+    try {
+      const cell = () => page.locator(daySelector(SITE, day.dateLabel)).first();
+      if (await cell().count() === 0 && !await showMonth(page, worker, target, day.month, run.gotoTimeout)) {
+        throw new Error(`could not open ${day.month}`);
+      }
+      await cell().click();
+      const times = await setNotify(page, SITE, target);
+      if (times === null) {
+        consoleLog(`🔕 None of the notify times on ${day.date} would do for ${target.name}`);
+        recordPhase('waitlist', startedAt, { date: day.date, status: 'skipped' });
+      } else {
+        await enrolled(worker, target, day.date, times, 'sold-out', startedAt);
+      }
+    } catch (error) {
+      if (error instanceof CloudflareTimeoutError) {
+        throw error;
+      }
+      consoleLog(`⚠️  Could not join the waitlist for ${day.date}: ${errorMessage(error)}`);
+      recordPhase('waitlist', startedAt, { date: day.date, status: 'error', error: errorMessage(error) });
     }
+    await page.keyboard.press('Escape').catch(() => {}); // Close the notify form
+  }
+}
 
-    analyticsData.availableDays.push({
-      date: dateLabel,
-      timeSlots: daySlots
-    });
-    analyticsData.totalTimeSlots += daySlots.length;
+// A slot taken at checkout brings up Tock's "Set Notify" form: ask to hear if it frees up again
+async function joinTakenWaitlist(worker, target, candidate) {
+  if (!waitlistEnabled(target) || targetWaitlists(target.id)[candidate.date]) return;
+  const startedAt = Date.now();
+  try {
+    const times = await setNotify(worker.page, SITE, target, [candidate.time]);
+    if (times !== null) {
+      await enrolled(worker, target, candidate.date, times, 'taken', startedAt);
+    }
+  } catch (error) {
+    consoleLog(`⚠️  Could not join the waitlist for ${candidate.date} ${candidate.time}: ${errorMessage(error)}`);
+    recordPhase('waitlist', startedAt, { date: candidate.date, status: 'error', error: errorMessage(error) });
+  }
+}
 
-    for (const slot of timeSlots) {
-      const timeText = await slot.textContent();
-      const trimmedTime = timeText.trim();
+async function enrolled(worker, target, date, times, source, startedAt) {
+  recordEnrollment(target.id, date, { times, account: worker.activeAccount, source });
+  recordPhase('waitlist', startedAt, { date, times, source });
+  await log(`🔔 Joined the Tock waitlist for ${target.name} on ${date}${times.length > 0 ? ` (${times.join(', ')})` : ''}`);
+}
 
-      if (desiredTimes.includes(trimmedTime)) {
-        await log(`🎯 MATCHED DESIRED TIME: ${trimmedTime} on ${dateLabel}!`);
-        analyticsData.matchedSlot = { date: dateLabel, time: trimmedTime };
-        logAnalytics(analyticsData);
+// Work down the ranked candidates until one books or a failure rules out the rest.
+// Called with the target's booking guard held.
+async function bookCandidates(worker, target, candidates, run) {
+  // Another target in the same group may have been booked while we were scanning
+  if (!getActiveTargets().some(t => t.id === target.id)) {
+    consoleLog(`✅ ${target.name} was booked in the meantime (group ${target.group})`);
+    recordTargetOutcome(target.id, 'slots-taken', { reason: 'already-booked' });
+    return false;
+  }
 
-        if (dryRun) {
-          await log('🧪 DRY RUN MODE - Would book now!');
-          await page.screenshot({ path: path.join(DATA_DIR, 'would-book.png') });
-          return true;
-        }
+  const maxPrice = spendLimit(target);
+  if (maxPrice !== null && maxPrice <= 0) {
+    await log(`💸 Spend cap reached (MAX_TOTAL_SPEND) - not booking ${target.name}`, 'warning');
+    recordTargetOutcome(target.id, 'booking-failed', { reason: 'over-budget' });
+    return false;
+  }
 
-        // Click the time slot
-        await slot.click();
-        await page.waitForTimeout(1500); // Reduced from 3000ms
-
-        // Check for Cloudflare challenge
-        const cloudflareDetected = await page.locator('text=Verify you are human').count() > 0 ||
-                                   await page.locator('[name="cf-turnstile-response"]').count() > 0 ||
-                                   await page.locator('.cf-turnstile').count() > 0;
-
-        if (cloudflareDetected) {
-          await log('🤖 ALERT: Cloudflare challenge detected! Manual intervention needed!');
-          await page.screenshot({ path: path.join(DATA_DIR, 'cloudflare-challenge.png') });
-
-          // Wait up to 150 seconds for manual solving
-          consoleLog('⏳ Waiting 150s for manual Cloudflare solve...');
-          await page.waitForTimeout(150000);
-
-          // Check if still blocked
-          const stillBlocked = await page.locator('text=Verify you are human').count() > 0;
-          if (stillBlocked) {
-            await log('❌ Cloudflare challenge not solved, aborting.');
-            return false;
-          }
-          consoleLog('✅ Cloudflare challenge passed!');
-        }
+  const failures = {};
+  for (const candidate of candidates.slice(0, MAX_BOOKING_ATTEMPTS)) {
+    if (!run.claims.claim(slotKey(target, candidate), worker.index)) {
+      consoleLog(`⏭️  ${candidate.time} on ${candidate.dateLabel} is already being tried by another worker`);
+      continue;
+    }
+    const result = await bookSlot(worker, target, candidate, maxPrice);
+    if (result.status === 'booked') {
+      recordTargetOutcome(target.id, 'booked', { date: candidate.date, time: candidate.time, price: result.price });
+      return true;
+    }
 
-        // Check for CVV field
-        try {
-          const cvvFrame = page.frameLocator('iframe[type="cvv"]');
-          const cvvInput = cvvFrame.locator('#cvv');
-
-          if (await cvvInput.count() > 0) {
-            consoleLog('💳 Entering CVV...');
-            await cvvInput.fill(process.env.TOCK_CVV);
-            await page.waitForTimeout(500); // Reduced from 1000ms
-          }
-        } catch (e) {
-          consoleLog('💸 No CVV required');
-        }
+    failures[result.reason] = (failures[result.reason] || 0) + 1;
+    if (result.reason === 'purchase-unconfirmed') {
+      await holdUnconfirmedPurchase(worker, target, candidate, result);
+      return false;
+    }
+    if (result.abort) {
+      await log('❌ Cloudflare challenge not solved, aborting.', 'cloudflare');
+      recordTargetOutcome(target.id, 'cloudflare-timeout', { date: candidate.date, time: candidate.time });
+      return false;
+    }
+    if (!result.retry) {
+      await log(`❌ ALERT: Booking ${target.name} failed (${result.reason}): ${result.message}`, 'error');
+      await screenshot(worker.page, 'booking-failed.png');
+      recordTargetOutcome(target.id, 'booking-failed', { reason: result.reason, date: candidate.date, time: candidate.time });
+      return false;
+    }
+    consoleLog(`⚠️  ${result.message} (${result.reason}), trying next slot...`);
+  }
 
-        // Check for "Notify" modal (slot already taken)
-        const notifyModal = await page.locator('text=Set Notify').count() > 0;
-        if (notifyModal) {
-          consoleLog('⚠️  Slot already taken, trying next slot...');
-          await page.keyboard.press('Escape'); // Close modal
-          await page.waitForTimeout(500);
-          continue; // Try next time slot
-        }
+  const onlyTaken = Object.keys(failures).every(reason => reason === 'slot-taken' || reason === 'hold-expired');
+  if (onlyTaken) {
+    consoleLog('😢 Every matching slot was taken before we could book it');
+  } else {
+    await log(`⚠️ Could not book any of ${target.name}'s matching slots: ${JSON.stringify(failures)}`, 'warning');
+  }
+  recordTargetOutcome(target.id, onlyTaken ? 'slots-taken' : 'booking-failed', { candidates: candidates.length, failures });
+  return false;
+}
 
-        // Click purchase button
-        consoleLog('🎯 Submitting reservation...');
-        await page.click('[data-testid="purchase-button"]', { timeout: 10000 });
+// The purchase was submitted but never confirmed, so it may have gone through. Trying another
+// slot could book twice: disable the target and its group until someone has checked Tock.
+async function holdUnconfirmedPurchase(worker, target, candidate, result) {
+  await log(`🚨 URGENT: ${target.name} on ${candidate.dateLabel} at ${candidate.time} MAY HAVE BEEN BOOKED (${result.message}). `
+    + 'Check your Tock account - the target stays disabled until you re-enable it from the control panel', 'error');
+  await screenshot(worker.page, 'purchase-unconfirmed.png').catch(() => {});
+  recordTargetOutcome(target.id, 'booking-failed', { reason: result.reason, date: candidate.date, time: candidate.time });
 
-        // Wait for confirmation
-        await page.waitForSelector('[data-testid="receipt-confirmation-id"]', { timeout: 15000 });
-        const confirmationId = await page.textContent('[data-testid="receipt-confirmation-id"]');
+  for (const other of getActiveTargets().filter(t => t.group === target.group)) {
+    try {
+      updateTarget(other.id, { enabled: false });
+      consoleLog(`⛔ Disabled ${other.name} until the purchase is checked`);
+    } catch (error) {
+      await log(`❌ Could not disable ${other.name}: ${error.message}`, 'error');
+    }
+  }
+}
 
-        await log(`🎉 SUCCESS! Booked ${dateLabel} at ${trimmedTime}!`);
-        await log(`📋 Confirmation: ${confirmationId}`);
-        await page.screenshot({ path: path.join(DATA_DIR, 'success.png') });
+// Run the booking state machine (booking.js) for one candidate and handle a success.
+// Returns the attempt's result: { status: 'booked' | 'failed', reason, retry, abort, ... }
+async function bookSlot(worker, target, candidate, maxPrice) {
+  const { page } = worker;
+  const { dateLabel, time } = candidate;
+  consoleLog(`🎯 Trying ${time} on ${dateLabel}...`);
+
+  const startedAt = Date.now();
+  const result = await bookCandidate(page, {
+    site: SITE,
+    target,
+    candidate,
+    maxPrice,
+    cvv: getAccount(worker.activeAccount).cvv,
+    helpers: {
+      log: consoleLog,
+      reopenCalendar: () => openTarget(page, worker, target, 30000),
+      showMonth: month => showMonth(page, worker, target, month, 30000),
+      joinWaitlist: () => joinTakenWaitlist(worker, target, candidate),
+      waitOutChallenge: () => waitOutCheckoutChallenge(page, worker, target)
+    }
+  });
+  recordPhase('purchase', startedAt, {
+    date: candidate.date,
+    time,
+    status: result.status === 'booked' ? 'ok' : 'error',
+    reason: result.reason
+  });
+  if (result.status !== 'booked') {
+    return result;
+  }
 
-        // Stop the cron jobs after successful booking
-        await log('🛑 Stopping bot - disabling cron jobs...');
-        require('child_process').execSync(path.join(__dirname, '..', 'scripts', 'stop-bot.sh'));
-        await log('✅ Bot stopped successfully!');
+  const { confirmationId, price } = result;
+  const previous = getWatchlistState().upgrading[target.id];
+  await log(`🎉 SUCCESS! Booked ${target.name} on ${dateLabel} at ${time}${price !== null ? ` ($${price})` : ''}!`, 'success');
+  await log(`📋 Confirmation: ${confirmationId}`, 'success');
+  if (previous) {
+    await log(`🔁 This replaces ${previous.date} ${previous.time} - cancel booking ${previous.confirmationId} on Tock`, 'success');
+  }
 
-        // Delete cookies file
-        if (fs.existsSync(COOKIES_FILE)) {
-          fs.unlinkSync(COOKIES_FILE);
-        }
+  // Ledger entry with the receipt page (data/bookings.jsonl, data/receipts/)
+  await recordBooking({
+    target,
+    candidate,
+    confirmationId,
+    price,
+    account: worker.activeAccount,
+    runId: getRunId(),
+    receiptUrl: page.url(),
+    replaces: previous ? previous.confirmationId : null,
+    screenshot: file => maskedScreenshot(page, SITE, { path: file, fullPage: true })
+  });
 
-        return true;
-      }
-    }
+  // What happens next is the target's afterBooking (POST_BOOKING_ACTION): "upgrade" keeps
+  // watching it for a better slot, anything else retires it. Its alternatives (same group)
+  // are retired either way - the rest of the watchlist keeps running.
+  const action = postBookingAction(target);
+  if (action === 'upgrade') {
+    markUpgrading(target.id, { date: candidate.date, time, confirmationId, price });
+    consoleLog(`🔁 Still watching ${target.name} for a better slot than ${candidate.date} ${time}`);
+  } else {
+    retireTarget(target.id, { date: candidate.date, time, confirmationId, price });
+  }
+  for (const other of getActiveTargets().filter(t => t.group === target.group && t.id !== target.id)) {
+    retireTarget(other.id, { bookedAs: target.id });
+    consoleLog(`🗂️  Retired ${other.name} too (same group as ${target.name})`);
   }
 
-  consoleLog('😢 No matching time slots found');
-  logAnalytics(analyticsData);
-  return false;
+  if (action === 'stop') {
+    pause('booked');
+    await log(`🛑 Booked ${target.name} - monitoring paused (afterBooking: stop; resume it from the control panel)`);
+  } else if (getActiveTargets().length === 0) {
+    // Pause monitoring once every target is booked; new targets and a resume from the control panel restart it
+    pause('all-booked');
+    await log('🛑 All targets booked - monitoring paused (resume it from the control panel)');
+
+    // Nothing left to log in for - delete every saved session
+    Object.keys(loadAccounts()).forEach(clearSession);
+  }
+
+  return result;
 }
 
-// Ensure lock is removed on any exit
-process.on('SIGINT', () => {
-  removeLock();
-  process.exit(0);
-});
+// A challenge on the way to checkout: true once it clears, false if it never does
+async function waitOutCheckoutChallenge(page, worker, target) {
+  try {
+    return await detectCloudflare(page, worker, `${target.name} - checkout`);
+  } catch (error) {
+    if (error instanceof CloudflareTimeoutError) return false;
+    throw error;
+  }
+}
+
+let daemonMode = false;
 
-process.on('SIGTERM', () => {
-  removeLock();
+function handleSignal(signal) {
+  if (daemonMode && !shuttingDown) {
+    // Let the current check finish, then close the browser and release the lock
+    shuttingDown = true;
+    consoleLog(`🛑 Received ${signal}, shutting down after the current check...`);
+    if (wakeDaemon) wakeDaemon();
+    return;
+  }
+  // Ensure lock is removed on any exit
+  releaseRunLock();
+  releaseDaemonLock();
   process.exit(0);
-});
+}
 
-bookReservation().then(success => {
-  process.exit(success ? 0 : 1);
-});
+// Run one of the entry points below as this process's job: signals release the locks (the
+// daemon finishes its check first), and the exit code is 0 on success. Anything that escapes
+// the entry point's own error handling still releases the locks, so the next run isn't
+// turned away by a lock nobody holds.
+function runMain(main, { daemon = false } = {}) {
+  daemonMode = daemon;
+  process.on('SIGINT', () => handleSignal('SIGINT'));
+  process.on('SIGTERM', () => handleSignal('SIGTERM'));
+  return main().then(async success => {
+    await flushNotifications();
+    process.exit(success ? 0 : 1);
+  }).catch(async error => {
+    log(`❌ Fatal error: ${errorMessage(error)}`, 'error');
+    releaseRunLock();
+    releaseDaemonLock();
+    await flushNotifications().catch(() => {});
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  bookReservation,
+  runDaemon,
+  runSelftest,
+  refreshLogin,
+  runMain
+};
+
+// node src/bot.js [--daemon | --selftest] (see cli.js for the other commands)
+if (require.main === module) {
+  const daemon = process.argv.includes('--daemon');
+  runMain(daemon ? runDaemon : process.argv.includes('--selftest') ? runSelftest : bookReservation, { daemon });
+}
@@ -0,0 +1,127 @@
+// Multi-month calendars: Tock opens its calendar on the current month, while new months are
+// what drops at release time. Every check pages forward (or jumps straight to a later month)
+// until it has seen every day up to the target's look-ahead horizon.
+const { buildRules, parseDateLabel } = require('./matcher');
+const { resetProbe } = require('./probe');
+
+// "60" / "60d" / "60 days" ahead, or "through" a date: "2026-12-31" / "2026-12" (end of that month)
+const CALENDAR_HORIZON = process.env.CALENDAR_HORIZON || '60d';
+// Month to open the calendar on (YYYY-MM), instead of the one Tock shows first
+const CALENDAR_START_MONTH = process.env.CALENDAR_START_MONTH || '';
+// Never page further than this, whatever the horizon says
+const MAX_MONTHS = 12;
+const PAGE_TIMEOUT_MS = 10000;
+const POLL_MS = 200;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function localIsoDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Last day of a YYYY-MM month
+function monthEnd(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return `${month}-${pad(new Date(Date.UTC(year, monthNumber, 0)).getUTCDate())}`;
+}
+
+// Last ISO date a horizon covers; throws a RangeError on anything else
+function parseHorizon(value, now = new Date()) {
+  const text = String(value).trim().toLowerCase();
+  const days = text.match(/^(\d+)\s*(?:d|days?)?$/);
+  if (days) {
+    const end = new Date(now.getFullYear(), now.getMonth(), now.getDate() + Number(days[1]));
+    return localIsoDate(end);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(new Date(`${text}T00:00:00Z`))) {
+    return text;
+  }
+  if (/^\d{4}-(0[1-9]|1[0-2])$/.test(text)) {
+    return monthEnd(text);
+  }
+  throw new RangeError(`Invalid calendar horizon: ${value} (use e.g. "60d" or "2026-12-31")`);
+}
+
+function parseMonth(value) {
+  const text = String(value).trim();
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(text)) {
+    throw new RangeError(`Invalid start month: ${value} (use YYYY-MM)`);
+  }
+  return text;
+}
+
+// { startMonth: 'YYYY-MM' | null, end: 'YYYY-MM-DD' } for a target. Date ranges narrow both:
+// there is no point paging past the last allowed date, or starting before the first.
+function calendarPlan(target, now = new Date()) {
+  let end = parseHorizon(target.horizon || CALENDAR_HORIZON, now);
+  let startMonth = target.startMonth || CALENDAR_START_MONTH ? parseMonth(target.startMonth || CALENDAR_START_MONTH) : null;
+
+  const { dateRanges } = buildRules(target);
+  if (dateRanges.length > 0 && dateRanges.every(range => range.to)) {
+    const lastAllowed = dateRanges.map(range => range.to).sort().pop();
+    if (lastAllowed < end) end = lastAllowed;
+  }
+  if (!startMonth && dateRanges.length > 0 && dateRanges.every(range => range.from)) {
+    const firstAllowed = dateRanges.map(range => range.from).sort()[0];
+    if (firstAllowed.slice(0, 7) > localIsoDate(now).slice(0, 7)) startMonth = firstAllowed.slice(0, 7);
+  }
+  return { startMonth, end };
+}
+
+// YYYY-MM -> number of day cells on the page in that month
+async function monthCounts(page, site) {
+  const { calendarDay, dayLabelAttribute } = site.selectors;
+  const labels = await page.$$eval(calendarDay, (days, attribute) => days.map(day => day.getAttribute(attribute)), dayLabelAttribute);
+  const counts = {};
+  for (const label of labels) {
+    const date = parseDateLabel(label);
+    if (date) counts[date.slice(0, 7)] = (counts[date.slice(0, 7)] || 0) + 1;
+  }
+  return counts;
+}
+
+// Month the calendar shows: the one most of its day cells belong to (null without cells)
+async function shownMonth(page, site) {
+  const counts = await monthCounts(page, site);
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || (a < b ? -1 : 1))[0] || null;
+}
+
+// Every month with a day cell on the page, in order (some calendars show a few at once)
+async function shownMonths(page, site) {
+  return Object.keys(await monthCounts(page, site)).sort();
+}
+
+// Click "next month" and wait for a later month to show. False when there is no enabled
+// button (the last bookable month) or the calendar didn't move.
+async function pageForward(page, site, probe = null, timeout = PAGE_TIMEOUT_MS) {
+  const before = await shownMonth(page, site);
+  const button = page.locator(site.selectors.nextMonth).first();
+  if (await button.count() === 0 || await button.isDisabled() || await button.getAttribute('aria-disabled') === 'true') {
+    return false;
+  }
+  // The next month's availability arrives without a navigation; don't read this month's instead
+  if (probe) resetProbe(probe);
+  await button.click();
+
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    await page.waitForTimeout(POLL_MS);
+    const month = await shownMonth(page, site).catch(() => null); // The page may be mid-navigation
+    if (month && (!before || month > before)) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  CALENDAR_HORIZON,
+  MAX_MONTHS,
+  monthEnd,
+  parseHorizon,
+  parseMonth,
+  calendarPlan,
+  shownMonth,
+  shownMonths,
+  pageForward
+};
@@ -0,0 +1,230 @@
+// Cloudflare/Turnstile challenges, handled the same way at every navigation point.
+// Each check is logged to cloudflare.jsonl, and that history decides what happens next:
+// back off (longer each time) after a challenge that never clears, cool down while the
+// block rate is high, rotate a session that keeps getting blocked, and resume once the rate drops.
+// Every decision is recorded to challenge-decisions.jsonl for the dashboard.
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const { getRunId, recordPhase, emitEvent } = require('./events');
+const { challengeVisible } = require('./site-profile');
+const { DATA_DIR } = require('./paths');
+const { INTERVENTION_ENABLED, INTERVENTION_TIMEOUT_SECONDS, intervene } = require('./intervention');
+const { maskedScreenshot } = require('./redact');
+
+const CHALLENGE_STATE_FILE = path.join(DATA_DIR, 'challenge-state.json');
+const CLOUDFLARE_WAIT_SECONDS = Number(process.env.CLOUDFLARE_WAIT_SECONDS || 150);
+const CLOUDFLARE_POLL_SECONDS = Number(process.env.CLOUDFLARE_POLL_SECONDS || 10);
+// Skip checks for 5, 10, 20, ... minutes after each challenge that never clears
+const CHALLENGE_BACKOFF_MINUTES = Number(process.env.CHALLENGE_BACKOFF_MINUTES || 5);
+const CHALLENGE_BACKOFF_MAX_MINUTES = Number(process.env.CHALLENGE_BACKOFF_MAX_MINUTES || 240);
+// A longer pause while at least this share of recent checks were blocked
+const CHALLENGE_COOLDOWN_RATE = Number(process.env.CHALLENGE_COOLDOWN_RATE || 0.5);
+const CHALLENGE_COOLDOWN_MINUTES = Number(process.env.CHALLENGE_COOLDOWN_MINUTES || 120);
+// Consecutive blocks on one session before its cookies are thrown away
+const CHALLENGE_ROTATE_AFTER = Number(process.env.CHALLENGE_ROTATE_AFTER || 3);
+const RATE_WINDOW = 20;
+const RATE_MIN_CHECKS = 5;
+
+// Thrown when a challenge never clears - every later navigation would hit it too
+class CloudflareTimeoutError extends Error {}
+
+function readChallengeState() {
+  try {
+    if (fs.existsSync(CHALLENGE_STATE_FILE)) {
+      const content = fs.readFileSync(CHALLENGE_STATE_FILE, 'utf-8');
+      if (content.trim()) {
+        return JSON.parse(content);
+      }
+    }
+  } catch (e) {
+    console.error('Error reading challenge state:', e.message);
+  }
+  return { level: 0, cooldownUntil: null, lastBlockAt: null, lastRotationAt: null, rotations: 0 };
+}
+
+function writeChallengeState(state) {
+  fs.writeFileSync(CHALLENGE_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+// Streak, recent block rate and the raw history. The streak only counts blocks since
+// the last rotation, so a fresh session starts with a clean slate.
+function blockStats(history, since = null) {
+  let consecutive = 0;
+  for (let i = history.length - 1; i >= 0 && history[i].blocked; i--) {
+    if (since && history[i].timestamp <= since) break;
+    consecutive += 1;
+  }
+  const recent = history.slice(-RATE_WINDOW);
+  const blocked = recent.filter(h => h.blocked).length;
+  return {
+    consecutive,
+    checks: recent.length,
+    rate: recent.length ? blocked / recent.length : 0,
+    history
+  };
+}
+
+function getBlockStats(state = readChallengeState()) {
+  return blockStats(store.tail('cloudflare', 100), state.lastRotationAt);
+}
+
+// Blocks within the longest backoff, for the alert. Streams only that window of the log.
+async function recentBlocks(now = new Date()) {
+  const from = new Date(now.getTime() - CHALLENGE_BACKOFF_MAX_MINUTES * 60000).toISOString();
+  return (await store.query('cloudflare', { from, filter: r => r.blocked, limit: 0 })).total;
+}
+
+function recordCheck(blocked, location) {
+  store.append('cloudflare', { timestamp: new Date().toISOString(), blocked, location, runId: getRunId() });
+}
+
+function recordDecision(decision, fields = {}) {
+  const record = { timestamp: new Date().toISOString(), runId: getRunId(), decision, ...fields };
+  store.append('challenges', record);
+  emitEvent('challenge', { decision, ...fields });
+  return record;
+}
+
+function backoffMinutes(level) {
+  return Math.min(CHALLENGE_BACKOFF_MAX_MINUTES, CHALLENGE_BACKOFF_MINUTES * 2 ** Math.max(0, level - 1));
+}
+
+// After a challenge that never cleared: the next state and the decisions that led to it
+function planAfterTimeout(state, stats, now = new Date()) {
+  const level = (state.level || 0) + 1;
+  const minutes = backoffMinutes(level);
+  let until = now.getTime() + minutes * 60000;
+  const decisions = [{ decision: 'backoff', level, minutes }];
+
+  if (stats.checks >= RATE_MIN_CHECKS && stats.rate >= CHALLENGE_COOLDOWN_RATE) {
+    const cooldownUntil = now.getTime() + CHALLENGE_COOLDOWN_MINUTES * 60000;
+    if (cooldownUntil > until) {
+      until = cooldownUntil;
+      decisions.push({ decision: 'cooldown', rate: Number(stats.rate.toFixed(2)), minutes: CHALLENGE_COOLDOWN_MINUTES });
+    }
+  }
+
+  const next = { ...state, level, cooldownUntil: new Date(until).toISOString(), lastBlockAt: now.toISOString() };
+  if (stats.consecutive >= CHALLENGE_ROTATE_AFTER) {
+    decisions.push({ decision: 'rotate-session', consecutive: stats.consecutive });
+    next.lastRotationAt = now.toISOString();
+    next.rotations = (state.rotations || 0) + 1;
+  }
+  return { state: next, decisions };
+}
+
+// After a clean check: back to normal once the recent block rate has dropped
+function planAfterClear(state, stats) {
+  if (!state.level || stats.rate >= CHALLENGE_COOLDOWN_RATE) {
+    return { state, decisions: [] };
+  }
+  return {
+    state: { ...state, level: 0, cooldownUntil: null },
+    decisions: [{ decision: 'resume', previousLevel: state.level, rate: Number(stats.rate.toFixed(2)) }]
+  };
+}
+
+// Milliseconds left of the current backoff/cooldown (0 when checks may run)
+function cooldownRemaining(now = new Date(), state = readChallengeState()) {
+  if (!state.cooldownUntil) return 0;
+  return Math.max(0, new Date(state.cooldownUntil) - now);
+}
+
+// Current state plus block stats, for the dashboard
+function getChallengeStatus(now = new Date()) {
+  const state = readChallengeState();
+  const { consecutive, checks, rate } = getBlockStats(state);
+  return { ...state, cooldownMs: cooldownRemaining(now, state), consecutive, checks, rate };
+}
+
+async function waitForClear(page, site, location) {
+  console.log(`⏳ Waiting up to ${CLOUDFLARE_WAIT_SECONDS}s for the challenge to clear (${location})...`);
+  const maxIterations = Math.ceil(CLOUDFLARE_WAIT_SECONDS / CLOUDFLARE_POLL_SECONDS);
+  for (let i = 0; i < maxIterations; i++) {
+    await page.waitForTimeout(CLOUDFLARE_POLL_SECONDS * 1000);
+    if (!await challengeVisible(site, page)) {
+      return true;
+    }
+    // Progress update every 3 polls
+    if ((i + 1) % 3 === 0) {
+      console.log(`⏳ Still waiting... (${(i + 1) * CLOUDFLARE_POLL_SECONDS}s / ${CLOUDFLARE_WAIT_SECONDS}s elapsed)`);
+    }
+  }
+  return false;
+}
+
+// Check `page` for a challenge and deal with it. Returns false when there was none,
+// true once one cleared; throws CloudflareTimeoutError when it never does.
+// helpers: { log(message, level), saveSession(), rotateSession() }; slot: the worker's intervention slot
+async function handleChallenge(page, { site, location, slot, helpers }) {
+  console.log(`🔍 Checking for Cloudflare challenge (${location})...`);
+
+  if (!await challengeVisible(site, page)) {
+    recordCheck(false, location);
+    const state = readChallengeState();
+    const plan = planAfterClear(state, getBlockStats(state));
+    if (plan.decisions.length > 0) {
+      writeChallengeState(plan.state);
+      plan.decisions.forEach(d => recordDecision(d.decision, { ...d, location }));
+      await helpers.log(`✅ Cloudflare block rate is down to ${Math.round(plan.decisions[0].rate * 100)}% - back to the normal schedule`, 'cloudflare');
+    }
+    return false;
+  }
+
+  const startedAt = Date.now();
+  recordCheck(true, location);
+  const stats = getBlockStats();
+  await helpers.log(`🤖 ALERT: Cloudflare challenge detected at ${location}! (Consecutive blocks: ${stats.consecutive}, last ${CHALLENGE_BACKOFF_MAX_MINUTES} min: ${await recentBlocks()})`, 'cloudflare');
+  await maskedScreenshot(page, site, { path: path.join(DATA_DIR, 'cloudflare-detected.png') });
+  // With intervention mode on, someone can solve it remotely while we wait
+  const waitSeconds = INTERVENTION_ENABLED ? INTERVENTION_TIMEOUT_SECONDS : CLOUDFLARE_WAIT_SECONDS;
+  recordDecision('wait', { location, seconds: waitSeconds, consecutive: stats.consecutive, intervention: INTERVENTION_ENABLED });
+
+  const cleared = INTERVENTION_ENABLED
+    ? await intervene(page, { reason: 'challenge', location, site, slot, isDone: async () => !await challengeVisible(site, page), log: helpers.log })
+    : await waitForClear(page, site, location);
+  if (cleared) {
+    // With intervention mode on, a person had the page while it cleared
+    const by = INTERVENTION_ENABLED ? 'intervention' : 'auto';
+    await helpers.log(by === 'intervention'
+      ? '✅ Cloudflare challenge cleared during remote intervention. Saving session...'
+      : '✅ Cloudflare challenge auto-solved! Saving session...', 'cloudflare');
+    await maskedScreenshot(page, site, { path: path.join(DATA_DIR, 'cloudflare-cleared.png') });
+    await helpers.saveSession();
+    recordPhase('cloudflare', startedAt, { location, result: 'solved', by });
+    recordDecision('solved', { location, by, waitedMs: Date.now() - startedAt });
+    return true;
+  }
+
+  await maskedScreenshot(page, site, { path: path.join(DATA_DIR, 'cloudflare-timeout.png') });
+  recordPhase('cloudflare', startedAt, { location, result: 'timeout', status: 'error' });
+
+  const plan = planAfterTimeout(readChallengeState(), getBlockStats());
+  writeChallengeState(plan.state);
+  plan.decisions.forEach(d => recordDecision(d.decision, { ...d, location }));
+
+  const pause = plan.decisions.find(d => d.decision === 'cooldown') || plan.decisions[0];
+  await helpers.log(`❌ ALERT: Cloudflare challenge not solved after ${waitSeconds}s wait. Aborting run and pausing checks for ${pause.minutes} min (${pause.decision}).`, 'cloudflare');
+  if (plan.decisions.some(d => d.decision === 'rotate-session')) {
+    await helpers.log(`⚠️ WARNING: ${stats.consecutive} consecutive Cloudflare blocks - session looks flagged, starting a fresh one.`, 'warning');
+    await helpers.rotateSession();
+  }
+  throw new CloudflareTimeoutError(`Cloudflare challenge not solved after ${waitSeconds}s wait`);
+}
+
+module.exports = {
+  CHALLENGE_STATE_FILE,
+  CloudflareTimeoutError,
+  readChallengeState,
+  blockStats,
+  getBlockStats,
+  recentBlocks,
+  recordDecision,
+  backoffMinutes,
+  planAfterTimeout,
+  planAfterClear,
+  cooldownRemaining,
+  getChallengeStatus,
+  handleChallenge
+};
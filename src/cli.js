@@ -0,0 +1,205 @@
+// Command-line entry point: node src/cli.js <command> (run with no command for the list).
+// `check` and `book` validate the configuration first, so a typo is reported up front
+// rather than halfway through a run.
+require('dotenv').config();
+const { validateConfig } = require('./config');
+const store = require('./store');
+const analytics = require('./analytics');
+const { RELEASE_TIMEZONE } = require('./scheduler');
+const { controlStatus } = require('./control');
+const { healthReport } = require('./health');
+
+const USAGE = `Usage: node src/cli.js <command>
+
+  check                 Scan every target and report matches, without booking
+  book                  Scan and book (a real attempt, whatever DRY_RUN says)
+  login [account...]    Refresh the saved login session (every account by default)
+  daemon                Keep one browser running and check on the release schedule
+  selftest              Check the site profile's selectors against Tock
+  status [--json]       Locks, monitoring state, sessions and the last run
+  analytics [--days N] [--target id] [--json]
+                        Summary of the checks recorded in data/ (default: last 7 days)
+  validate-config       Check .env and the watchlist; exits 1 on errors`;
+
+// --name value
+function option(args, name, fallback = null) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 || args[index + 1] === undefined ? fallback : args[index + 1];
+}
+
+function printValidation({ errors, warnings, targets }) {
+  errors.forEach(message => console.log(`❌ ${message}`));
+  warnings.forEach(message => console.log(`⚠️  ${message}`));
+  if (errors.length === 0) {
+    console.log(`✅ Configuration OK (${targets} target(s)${warnings.length > 0 ? `, ${warnings.length} warning(s)` : ''})`);
+  } else {
+    console.log(`\n${errors.length} problem(s) to fix before the bot can run`);
+  }
+}
+
+// check / book refuse to start on a broken configuration
+function validOrExit() {
+  const result = validateConfig();
+  if (result.errors.length > 0) {
+    printValidation(result);
+    process.exit(1);
+  }
+  result.warnings.forEach(message => console.log(`⚠️  ${message}`));
+}
+
+function age(iso, now) {
+  const minutes = Math.round((now - new Date(iso)) / 60000);
+  return minutes < 120 ? `${minutes} min ago` : `${Math.round(minutes / 60)}h ago`;
+}
+
+function lockText(lock) {
+  if (!lock) return 'none';
+  return `PID ${lock.pid} (${lock.alive ? 'running' : 'stale'}, ${lock.ageSeconds}s old)`;
+}
+
+function printStatus(now = new Date()) {
+  const status = controlStatus(now);
+  const health = healthReport(now);
+  const { control, lastRun } = status;
+  const booked = status.targets.filter(t => t.retired).length;
+  const active = status.targets.filter(t => t.enabled && !t.retired).length;
+
+  console.log(`🩺 Health: ${health.status}${health.problems.map(p => `\n   - ${p.message}`).join('')}`);
+  console.log(`${control.paused ? '⏸️  Monitoring: paused' : '▶️  Monitoring: active'}${control.paused ? ` (${control.pauseReason || 'manual'} since ${new Date(control.pausedAt).toLocaleString()})` : ''}`);
+  console.log(`🧪 Dry run: ${status.dryRun ? 'on' : 'off'}${control.dryRun !== null ? ' (set from the control panel)' : ''}`);
+  console.log(`🔒 Run lock: ${lockText(status.locks.run)}`);
+  console.log(`🤖 Daemon: ${status.locks.daemon && status.locks.daemon.alive ? `PID ${status.locks.daemon.pid}` : 'not running'}`);
+  if (health.sessions.length === 0) {
+    console.log('🔑 Sessions: none saved');
+  }
+  for (const session of health.sessions) {
+    const state = session.active ? `expires in ${session.expiresInHours}h` : 'expired';
+    console.log(`🔑 Session ${session.account}: saved ${session.ageHours}h ago, ${state}`);
+  }
+  console.log(`🏁 Last run: ${lastRun ? `${lastRun.outcome} ${age(lastRun.finishedAt, now)} (${lastRun.runId})` : 'never'}`);
+  console.log(`⏰ Next release window: ${status.nextPeakWindow ? `${status.nextPeakWindow.label} (${new Date(status.nextPeakWindow.start).toLocaleString()})` : 'none'}`);
+  console.log(`🎯 Targets: ${active} active, ${booked} booked, ${status.targets.length - active - booked} disabled`);
+}
+
+function percent(rate) {
+  return `${Math.round(rate * 1000) / 10}%`;
+}
+
+// Counts of `key(item)`, most common first: "a 3, b 1"
+function tally(items, key) {
+  const counts = {};
+  items.forEach(item => {
+    counts[key(item)] = (counts[key(item)] || 0) + 1;
+  });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([name, count]) => `${name} ${count}`).join(', ');
+}
+
+async function analyticsReport({ days, target }, now = new Date()) {
+  const range = { from: new Date(now.getTime() - days * 86400000).toISOString(), to: now.toISOString(), limit: Infinity };
+  const checks = (await store.query('analytics', { ...range, filter: analytics.buildFilter({ target }) })).items;
+  const runs = (await store.query('runs', range)).items;
+  const bookings = (await store.query('bookings', { ...range, filter: b => !target || b.target === target })).items;
+  return {
+    from: range.from,
+    to: range.to,
+    target: target || null,
+    summary: analytics.summarize(checks),
+    byTarget: [...new Set(checks.map(c => c.target))].map(id => ({
+      target: id,
+      ...analytics.summarize(checks.filter(c => c.target === id))
+    })),
+    bestHours: analytics.availabilityByHour(checks, RELEASE_TIMEZONE)
+      .filter(h => h.withAvailability > 0)
+      .sort((a, b) => b.withAvailability - a.withAvailability || a.hour - b.hour)
+      .slice(0, 3),
+    runs: { total: runs.length, outcomes: tally(runs, r => r.outcome) },
+    bookings
+  };
+}
+
+function printAnalytics(report, days) {
+  const { summary } = report;
+  console.log(`📊 Last ${days} day(s)${report.target ? ` for ${report.target}` : ''}: ${summary.checks} checks (${summary.peakChecks} in release windows), `
+    + `${summary.withAvailability} with availability (${percent(summary.availabilityRate)}), ${summary.totalTimeSlots} time slots, `
+    + `${summary.matches} matches, ${summary.cloudflareBlocked} Cloudflare blocks`);
+  if (report.byTarget.length > 1) {
+    report.byTarget.forEach(t => console.log(`   ${t.target}: ${t.checks} checks, ${t.withAvailability} with availability, ${t.matches} matches`));
+  }
+  if (report.bestHours.length > 0) {
+    const hours = report.bestHours.map(h => `${String(h.hour).padStart(2, '0')}:00 (${h.withAvailability} of ${h.checks} checks)`);
+    console.log(`🕐 Most availability (${RELEASE_TIMEZONE}): ${hours.join(', ')}`);
+  }
+  console.log(`🏁 Runs: ${report.runs.total}${report.runs.total > 0 ? ` - ${report.runs.outcomes}` : ''}`);
+  console.log(`🎉 Bookings: ${report.bookings.length}`);
+  report.bookings.forEach(b => console.log(`   ${b.target} ${b.date} ${b.time}${b.confirmationId ? ` (${b.confirmationId})` : ''}`));
+}
+
+async function main([command, ...args]) {
+  switch (command) {
+    case 'check': {
+      validOrExit();
+      const { runMain, bookReservation } = require('./bot');
+      return runMain(() => bookReservation({ dryRun: true }));
+    }
+    case 'book': {
+      validOrExit();
+      if (process.env.DRY_RUN === 'true') {
+        console.log('⚠️  DRY_RUN=true is ignored - this is a real booking attempt');
+      }
+      const { runMain, bookReservation } = require('./bot');
+      return runMain(() => bookReservation({ dryRun: false }));
+    }
+    case 'login': {
+      const { runMain, refreshLogin } = require('./bot');
+      return runMain(() => refreshLogin(args));
+    }
+    case 'daemon': {
+      const { runMain, runDaemon } = require('./bot');
+      return runMain(runDaemon, { daemon: true });
+    }
+    case 'selftest': {
+      const { runMain, runSelftest } = require('./bot');
+      return runMain(runSelftest);
+    }
+    case 'status':
+      if (args.includes('--json')) {
+        console.log(JSON.stringify({ ...controlStatus(), health: healthReport() }, null, 2));
+      } else {
+        printStatus();
+      }
+      return;
+    case 'analytics': {
+      const days = Number(option(args, 'days', 7));
+      if (!Number.isFinite(days) || days <= 0) {
+        throw new RangeError('--days must be a number above 0');
+      }
+      const report = await analyticsReport({ days, target: option(args, 'target') });
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        printAnalytics(report, days);
+      }
+      return;
+    }
+    case 'validate-config': {
+      const result = validateConfig();
+      printValidation(result);
+      process.exitCode = result.errors.length > 0 ? 1 : 0;
+      return;
+    }
+    default:
+      console.log(USAGE);
+      process.exitCode = command && !['help', '--help', '-h'].includes(command) ? 1 : 0;
+  }
+}
+
+module.exports = {
+  analyticsReport
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
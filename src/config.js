@@ -0,0 +1,225 @@
+// Up-front configuration check (`node src/cli.js validate-config`): the settings in .env and
+// every watchlist entry, so a typo is caught before a release window instead of as a crash
+// (or a run that silently matches nothing) in the middle of one.
+const fs = require('fs');
+const { buildRules, parseTime } = require('./matcher');
+const { isValidTimeZone } = require('./timezone');
+const { parseHorizon, parseMonth } = require('./calendar');
+const { POST_BOOKING_ACTIONS } = require('./bookings');
+const { WATCHLIST_FILE, readRawTargets, normalizeTarget, validateTarget } = require('./watchlist');
+const { loadAccounts } = require('./vault');
+const { loadSiteProfile } = require('./site-profile');
+const { LEVELS, loadChannelConfigs } = require('./notifiers');
+
+// Numeric settings by what they allow; unset ones keep their defaults
+const NUMBER_SETTINGS = {
+  positive: [
+    'POLL_INTERVAL_SECONDS', 'PEAK_POLL_INTERVAL_SECONDS', 'CLOUDFLARE_WAIT_SECONDS', 'CLOUDFLARE_POLL_SECONDS',
+    'MAX_BOOKING_ATTEMPTS', 'WORKERS', 'SCAN_TABS', 'PROBE_WAIT_SECONDS', 'SESSION_MAX_AGE_HOURS',
+    'INTERVENTION_TIMEOUT_SECONDS', 'CHALLENGE_BACKOFF_MINUTES', 'CHALLENGE_BACKOFF_MAX_MINUTES',
+    'CHALLENGE_COOLDOWN_MINUTES', 'CHALLENGE_ROTATE_AFTER', 'RELEASE_BUCKET_MINUTES', 'HEALTH_STALE_MINUTES',
+    'HEALTH_WINDOW_HOURS', 'HEALTH_CALENDAR_FAILURES', 'HEALTH_REALERT_HOURS', 'BOOKING_DURATION_MINUTES',
+    'WAITLIST_MAX_PER_RUN', 'WAITLIST_ALERT_MINUTES', 'NOTIFY_TIMEOUT_SECONDS', 'COMPACT_INTERVAL_HOURS', 'ANALYTICS_RETENTION_DAYS',
+    'CLOUDFLARE_RETENTION_DAYS', 'RUNS_RETENTION_DAYS', 'EVENTS_RETENTION_DAYS', 'SLOT_EVENTS_RETENTION_DAYS',
+    'CHALLENGE_RETENTION_DAYS'
+  ],
+  nonNegative: ['PEAK_LEAD_MINUTES', 'PEAK_TRAIL_MINUTES', 'MAX_TOTAL_SPEND', 'WATCHDOG_INTERVAL_MINUTES'],
+  fraction: ['HEALTH_ERROR_RATE', 'PREDICTION_MIN_CONFIDENCE', 'CHALLENGE_COOLDOWN_RATE']
+};
+const BOOLEAN_SETTINGS = ['DRY_RUN', 'HEADLESS', 'VERIFY_CHECKOUT', 'INTERVENTION_ENABLED', 'WAITLIST_ENROLL'];
+const CHOICE_SETTINGS = {
+  PROBE_MODE: ['network', 'dom'],
+  RELEASE_SOURCE: ['config', 'predicted', 'both'],
+  POST_BOOKING_ACTION: POST_BOOKING_ACTIONS,
+  PREFER: ['time', 'date']
+};
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const BOOKING_PATH = /^\/[^/]+\/experience\/\d+\/[^/]+/;
+
+function isUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+function checkNumbers(env, errors) {
+  const rules = {
+    positive: [n => n > 0, 'a number above 0'],
+    nonNegative: [n => n >= 0, 'a number (0 or more)'],
+    fraction: [n => n >= 0 && n <= 1, 'a number from 0 to 1']
+  };
+  for (const [kind, names] of Object.entries(NUMBER_SETTINGS)) {
+    const [ok, expected] = rules[kind];
+    for (const name of names) {
+      const value = env[name];
+      if (value === undefined || value === '') continue;
+      if (!Number.isFinite(Number(value)) || !ok(Number(value))) {
+        errors.push(`${name}=${value} must be ${expected}`);
+      }
+    }
+  }
+}
+
+function checkSettings(env, errors, warnings) {
+  checkNumbers(env, errors);
+  for (const name of BOOLEAN_SETTINGS) {
+    if (env[name] && !['true', 'false'].includes(env[name])) {
+      errors.push(`${name}=${env[name]} must be true or false`);
+    }
+  }
+  for (const [name, choices] of Object.entries(CHOICE_SETTINGS)) {
+    if (env[name] && !choices.includes(env[name])) {
+      errors.push(`${name}=${env[name]} must be one of ${choices.join(', ')}`);
+    }
+  }
+
+  // Times and time zones
+  for (const text of String(env.RELEASE_TIMES || '').split(',').map(t => t.trim()).filter(Boolean)) {
+    if (parseTime(text) === null) {
+      errors.push(`RELEASE_TIMES: "${text}" is not a time like 5:00 PM`);
+    }
+  }
+  if (env.DIGEST_TIME && parseTime(env.DIGEST_TIME) === null) {
+    errors.push(`DIGEST_TIME=${env.DIGEST_TIME} is not a time like 9:00 PM`);
+  }
+  for (const name of ['RELEASE_TIMEZONE', 'BOOKING_TIMEZONE']) {
+    if (env[name] && !isValidTimeZone(env[name])) {
+      errors.push(`${name}=${env[name]} is not an IANA time zone like America/Los_Angeles`);
+    }
+  }
+  for (const [name, parse] of [['CALENDAR_HORIZON', parseHorizon], ['CALENDAR_START_MONTH', parseMonth]]) {
+    if (!env[name]) continue;
+    try {
+      parse(env[name]);
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  for (const name of ['TOCK_BASE_URL', 'PUBLIC_BASE_URL']) {
+    if (env[name] && !isUrl(env[name])) {
+      errors.push(`${name}=${env[name]} is not an http(s) URL`);
+    }
+  }
+  if (env.CONTROL_TOKEN && env.CONTROL_TOKEN.length < 16) {
+    warnings.push('CONTROL_TOKEN is short - anyone who guesses it can turn dry-run off (use openssl rand -hex 24)');
+  }
+}
+
+// Accounts the targets and workers need, and what each can do at checkout
+function checkAccounts(env, targets, errors, warnings) {
+  if (env.TOCK_EMAIL && !env.TOCK_PASSWORD) {
+    errors.push('TOCK_EMAIL is set but TOCK_PASSWORD is not');
+  }
+  let accounts;
+  try {
+    accounts = loadAccounts(env);
+  } catch (error) {
+    errors.push(`Vault: ${error.message}`);
+    return;
+  }
+  if (Object.keys(accounts).length === 0) {
+    errors.push('No Tock account - set TOCK_EMAIL/TOCK_PASSWORD or run: node src/vault.js set <account>');
+    return;
+  }
+
+  const wanted = new Set(String(env.WORKER_ACCOUNTS || '').split(',').map(s => s.trim()).filter(Boolean));
+  targets.filter(target => target.account).forEach(target => wanted.add(target.account));
+  for (const id of wanted) {
+    if (!accounts[id]) {
+      errors.push(`Account "${id}" is not in the vault - add it with: node src/vault.js set ${id}`);
+    }
+  }
+  if (!env.VAULT_PASSPHRASE && !env.VAULT_KEY_FILE) {
+    warnings.push('No VAULT_PASSPHRASE or VAULT_KEY_FILE - login sessions are saved unencrypted in data/sessions/, where anyone who can read them is logged in to Tock as you');
+  }
+  for (const account of Object.values(accounts)) {
+    if (!account.cvv) {
+      warnings.push(`Account "${account.id}" has no CVV - checkout fails if Tock asks for one`);
+    }
+  }
+}
+
+// Every watchlist entry (disabled ones too): the same checks as control panel edits, plus
+// the things that only show up at run time
+function checkTargets(targets, errors, warnings) {
+  const where = fs.existsSync(WATCHLIST_FILE) ? WATCHLIST_FILE : '.env (BOOKING_PAGE/PARTY_SIZE/DESIRED_TIME_SLOTS)';
+  if (targets.length === 0) {
+    errors.push(`No targets - set BOOKING_PAGE and DESIRED_TIME_SLOTS, or create ${WATCHLIST_FILE}`);
+    return;
+  }
+
+  const ids = new Set();
+  targets.forEach((raw, index) => {
+    const target = normalizeTarget(raw, index);
+    const label = `Target "${target.id}" in ${where}`;
+    if (ids.has(target.id)) {
+      errors.push(`${label}: the id is used twice`);
+    }
+    ids.add(target.id);
+
+    try {
+      validateTarget(raw, index);
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+      return;
+    }
+    const rules = buildRules(target);
+    if (rules.desiredTimes.length === 0 && rules.timeWindows.length === 0) {
+      errors.push(`${label}: no desiredTimes (DESIRED_TIME_SLOTS) or timeWindows, so nothing would ever match`);
+    }
+    for (const range of rules.dateRanges) {
+      const bad = [range.from, range.to].find(date => date && !ISO_DATE.test(date));
+      if (bad) {
+        errors.push(`${label}: date range "${bad}" is not a YYYY-MM-DD date`);
+      }
+    }
+    if (!BOOKING_PATH.test(target.bookingPage)) {
+      warnings.push(`${label}: bookingPage ${target.bookingPage} doesn't look like /restaurant/experience/123/name`);
+    }
+  });
+}
+
+function checkSite(errors, warnings) {
+  try {
+    loadSiteProfile();
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  const channels = loadChannelConfigs();
+  if (channels.length === 0) {
+    warnings.push('No notification channels - alerts only go to the console (see "Notifications" in the README)');
+  }
+  for (const channel of channels) {
+    const levels = Array.isArray(channel.levels) ? channel.levels : String(channel.levels || '').split(',');
+    const unknown = levels.map(l => String(l).trim().toLowerCase()).filter(l => l && !LEVELS.includes(l));
+    if (unknown.length > 0) {
+      errors.push(`Notifier ${channel.name || channel.type}: unknown level(s) ${unknown.join(', ')} (use ${LEVELS.join(', ')})`);
+    }
+  }
+}
+
+// { errors: [message], warnings: [message], targets } - errors stop `check` and `book`
+function validateConfig(env = process.env) {
+  const errors = [];
+  const warnings = [];
+  let targets = [];
+  try {
+    targets = readRawTargets();
+  } catch (error) {
+    errors.push(`${WATCHLIST_FILE}: ${error.message}`);
+  }
+
+  checkSettings(env, errors, warnings);
+  checkTargets(targets, errors, warnings);
+  checkAccounts(env, targets, errors, warnings);
+  checkSite(errors, warnings);
+  return { errors, warnings, targets: targets.length };
+}
+
+module.exports = {
+  validateConfig
+};
@@ -0,0 +1,217 @@
+// Remote control of the bot from the analytics server's /control page: pause and resume
+// monitoring, ask for a check right away and override DRY_RUN. The state lives in
+// data/control.json, which the bot reads before every check (and the daemon watches).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { DATA_DIR } = require('./paths');
+const { LOCK_FILE, DAEMON_LOCK_FILE, readLock } = require('./lock');
+const { readRawTargets, normalizeTarget, getWatchlistState } = require('./watchlist');
+const { nextPeakWindow } = require('./scheduler');
+const { targetWaitlists } = require('./waitlists');
+const store = require('./store');
+
+const CONTROL_FILE = path.join(DATA_DIR, 'control.json');
+// Required by every control endpoint; without it the control panel stays off
+const CONTROL_TOKEN = process.env.CONTROL_TOKEN || '';
+// How "check now" starts a single run when no daemon is running (from the repo root). It runs
+// headless and follows the dry-run setting, like a cron run; its output goes to CHECK_LOG_FILE.
+const CHECK_COMMAND = process.env.CHECK_COMMAND || `"${process.execPath}" src/bot.js`;
+const CHECK_LOG_FILE = path.join(DATA_DIR, 'check-now.log');
+const WATCH_INTERVAL_MS = 1000;
+
+// Watchlist fields the control panel may set
+const TARGET_FIELDS = [
+  'id', 'name', 'bookingPage', 'partySize', 'desiredTimes', 'priority', 'group', 'account', 'enabled',
+  'maxPrice', 'dateRange', 'weekdays', 'excludedDays', 'timeWindows', 'preferredTime', 'prefer',
+  'horizon', 'startMonth', 'afterBooking', 'waitlist'
+];
+
+const DEFAULT_CONTROL = {
+  paused: false,
+  pausedAt: null,
+  pauseReason: null,
+  dryRun: null,               // null: follow DRY_RUN
+  checkRequestedAt: null,
+  checkHandledAt: null,
+  lastCheck: null,            // the last run "check now" started: { pid, startedAt, finishedAt, exitCode, error }
+  updatedAt: null
+};
+
+function readControl() {
+  try {
+    if (fs.existsSync(CONTROL_FILE)) {
+      const content = fs.readFileSync(CONTROL_FILE, 'utf-8');
+      if (content.trim()) {
+        return { ...DEFAULT_CONTROL, ...JSON.parse(content) };
+      }
+    }
+  } catch (e) {
+    console.error('Error reading control state:', e.message);
+  }
+  return { ...DEFAULT_CONTROL };
+}
+
+// Merge `changes` into the control state (written atomically, since two processes share it)
+function updateControl(changes, now = new Date()) {
+  const control = { ...readControl(), ...changes, updatedAt: now.toISOString() };
+  const tmp = `${CONTROL_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(control, null, 2));
+  fs.renameSync(tmp, CONTROL_FILE);
+  return control;
+}
+
+function pause(reason = 'manual', now = new Date()) {
+  return updateControl({ paused: true, pausedAt: now.toISOString(), pauseReason: reason }, now);
+}
+
+function resume(now = new Date()) {
+  return updateControl({ paused: false, pausedAt: null, pauseReason: null }, now);
+}
+
+// true/false overrides DRY_RUN until set back to null
+function setDryRun(value, now = new Date()) {
+  if (value !== null && typeof value !== 'boolean') {
+    throw new RangeError('dryRun must be true, false or null');
+  }
+  return updateControl({ dryRun: value }, now);
+}
+
+function dryRunEnabled(control = readControl(), env = process.env) {
+  return control.dryRun === null ? env.DRY_RUN === 'true' : control.dryRun;
+}
+
+function checkPending(control = readControl()) {
+  return Boolean(control.checkRequestedAt) && (!control.checkHandledAt || control.checkRequestedAt > control.checkHandledAt);
+}
+
+// True (once) if someone asked for a check since the last one that picked a request up
+function takeCheckRequest(now = new Date()) {
+  if (!checkPending()) return false;
+  updateControl({ checkHandledAt: now.toISOString() }, now);
+  return true;
+}
+
+// Whether a check may run now: not paused, or paused but someone asked for this one
+function checkAllowed(now = new Date()) {
+  const requested = takeCheckRequest(now);
+  const control = readControl();
+  return { allowed: !control.paused || requested, requested, control };
+}
+
+// "Check now": wake the daemon if one is running, else start a single run in the background.
+// Returns how the check was started, or null while a run is already in progress.
+function startCheck(now = new Date()) {
+  const daemon = readLock(DAEMON_LOCK_FILE);
+  const run = readLock(LOCK_FILE);
+  if (!(daemon && daemon.alive) && run && run.alive) {
+    return null;
+  }
+
+  updateControl({ checkRequestedAt: now.toISOString() }, now);
+  if (daemon && daemon.alive) {
+    return 'daemon';
+  }
+  spawnCheck(now);
+  return 'run';
+}
+
+// Start CHECK_COMMAND in the background and record how it ended in `lastCheck`
+function spawnCheck(now = new Date()) {
+  const log = fs.openSync(CHECK_LOG_FILE, 'a');
+  fs.writeSync(log, `\n=== Check started ${now.toISOString()}: ${CHECK_COMMAND}\n`);
+  // No screen to show a browser on, and the dry-run setting the panel shows (not whatever .env says)
+  const env = { ...process.env, HEADLESS: 'true', DRY_RUN: String(dryRunEnabled()) };
+  const child = spawn(CHECK_COMMAND, {
+    cwd: path.join(__dirname, '..'), detached: true, stdio: ['ignore', log, log], shell: true, env
+  });
+  fs.closeSync(log);
+
+  const lastCheck = { pid: child.pid || null, startedAt: now.toISOString(), finishedAt: null, exitCode: null, error: null };
+  updateControl({ lastCheck }, now);
+  const finish = changes => {
+    updateControl({ lastCheck: { ...lastCheck, finishedAt: new Date().toISOString(), ...changes } });
+  };
+  child.on('error', error => {
+    console.error('Error starting a check:', error.message);
+    finish({ error: error.message });
+  });
+  child.on('exit', (code, signal) => {
+    if (code !== 0) {
+      console.error(`❌ Check exited with ${signal || `code ${code}`} - see ${CHECK_LOG_FILE}`);
+    }
+    finish({ exitCode: code, error: signal ? `killed by ${signal}` : null });
+  });
+  child.unref();
+  return child;
+}
+
+// Call `onChange(control)` whenever the control file changes (the daemon uses it to wake up)
+function watchControl(onChange) {
+  const listener = () => onChange(readControl());
+  fs.watchFile(CONTROL_FILE, { interval: WATCH_INTERVAL_MS }, listener);
+  return () => fs.unwatchFile(CONTROL_FILE, listener);
+}
+
+// Constant-time check of a token from the control page
+function authorize(token) {
+  if (!CONTROL_TOKEN || typeof token !== 'string') return false;
+  const expected = crypto.createHash('sha256').update(CONTROL_TOKEN).digest();
+  const given = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, given);
+}
+
+// Only the watchlist fields the panel is allowed to write
+function targetFields(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new RangeError('Expected a JSON object');
+  }
+  return Object.fromEntries(Object.entries(body).filter(([key]) => TARGET_FIELDS.includes(key)));
+}
+
+function lockStatus(file) {
+  const lock = readLock(file);
+  return lock ? { pid: lock.pid, alive: lock.alive, ageSeconds: Math.round(lock.ageMs / 1000) } : null;
+}
+
+// Everything the control page shows
+function controlStatus(now = new Date()) {
+  const control = readControl();
+  const { retired, upgrading } = getWatchlistState();
+  const next = nextPeakWindow(now);
+  return {
+    control: { ...control, checkPending: checkPending(control) },
+    dryRun: dryRunEnabled(control),
+    locks: { run: lockStatus(LOCK_FILE), daemon: lockStatus(DAEMON_LOCK_FILE) },
+    lastRun: store.tail('runs', 1)[0] || null,
+    nextPeakWindow: next ? { label: next.label, start: next.start.toISOString() } : null,
+    // Disabled entries too, so they can be switched back on
+    targets: readRawTargets().map(normalizeTarget).map(target => ({
+      ...target,
+      retired: retired[target.id] || null,
+      upgrading: upgrading[target.id] || null,
+      waitlists: targetWaitlists(target.id, now)
+    }))
+  };
+}
+
+module.exports = {
+  CONTROL_FILE,
+  CONTROL_TOKEN,
+  CHECK_LOG_FILE,
+  readControl,
+  updateControl,
+  pause,
+  resume,
+  setDryRun,
+  dryRunEnabled,
+  checkPending,
+  takeCheckRequest,
+  checkAllowed,
+  startCheck,
+  watchControl,
+  authorize,
+  targetFields,
+  controlStatus
+};
@@ -0,0 +1,131 @@
+// Structured run history: every run emits JSONL phase events to data/events.jsonl
+// and one summary record with its final outcome to data/runs.jsonl.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const store = require('./store');
+
+// Most to least significant - the run's outcome is the most significant target outcome
+const OUTCOMES = [
+  'booked',
+  'cloudflare-timeout',
+  'login-failed',
+  'booking-failed',
+  'error',
+  'dry-run-match',
+  'slots-taken',
+  'no-match',
+  'no-availability'
+];
+
+let currentRun = null;
+// Target and worker for whatever is running inside withRunTarget() - parallel workers
+// each get their own, so events land on the right target
+const scope = new AsyncLocalStorage();
+
+function emitEvent(type, fields = {}) {
+  if (!currentRun) return;
+  const scoped = scope.getStore();
+  store.append('events', {
+    timestamp: new Date().toISOString(),
+    runId: currentRun.id,
+    type,
+    target: scoped ? scoped.target : currentRun.target,
+    ...(scoped && scoped.worker !== undefined ? { worker: scoped.worker } : {}),
+    ...fields
+  });
+}
+
+function startRun(fields = {}) {
+  currentRun = {
+    id: crypto.randomUUID(),
+    startedAt: new Date(),
+    target: null,
+    targets: {},
+    phases: {},
+    ...fields
+  };
+  emitEvent('run-started', fields);
+  return currentRun;
+}
+
+function getRunId() {
+  return currentRun ? currentRun.id : null;
+}
+
+function setRunTarget(targetId) {
+  if (currentRun) currentRun.target = targetId;
+}
+
+// Run `fn` with events attributed to `targetId` (and `worker`, in a worker pool)
+function withRunTarget(targetId, fn, worker) {
+  return scope.run({ target: targetId, worker }, fn);
+}
+
+// Record a finished phase (launch, login, calendar-load, ...) with its duration
+function recordPhase(phase, startedAt, fields = {}) {
+  const durationMs = Date.now() - startedAt;
+  if (currentRun) {
+    currentRun.phases[phase] = (currentRun.phases[phase] || 0) + durationMs;
+  }
+  emitEvent('phase', { phase, durationMs, status: 'ok', ...fields });
+}
+
+// Time `fn` as a phase; failures are recorded and rethrown
+async function timePhase(phase, fn, fields = {}) {
+  const startedAt = Date.now();
+  try {
+    const result = await fn();
+    recordPhase(phase, startedAt, fields);
+    return result;
+  } catch (error) {
+    recordPhase(phase, startedAt, { ...fields, status: 'error', error: error.message });
+    throw error;
+  }
+}
+
+function recordTargetOutcome(targetId, outcome, fields = {}) {
+  if (!currentRun) return;
+  currentRun.targets[targetId] = { outcome, ...fields };
+  emitEvent('target-outcome', { target: targetId, outcome, ...fields });
+}
+
+function mostSignificant(outcomes) {
+  return OUTCOMES.find(outcome => outcomes.includes(outcome)) || 'no-availability';
+}
+
+// Write the run summary. Without an explicit outcome it is derived from the target outcomes.
+function finishRun(outcome, fields = {}) {
+  if (!currentRun) return null;
+
+  const finishedAt = new Date();
+  const targetOutcomes = Object.values(currentRun.targets).map(t => t.outcome);
+  const summary = {
+    runId: currentRun.id,
+    mode: currentRun.mode,
+    startedAt: currentRun.startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - currentRun.startedAt,
+    outcome: outcome || mostSignificant(targetOutcomes),
+    targets: currentRun.targets,
+    phases: currentRun.phases,
+    ...fields
+  };
+
+  emitEvent('run-finished', { outcome: summary.outcome, durationMs: summary.durationMs });
+  store.append('runs', summary);
+  currentRun = null;
+  return summary;
+}
+
+module.exports = {
+  OUTCOMES,
+  startRun,
+  getRunId,
+  setRunTarget,
+  withRunTarget,
+  emitEvent,
+  recordPhase,
+  timePhase,
+  recordTargetOutcome,
+  finishRun
+};
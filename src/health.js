@@ -0,0 +1,241 @@
+// Health of the whole setup rather than of one run: are checks still happening, and are
+// they working? The watchdog (run by the analytics server, or from cron with
+// `node src/health.js`) alerts when checks stop or degrade and sends a daily digest,
+// so a dead cron, a broken Xvfb or a session that quietly expired doesn't go unnoticed.
+// .env first: the modules below read their settings (DATA_DIR, thresholds, notifiers) when loaded
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+const store = require('./store');
+const { LOCK_FILE, LOCK_TIMEOUT_MS, readLock } = require('./lock');
+const { readControl } = require('./control');
+const { getActiveTargets } = require('./watchlist');
+const { getChallengeStatus } = require('./challenge');
+const { listSessions } = require('./vault');
+const { RELEASE_TIMEZONE } = require('./scheduler');
+const { parseTime } = require('./matcher');
+const { zonedParts, zonedTimeToUtc } = require('./timezone');
+const { notify } = require('./notifiers');
+
+const HEALTH_STATE_FILE = path.join(DATA_DIR, 'health-state.json');
+// No successful check for this long means checks have stopped (cron runs every 15 minutes)
+const HEALTH_STALE_MINUTES = Number(process.env.HEALTH_STALE_MINUTES || 45);
+// Share of failed runs over the last HEALTH_WINDOW_HOURS that counts as degraded
+const HEALTH_ERROR_RATE = Number(process.env.HEALTH_ERROR_RATE || 0.5);
+const HEALTH_WINDOW_HOURS = Number(process.env.HEALTH_WINDOW_HOURS || 3);
+const HEALTH_MIN_RUNS = 3;
+// Calendar-load failures in a row that count as degraded
+const HEALTH_CALENDAR_FAILURES = Number(process.env.HEALTH_CALENDAR_FAILURES || 3);
+// Repeat an alert this often while the problem lasts
+const HEALTH_REALERT_HOURS = Number(process.env.HEALTH_REALERT_HOURS || 6);
+// How often the analytics server runs the watchdog; 0 leaves it to cron
+const WATCHDOG_INTERVAL_MINUTES = Number(process.env.WATCHDOG_INTERVAL_MINUTES || 5);
+// When the daily digest goes out (RELEASE_TIMEZONE); empty turns it off
+const DIGEST_TIME = process.env.DIGEST_TIME === undefined ? '9:00 PM' : process.env.DIGEST_TIME;
+
+// Target outcomes that mean the calendar was actually checked
+const CHECKED_OUTCOMES = ['booked', 'booking-failed', 'dry-run-match', 'slots-taken', 'no-match', 'no-availability'];
+const FAILED_OUTCOMES = ['error', 'cloudflare-timeout', 'login-failed'];
+const RECENT_RUNS = 500;
+const RECENT_EVENTS = 2000;
+
+function hoursSince(iso, now) {
+  return (now - new Date(iso)) / 3600000;
+}
+
+function formatAge(hours) {
+  return hours < 1 ? `${Math.round(hours * 60)} min` : `${Math.round(hours * 10) / 10}h`;
+}
+
+function checkedSomething(run) {
+  return Object.values(run.targets || {}).some(t => CHECKED_OUTCOMES.includes(t.outcome));
+}
+
+// Sessions with how old they are and how long they have left
+function sessionAges(now) {
+  return listSessions().map(s => ({
+    account: s.account,
+    active: s.active && (!s.expiresAt || new Date(s.expiresAt) > now),
+    ageHours: s.savedAt ? Math.round(hoursSince(s.savedAt, now) * 10) / 10 : null,
+    expiresInHours: s.active && s.expiresAt ? Math.round(-hoursSince(s.expiresAt, now) * 10) / 10 : null
+  }));
+}
+
+// { status: ok | paused | degraded | down, problems: [{ check, severity, message }], ... }
+function healthReport(now = new Date()) {
+  const runs = store.tail('runs', RECENT_RUNS);
+  const problems = [];
+  const control = readControl();
+  const cooldownMs = getChallengeStatus(now).cooldownMs;
+  const watching = !control.paused && getActiveTargets().length > 0;
+
+  // Checks still happening (not while paused, cooling down or with nothing to watch)
+  const lastCheck = [...runs].reverse().find(checkedSomething) || null;
+  const lastCheckAt = lastCheck ? lastCheck.finishedAt : null;
+  if (watching && cooldownMs === 0) {
+    if (!lastCheckAt) {
+      problems.push({ check: 'checks', severity: 'down', message: 'No check has completed yet' });
+    } else if (hoursSince(lastCheckAt, now) * 60 > HEALTH_STALE_MINUTES) {
+      problems.push({ check: 'checks', severity: 'down', message: `No successful check for ${formatAge(hoursSince(lastCheckAt, now))}` });
+    }
+  }
+
+  // Failure rate over the recent window
+  const recent = runs.filter(r => hoursSince(r.finishedAt, now) <= HEALTH_WINDOW_HOURS);
+  const failed = recent.filter(r => FAILED_OUTCOMES.includes(r.outcome));
+  const errorRate = recent.length ? failed.length / recent.length : 0;
+  if (recent.length >= HEALTH_MIN_RUNS && errorRate >= HEALTH_ERROR_RATE) {
+    const reasons = [...new Set(failed.map(r => r.outcome))].join(', ');
+    problems.push({ check: 'errors', severity: 'degraded', message: `${failed.length} of ${recent.length} runs failed in the last ${HEALTH_WINDOW_HOURS}h (${reasons})` });
+  }
+
+  // Calendar-load failures in a row
+  const calendarLoads = store.tail('events', RECENT_EVENTS).filter(e => e.type === 'phase' && e.phase === 'calendar-load');
+  let calendarFailures = 0;
+  for (let i = calendarLoads.length - 1; i >= 0 && calendarLoads[i].status === 'error'; i--) {
+    calendarFailures++;
+  }
+  if (calendarFailures >= HEALTH_CALENDAR_FAILURES) {
+    problems.push({ check: 'calendar', severity: 'degraded', message: `Calendar failed to load ${calendarFailures} times in a row` });
+  }
+
+  // Login: the latest run couldn't log in
+  const sessions = sessionAges(now);
+  const lastRun = runs[runs.length - 1] || null;
+  if (lastRun && Object.values(lastRun.targets || {}).some(t => t.outcome === 'login-failed')) {
+    const active = sessions.filter(s => s.active).map(s => s.account);
+    problems.push({ check: 'session', severity: 'degraded', message: `Login failed on the last run (active sessions: ${active.join(', ') || 'none'})` });
+  }
+
+  // A run lock held far longer than any run takes, or left behind by a dead process
+  const lock = readLock(LOCK_FILE);
+  if (lock && !lock.alive) {
+    problems.push({ check: 'lock', severity: 'degraded', message: `Stale run lock left by PID ${lock.pid}` });
+  } else if (lock && lock.ageMs > LOCK_TIMEOUT_MS) {
+    problems.push({ check: 'lock', severity: 'degraded', message: `PID ${lock.pid} has held the run lock for ${formatAge(lock.ageMs / 3600000)} - hung?` });
+  }
+
+  const status = problems.some(p => p.severity === 'down') ? 'down'
+    : problems.length > 0 ? 'degraded'
+      : watching ? 'ok' : 'paused';
+
+  return {
+    status,
+    checkedAt: now.toISOString(),
+    problems,
+    lastCheckAt,
+    lastRun: lastRun ? { runId: lastRun.runId, outcome: lastRun.outcome, finishedAt: lastRun.finishedAt } : null,
+    recent: { hours: HEALTH_WINDOW_HOURS, runs: recent.length, failed: failed.length, errorRate: Math.round(errorRate * 100) / 100 },
+    calendarFailures,
+    cooldownMs,
+    paused: control.paused,
+    sessions
+  };
+}
+
+// "312 checks, 4 with availability, 2 Cloudflare blocks, ..." for the last 24 hours
+async function digest(now = new Date()) {
+  const range = { from: new Date(now - 86400000).toISOString(), to: now.toISOString(), limit: Infinity };
+  const { items: runs } = await store.query('runs', range);
+  const { items: snapshots } = await store.query('analytics', range);
+  const { items: cloudflare } = await store.query('cloudflare', range);
+
+  const checks = runs.filter(checkedSomething).length;
+  const withAvailability = snapshots.filter(s => s.totalAvailableDays > 0).length;
+  const blocks = cloudflare.filter(c => c.blocked).length;
+  const bookings = runs.reduce((sum, r) => sum + Object.values(r.targets || {}).filter(t => t.outcome === 'booked').length, 0);
+  const failed = runs.filter(r => FAILED_OUTCOMES.includes(r.outcome)).length;
+  const { status } = healthReport(now);
+
+  return {
+    checks,
+    withAvailability,
+    blocks,
+    bookings,
+    failed,
+    status,
+    message: `📊 Last 24h: ${checks} checks, ${withAvailability} with availability, ${blocks} Cloudflare blocks, ` +
+      `${bookings} bookings, ${failed} failed runs - health ${status}`
+  };
+}
+
+function readHealthState() {
+  try {
+    if (fs.existsSync(HEALTH_STATE_FILE)) {
+      return JSON.parse(fs.readFileSync(HEALTH_STATE_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Error reading health state:', e.message);
+  }
+  return { status: null, alertedAt: null, problems: [], lastDigestAt: null };
+}
+
+function writeHealthState(state) {
+  fs.writeFileSync(HEALTH_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+// Today's digest time, once it has passed
+function digestDue(lastDigestAt, now) {
+  const minutes = DIGEST_TIME ? parseTime(DIGEST_TIME) : null;
+  if (minutes === null) return false;
+  const today = zonedParts(now, RELEASE_TIMEZONE);
+  const at = zonedTimeToUtc(today.year, today.month, today.day, Math.floor(minutes / 60), minutes % 60, RELEASE_TIMEZONE);
+  return now >= at && (!lastDigestAt || new Date(lastDigestAt) < at);
+}
+
+// One watchdog pass: alert on new or lasting problems, say when they clear, send the digest when due
+async function runWatchdog(now = new Date(), { forceDigest = false } = {}) {
+  const report = healthReport(now);
+  const state = readHealthState();
+  const bad = report.status === 'down' || report.status === 'degraded';
+  const wasBad = state.status === 'down' || state.status === 'degraded';
+  const checks = report.problems.map(p => p.check).sort();
+  const changed = checks.join(',') !== (state.problems || []).join(',');
+
+  if (bad && (!wasBad || changed || hoursSince(state.alertedAt, now) >= HEALTH_REALERT_HOURS)) {
+    await notify(`🩺 Tockstalk is ${report.status.toUpperCase()}:\n${report.problems.map(p => `- ${p.message}`).join('\n')}`, 'health');
+    state.alertedAt = now.toISOString();
+  } else if (!bad && wasBad) {
+    await notify(`🩺 Tockstalk is healthy again (${report.status})`, 'health');
+    state.alertedAt = null;
+  }
+
+  if (forceDigest || digestDue(state.lastDigestAt, now)) {
+    await notify((await digest(now)).message, 'digest');
+    state.lastDigestAt = now.toISOString();
+  }
+
+  writeHealthState({ ...state, status: report.status, problems: checks, checkedAt: now.toISOString() });
+  return report;
+}
+
+// Run the watchdog every WATCHDOG_INTERVAL_MINUTES inside a long-lived process
+function startWatchdog() {
+  if (!(WATCHDOG_INTERVAL_MINUTES > 0)) return () => {};
+  const pass = () => runWatchdog().catch(error => console.error('Watchdog error:', error.message));
+  const timer = setInterval(pass, WATCHDOG_INTERVAL_MINUTES * 60000);
+  timer.unref();
+  pass();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  HEALTH_STATE_FILE,
+  healthReport,
+  digest,
+  digestDue,
+  runWatchdog,
+  startWatchdog
+};
+
+// One watchdog pass from cron: node src/health.js [--digest]
+if (require.main === module) {
+  runWatchdog(new Date(), { forceDigest: process.argv.includes('--digest') }).then(report => {
+    console.log(`🩺 ${report.status}${report.problems.map(p => `\n   - ${p.message}`).join('')}`);
+    process.exit(report.status === 'down' ? 1 : 0);
+  }).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
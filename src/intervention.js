@@ -0,0 +1,247 @@
+// Remote manual intervention. When the bot hits something only a person can get past (a
+// challenge that won't clear, a verification code sent to the account's email), it streams
+// screenshots of the page to data/intervention/<slot>/ and replays the clicks and keystrokes
+// sent from the analytics server's /intervene page. Access is by a per-session key in the link.
+// Each worker has its own slot, so two workers can hand a page over at the same time.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+const { maskedScreenshot } = require('./redact');
+
+const INTERVENTION_ENABLED = process.env.INTERVENTION_ENABLED === 'true';
+const INTERVENTION_TIMEOUT_SECONDS = Number(process.env.INTERVENTION_TIMEOUT_SECONDS || 600);
+// Where the analytics server is reachable from your phone (used in alert links)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'http://localhost:3002').replace(/\/$/, '');
+const INTERVENTION_DIR = path.join(DATA_DIR, 'intervention');
+const DEFAULT_SLOT = 'default';
+const FRAME_MS = 1000;
+
+const KEYS = ['Enter', 'Tab', 'Backspace', 'Escape', 'Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+const MAX_TEXT_LENGTH = 200;
+
+// Session, latest frame and command queue of one slot (e.g. "worker-0")
+function slotFiles(slot = DEFAULT_SLOT) {
+  if (!/^[\w-]+$/.test(slot)) {
+    throw new RangeError(`Invalid intervention slot: ${slot}`);
+  }
+  const dir = path.join(INTERVENTION_DIR, slot);
+  return {
+    dir,
+    session: path.join(dir, 'session.json'),
+    screen: path.join(dir, 'screen.png'),
+    commands: path.join(dir, 'commands.jsonl')
+  };
+}
+
+function screenFile(session) {
+  return slotFiles(session.slot).screen;
+}
+
+function readSession(slot = DEFAULT_SLOT) {
+  const file = slotFiles(slot).session;
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Error reading intervention session:', e.message);
+  }
+  return null;
+}
+
+// Every slot's last session
+function readSessions() {
+  if (!fs.existsSync(INTERVENTION_DIR)) return [];
+  return fs.readdirSync(INTERVENTION_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && /^[\w-]+$/.test(entry.name))
+    .map(entry => readSession(entry.name))
+    .filter(Boolean);
+}
+
+function writeSession(session) {
+  const files = slotFiles(session.slot);
+  fs.mkdirSync(files.dir, { recursive: true });
+  fs.writeFileSync(files.session, JSON.stringify(session, null, 2));
+}
+
+// The session without its key, for the page and the API
+function publicSession(session) {
+  const { key, ...rest } = session;
+  return rest;
+}
+
+function interventionUrl(session) {
+  return `${PUBLIC_BASE_URL}/intervene?key=${session.key}`;
+}
+
+function openSession({ reason, location, slot = DEFAULT_SLOT, timeoutSeconds = INTERVENTION_TIMEOUT_SECONDS }, now = new Date()) {
+  const session = {
+    id: crypto.randomUUID(),
+    key: crypto.randomBytes(24).toString('base64url'),
+    slot,
+    reason,
+    location,
+    status: 'open',
+    startedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + timeoutSeconds * 1000).toISOString()
+  };
+  writeSession(session);
+  // Commands from an earlier session must never replay into this one
+  fs.writeFileSync(slotFiles(slot).commands, '');
+  return session;
+}
+
+function closeSession(session, status) {
+  const closed = { ...session, status, endedAt: new Date().toISOString() };
+  writeSession(closed);
+  // Don't leave the last frame (which may show account details) lying around
+  fs.rmSync(screenFile(session), { force: true });
+  return closed;
+}
+
+// The open session `key` unlocks, or null
+function authorize(key) {
+  if (typeof key !== 'string') return null;
+  const given = Buffer.from(key);
+  // A crashed bot never closes its session, so expiry counts too
+  const open = readSessions().filter(session => session.status === 'open' && new Date(session.expiresAt) >= new Date());
+  return open.find(session => {
+    const expected = Buffer.from(session.key);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }) || null;
+}
+
+// Check a command from the page; throws RangeError on anything the bot shouldn't replay
+function validateCommand(body = {}) {
+  switch (body.type) {
+    case 'click': {
+      const x = Number(body.x);
+      const y = Number(body.y);
+      if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || y < 0) {
+        throw new RangeError('click needs non-negative x and y');
+      }
+      return { type: 'click', x: Math.round(x), y: Math.round(y) };
+    }
+    case 'type':
+      if (typeof body.text !== 'string' || body.text.length === 0 || body.text.length > MAX_TEXT_LENGTH) {
+        throw new RangeError(`type needs 1-${MAX_TEXT_LENGTH} characters of text`);
+      }
+      return { type: 'type', text: body.text };
+    case 'press':
+      if (!KEYS.includes(body.key)) {
+        throw new RangeError(`press key must be one of ${KEYS.join(', ')}`);
+      }
+      return { type: 'press', key: body.key };
+    case 'abandon':
+      return { type: 'abandon' };
+    default:
+      throw new RangeError('Command type must be click, type, press or abandon');
+  }
+}
+
+function enqueueCommand(session, body) {
+  const command = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    timestamp: new Date().toISOString(),
+    ...validateCommand(body)
+  };
+  fs.appendFileSync(slotFiles(session.slot).commands, JSON.stringify(command) + '\n');
+  return command;
+}
+
+// Commands for `session` appended to its slot's queue since byte `offset`
+function readCommands(session, offset = 0) {
+  const file = slotFiles(session.slot).commands;
+  if (!fs.existsSync(file)) {
+    return { commands: [], offset };
+  }
+  const content = fs.readFileSync(file);
+  const fresh = content.subarray(offset).toString('utf-8');
+  // Leave a half-written last line for the next read
+  const end = fresh.lastIndexOf('\n') + 1;
+  const commands = fresh.slice(0, end).split('\n').filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(command => command && command.sessionId === session.id);
+  return { commands, offset: offset + Buffer.byteLength(fresh.slice(0, end)) };
+}
+
+async function applyCommand(page, command) {
+  if (command.type === 'click') {
+    await page.mouse.click(command.x, command.y);
+  } else if (command.type === 'type') {
+    await page.keyboard.type(command.text, { delay: 50 });
+  } else if (command.type === 'press') {
+    await page.keyboard.press(command.key);
+  }
+}
+
+// Frames leave the machine, so the password and card fields are masked
+async function captureFrame(page, site, session) {
+  const file = screenFile(session);
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    await maskedScreenshot(page, site, { path: tmp });
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    // Mid-navigation - the next frame will catch up
+  }
+}
+
+// Stream `page` and replay remote input until `isDone()` is true, the person gives up, or it
+// times out. Resolves true when done. log(message, level) sends the link out; `site` is the
+// site profile (for which fields to mask); `slot` names the worker the page belongs to.
+async function intervene(page, { reason, location, site, isDone, log, slot = DEFAULT_SLOT, timeoutSeconds = INTERVENTION_TIMEOUT_SECONDS }) {
+  const session = openSession({ reason, location, slot, timeoutSeconds });
+  const deadline = new Date(session.expiresAt).getTime();
+  await log(`🖐️ INTERVENTION NEEDED (${reason} at ${location}) - take over within ${Math.round(timeoutSeconds / 60)} min: ${interventionUrl(session)}`, 'intervention');
+
+  let offset = 0;
+  let status = 'timeout';
+  while (Date.now() < deadline) {
+    if (await isDone()) {
+      status = 'resolved';
+      break;
+    }
+    await captureFrame(page, site, session);
+
+    const next = readCommands(session, offset);
+    offset = next.offset;
+    if (next.commands.some(c => c.type === 'abandon')) {
+      status = 'abandoned';
+      break;
+    }
+    for (const command of next.commands) {
+      await applyCommand(page, command).catch(e => console.log(`⚠️  Intervention ${command.type} failed: ${e.message}`));
+    }
+    await page.waitForTimeout(FRAME_MS);
+  }
+
+  closeSession(session, status);
+  console.log(status === 'resolved' ? `✅ Intervention resolved (${reason})` : `⏹️  Intervention ended: ${status}`);
+  return status === 'resolved';
+}
+
+module.exports = {
+  INTERVENTION_ENABLED,
+  INTERVENTION_TIMEOUT_SECONDS,
+  KEYS,
+  screenFile,
+  readSession,
+  publicSession,
+  interventionUrl,
+  openSession,
+  closeSession,
+  authorize,
+  validateCommand,
+  enqueueCommand,
+  readCommands,
+  intervene
+};
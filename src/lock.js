@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LOCK_DIR } = require('./paths');
+
+const LOCK_FILE = path.join(LOCK_DIR, 'tockstalk.lock');
+const DAEMON_LOCK_FILE = path.join(LOCK_DIR, 'tockstalk-daemon.lock');
+const LOCK_TIMEOUT_MS = 180000; // 3 minutes
+const BOOKING_GUARD_STALE_MS = 600000; // 10 minutes - far longer than any checkout
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM means the process exists but belongs to someone else
+    return e.code === 'EPERM';
+  }
+}
+
+function readLock(lockFile) {
+  if (!fs.existsSync(lockFile)) {
+    return null;
+  }
+  const pid = parseInt(fs.readFileSync(lockFile, 'utf-8'), 10);
+  const stats = fs.statSync(lockFile);
+  return {
+    pid,
+    ageMs: Date.now() - stats.mtimeMs,
+    alive: Number.isInteger(pid) && isProcessAlive(pid)
+  };
+}
+
+function writeLock(lockFile) {
+  try {
+    fs.writeFileSync(lockFile, process.pid.toString(), { flag: 'wx' });
+    return true;
+  } catch (e) {
+    if (e.code === 'EEXIST') return false;
+    throw e;
+  }
+}
+
+function removeLock(lockFile) {
+  const lock = readLock(lockFile);
+  if (lock && lock.pid === process.pid) {
+    fs.unlinkSync(lockFile);
+  }
+}
+
+// Single-run lock: stale after 3 minutes or once its process is gone
+function acquireRunLock() {
+  const daemon = readLock(DAEMON_LOCK_FILE);
+  if (daemon && daemon.alive && daemon.pid !== process.pid) {
+    console.log(`🔒 Daemon is running (PID ${daemon.pid}). Exiting.`);
+    return false;
+  }
+
+  const lock = readLock(LOCK_FILE);
+  if (lock) {
+    if (lock.alive && lock.ageMs < LOCK_TIMEOUT_MS) {
+      console.log('🔒 Another instance is running. Exiting.');
+      return false;
+    }
+    console.log('⚠️  Removing stale lock file');
+    fs.unlinkSync(LOCK_FILE);
+  }
+
+  return writeLock(LOCK_FILE);
+}
+
+function releaseRunLock() {
+  removeLock(LOCK_FILE);
+}
+
+// Daemon lock: held for the daemon's whole lifetime, stale only once its process is gone
+function acquireDaemonLock() {
+  const lock = readLock(DAEMON_LOCK_FILE);
+  if (lock) {
+    if (lock.alive) {
+      console.log(`🔒 Daemon already running (PID ${lock.pid}). Exiting.`);
+      return false;
+    }
+    console.log('⚠️  Removing stale daemon lock file');
+    fs.unlinkSync(DAEMON_LOCK_FILE);
+  }
+
+  return writeLock(DAEMON_LOCK_FILE);
+}
+
+function releaseDaemonLock() {
+  removeLock(DAEMON_LOCK_FILE);
+}
+
+function bookingGuardFile(group) {
+  const hash = crypto.createHash('sha1').update(group).digest('hex').slice(0, 12);
+  return path.join(LOCK_DIR, `tockstalk-booking-${hash}.lock`);
+}
+
+// Booking guard: one checkout per booking group at a time, across workers and processes,
+// so two accounts never both buy the same thing. False while someone else holds it.
+function acquireBookingGuard(group) {
+  const file = bookingGuardFile(group);
+  const lock = readLock(file);
+  if (lock) {
+    if (lock.alive && lock.ageMs < BOOKING_GUARD_STALE_MS) {
+      return false;
+    }
+    console.log('⚠️  Removing stale booking guard');
+    fs.unlinkSync(file);
+  }
+
+  return writeLock(file);
+}
+
+function releaseBookingGuard(group) {
+  removeLock(bookingGuardFile(group));
+}
+
+module.exports = {
+  LOCK_FILE,
+  DAEMON_LOCK_FILE,
+  LOCK_TIMEOUT_MS,
+  readLock,
+  acquireRunLock,
+  releaseRunLock,
+  acquireDaemonLock,
+  releaseDaemonLock,
+  bookingGuardFile,
+  acquireBookingGuard,
+  releaseBookingGuard
+};
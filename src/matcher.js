@@ -0,0 +1,201 @@
+// Slot matching rules: turns calendar labels and slot text into real dates/times,
+// filters them against a target's rules and ranks what is left by preference.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toIsoDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// "Saturday, November 15, 2025" / "Nov 15" / "2025-11-15" -> "2025-11-15"
+// Labels without a year are assumed to be the next occurrence of that date.
+function parseDateLabel(label, now = new Date()) {
+  if (!label) return null;
+  const text = String(label).trim();
+
+  const iso = text.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return toIsoDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  const named = text.toLowerCase().match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?/);
+  if (!named) return null;
+
+  const month = MONTHS.indexOf(named[1]) + 1;
+  const day = Number(named[2]);
+  let year = named[3] ? Number(named[3]) : now.getFullYear();
+  if (!named[3] && toIsoDate(year, month, day) < toIsoDate(now.getFullYear(), now.getMonth() + 1, now.getDate())) {
+    year += 1;
+  }
+  return toIsoDate(year, month, day);
+}
+
+// "6:30 PM" / "6pm" / "18:30" -> minutes since midnight
+function parseTime(text) {
+  if (text === undefined || text === null) return null;
+  const match = String(text).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3] ? match[3][0] : null;
+
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${pad(minutes % 60)} ${suffix}`;
+}
+
+// 0 (Sunday) - 6 (Saturday) for an ISO date, independent of the host timezone
+function weekdayOf(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function parseWeekday(text) {
+  const index = WEEKDAYS.indexOf(String(text).trim().toLowerCase().slice(0, 3));
+  return index === -1 ? null : index;
+}
+
+function splitList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// "6:00 PM-8:30 PM", "after 6pm", "before 8:30pm", "after 6pm before 8:30pm" or { after, before }.
+// A window that ends before it starts ("10:00 PM-1:00 AM") runs past midnight.
+function parseTimeWindow(window) {
+  let after = null;
+  let before = null;
+
+  if (typeof window === 'string') {
+    const text = window.trim().toLowerCase();
+    const afterMatch = text.match(/after\s+([\d:]+\s*(?:am|pm)?)/);
+    const beforeMatch = text.match(/before\s+([\d:]+\s*(?:am|pm)?)/);
+    if (afterMatch || beforeMatch) {
+      after = afterMatch ? afterMatch[1] : null;
+      before = beforeMatch ? beforeMatch[1] : null;
+    } else {
+      [after, before] = text.split('-').map(part => part.trim() || null);
+    }
+  } else if (window) {
+    after = window.after || window.from || null;
+    before = window.before || window.to || null;
+  }
+
+  const start = after ? parseTime(after) : 0;
+  const end = before ? parseTime(before) : 24 * 60 - 1;
+  if (start === null || end === null) {
+    throw new Error(`Invalid time window: ${JSON.stringify(window)}`);
+  }
+  return { start, end };
+}
+
+// "2025-11-01..2025-12-31" or { from, to }
+function parseDateRange(range) {
+  if (typeof range === 'string') {
+    const [from, to] = range.split('..').map(part => part.trim() || null);
+    return { from, to };
+  }
+  return { from: range.from || null, to: range.to || null };
+}
+
+// Turn a watchlist target into the matching rules used for every candidate
+function buildRules(target) {
+  const excluded = splitList(target.excludedDays || process.env.EXCLUDED_DAYS);
+  const dateRanges = [].concat(target.dateRanges || target.dateRange || []).map(parseDateRange);
+  if (target.dateFrom || target.dateTo) {
+    dateRanges.push({ from: target.dateFrom || null, to: target.dateTo || null });
+  }
+
+  return {
+    desiredTimes: splitList(target.desiredTimes).map(parseTime).filter(t => t !== null),
+    timeWindows: [].concat(target.timeWindows || []).map(parseTimeWindow),
+    dateRanges,
+    weekdays: splitList(target.weekdays).map(parseWeekday).filter(d => d !== null),
+    excludedWeekdays: excluded.filter(d => !ISO_DATE.test(d)).map(parseWeekday).filter(d => d !== null),
+    blackoutDates: excluded.filter(d => ISO_DATE.test(d)).concat(splitList(target.blackoutDates)),
+    preferredTime: target.preferredTime ? parseTime(target.preferredTime) : null,
+    prefer: target.prefer === 'date' ? 'date' : 'time'
+  };
+}
+
+function dateAllowed(isoDate, rules) {
+  if (rules.blackoutDates.includes(isoDate)) return false;
+
+  const weekday = weekdayOf(isoDate);
+  if (rules.excludedWeekdays.includes(weekday)) return false;
+  if (rules.weekdays.length > 0 && !rules.weekdays.includes(weekday)) return false;
+
+  if (rules.dateRanges.length > 0) {
+    return rules.dateRanges.some(range =>
+      (!range.from || isoDate >= range.from) && (!range.to || isoDate <= range.to));
+  }
+  return true;
+}
+
+function inWindow(minutes, { start, end }) {
+  return start <= end ? minutes >= start && minutes <= end : minutes >= start || minutes <= end;
+}
+
+// Lower is better. Explicitly listed times rank in list order, window matches after them.
+function timeRank(minutes, rules) {
+  const listed = rules.desiredTimes.indexOf(minutes);
+  if (listed !== -1) return listed;
+
+  const windowIndex = rules.timeWindows.findIndex(w => inWindow(minutes, w));
+  if (windowIndex === -1) return null;
+
+  const distance = rules.preferredTime === null ? 0 : Math.abs(minutes - rules.preferredTime);
+  return rules.desiredTimes.length + windowIndex + distance / (24 * 60);
+}
+
+// Filter scanned slots ({ dateLabel, time }) down to acceptable candidates, best first
+function rankCandidates(slots, rules, now = new Date()) {
+  const candidates = [];
+
+  for (const slot of slots) {
+    const date = parseDateLabel(slot.dateLabel, now);
+    const minutes = parseTime(slot.time);
+    if (!date || minutes === null || !dateAllowed(date, rules)) continue;
+
+    const rank = timeRank(minutes, rules);
+    if (rank === null) continue;
+
+    candidates.push({ ...slot, date, minutes, rank });
+  }
+
+  return candidates.sort((a, b) => {
+    if (rules.prefer === 'date' && a.date !== b.date) {
+      return a.date < b.date ? -1 : 1;
+    }
+    if (a.rank !== b.rank) return a.rank - b.rank;
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    return a.minutes - b.minutes;
+  });
+}
+
+module.exports = {
+  parseDateLabel,
+  parseTime,
+  formatMinutes,
+  weekdayOf,
+  parseTimeWindow,
+  buildRules,
+  dateAllowed,
+  timeRank,
+  rankCandidates
+};
@@ -0,0 +1,15 @@
+const { postJson } = require('./http');
+
+// Discord channel webhook
+function create(config) {
+  return {
+    async send({ message }) {
+      await postJson(config.url, {
+        content: message,
+        username: config.username
+      });
+    }
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+const { NOTIFY_TIMEOUT_MS } = require('./http');
+
+// Email over SMTP
+function create(config) {
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: Number(config.port || 587),
+    secure: config.secure === true || config.secure === 'true',
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+    connectionTimeout: NOTIFY_TIMEOUT_MS,
+    greetingTimeout: NOTIFY_TIMEOUT_MS,
+    socketTimeout: NOTIFY_TIMEOUT_MS
+  });
+
+  return {
+    async send({ message, level }) {
+      await transport.sendMail({
+        from: config.from || config.user,
+        to: config.to,
+        subject: `[Tockstalk] ${level.toUpperCase()}: ${message.split('\n')[0].slice(0, 80)}`,
+        text: message
+      });
+    }
+  };
+}
+
+module.exports = { create };
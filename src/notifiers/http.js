@@ -0,0 +1,43 @@
+// Shared fetch helpers for the HTTP-based channels
+
+// Every channel gives up on a request after this long, so a hung endpoint can't stall the bot
+const NOTIFY_TIMEOUT_MS = Number(process.env.NOTIFY_TIMEOUT_SECONDS || 10) * 1000;
+
+async function checkResponse(response) {
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}`);
+  }
+  return response;
+}
+
+async function postJson(url, payload, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+  });
+  return checkResponse(response);
+}
+
+async function postText(url, text, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', ...headers },
+    body: text,
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+  });
+  return checkResponse(response);
+}
+
+async function postForm(url, fields) {
+  const response = await fetch(url, {
+    method: 'POST',
+    body: new URLSearchParams(fields),
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+  });
+  return checkResponse(response);
+}
+
+module.exports = { NOTIFY_TIMEOUT_MS, postJson, postText, postForm };
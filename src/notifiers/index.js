@@ -0,0 +1,159 @@
+// Notification channels. Each channel gets its own severity filter, so e.g.
+// availability/success can go to phones while Cloudflare noise stays in a log channel.
+const fs = require('fs');
+const path = require('path');
+
+const { DATA_DIR } = require('../paths');
+const { redact } = require('../redact');
+const NOTIFIERS_FILE = process.env.NOTIFIERS_FILE || path.join(DATA_DIR, 'notifiers.json');
+
+const LEVELS = ['info', 'availability', 'success', 'warning', 'cloudflare', 'intervention', 'error', 'health', 'digest'];
+
+const BACKENDS = {
+  slack: require('./slack'),
+  webhook: require('./webhook'),
+  discord: require('./discord'),
+  email: require('./email'),
+  ntfy: require('./ntfy'),
+  pushover: require('./pushover')
+};
+
+function parseLevels(value) {
+  if (!value) return LEVELS;
+  const levels = Array.isArray(value) ? value : String(value).split(',');
+  return levels.map(l => l.trim().toLowerCase()).filter(Boolean);
+}
+
+// Channels configured through env vars (SLACK_WEBHOOK_URL etc.)
+function channelsFromEnv(env = process.env) {
+  const channels = [];
+
+  if (env.SLACK_WEBHOOK_URL) {
+    channels.push({
+      type: 'slack',
+      url: env.SLACK_WEBHOOK_URL,
+      username: env.SLACK_USERNAME,
+      iconEmoji: env.SLACK_ICON_EMOJI,
+      levels: env.SLACK_LEVELS
+    });
+  }
+  if (env.WEBHOOK_URL) {
+    channels.push({ type: 'webhook', url: env.WEBHOOK_URL, levels: env.WEBHOOK_LEVELS });
+  }
+  if (env.DISCORD_WEBHOOK_URL) {
+    channels.push({
+      type: 'discord',
+      url: env.DISCORD_WEBHOOK_URL,
+      username: env.DISCORD_USERNAME,
+      levels: env.DISCORD_LEVELS
+    });
+  }
+  if (env.NTFY_TOPIC) {
+    channels.push({
+      type: 'ntfy',
+      url: env.NTFY_URL,
+      topic: env.NTFY_TOPIC,
+      token: env.NTFY_TOKEN,
+      levels: env.NTFY_LEVELS
+    });
+  }
+  if (env.PUSHOVER_TOKEN && env.PUSHOVER_USER) {
+    channels.push({
+      type: 'pushover',
+      url: env.PUSHOVER_URL,
+      token: env.PUSHOVER_TOKEN,
+      user: env.PUSHOVER_USER,
+      levels: env.PUSHOVER_LEVELS
+    });
+  }
+  if (env.SMTP_HOST && env.SMTP_TO) {
+    channels.push({
+      type: 'email',
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.SMTP_FROM,
+      to: env.SMTP_TO,
+      levels: env.SMTP_LEVELS
+    });
+  }
+
+  return channels;
+}
+
+// Channels from data/notifiers.json ({ "channels": [...] }) plus any configured in env
+function loadChannelConfigs() {
+  let fileChannels = [];
+  try {
+    if (fs.existsSync(NOTIFIERS_FILE)) {
+      const content = fs.readFileSync(NOTIFIERS_FILE, 'utf-8');
+      const parsed = content.trim() ? JSON.parse(content) : {};
+      fileChannels = Array.isArray(parsed) ? parsed : (parsed.channels || []);
+    }
+  } catch (e) {
+    console.error('Error reading notifier config:', e.message);
+  }
+  return fileChannels.concat(channelsFromEnv());
+}
+
+function createChannels(configs = loadChannelConfigs()) {
+  const channels = [];
+
+  configs.forEach((config, index) => {
+    const backend = BACKENDS[config.type];
+    if (!backend) {
+      console.error(`Unknown notifier type "${config.type}" - skipping`);
+      return;
+    }
+    try {
+      channels.push({
+        name: config.name || `${config.type}-${index + 1}`,
+        levels: parseLevels(config.levels),
+        ...backend.create(config)
+      });
+    } catch (e) {
+      console.error(`Error setting up ${config.type} notifier:`, e.message);
+    }
+  });
+
+  return channels;
+}
+
+let channels = null;
+const pending = new Set();
+
+// Send a message to every channel that accepts its level. Never throws.
+function notify(message, level = 'info') {
+  if (!channels) {
+    channels = createChannels();
+  }
+
+  // Raw error text can carry credentials or cookies - nothing leaves unscrubbed
+  const notification = { message: redact(message), level, timestamp: new Date().toISOString() };
+  const sending = Promise.all(channels
+    .filter(channel => channel.levels.includes(level))
+    .map(async channel => {
+      try {
+        await channel.send(notification);
+      } catch (e) {
+        console.error(`Notifier ${channel.name} error:`, e.message);
+      }
+    }));
+  pending.add(sending);
+  return sending.finally(() => pending.delete(sending));
+}
+
+// Wait for notifications still being sent (each channel times out on its own)
+async function flushNotifications() {
+  await Promise.all(pending);
+}
+
+module.exports = {
+  LEVELS,
+  loadChannelConfigs,
+  createChannels,
+  notify,
+  flushNotifications
+};
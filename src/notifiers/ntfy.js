@@ -0,0 +1,35 @@
+const { postText } = require('./http');
+
+// ntfy.sh (or self-hosted ntfy) push notifications
+const PRIORITIES = {
+  intervention: 'urgent',
+  success: 'urgent',
+  availability: 'high',
+  error: 'high',
+  warning: 'default',
+  cloudflare: 'low',
+  info: 'low',
+  health: 'high',
+  digest: 'low'
+};
+
+function create(config) {
+  const baseUrl = (config.url || 'https://ntfy.sh').replace(/\/$/, '');
+  const headers = {};
+  if (config.token) {
+    headers.Authorization = `Bearer ${config.token}`;
+  }
+
+  return {
+    async send({ message, level }) {
+      await postText(`${baseUrl}/${encodeURIComponent(config.topic)}`, message, {
+        ...headers,
+        Title: config.title || 'Tockstalk',
+        Priority: PRIORITIES[level] || 'default',
+        Tags: level
+      });
+    }
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,32 @@
+const { postForm } = require('./http');
+
+// Pushover push notifications
+const PRIORITIES = {
+  intervention: 1,
+  success: 1,
+  availability: 1,
+  error: 0,
+  warning: 0,
+  cloudflare: -1,
+  info: -1,
+  health: 0,
+  digest: -1
+};
+
+function create(config) {
+  const url = config.url || 'https://api.pushover.net/1/messages.json';
+
+  return {
+    async send({ message, level }) {
+      await postForm(url, {
+        token: config.token,
+        user: config.user,
+        title: config.title || 'Tockstalk',
+        message,
+        priority: String(PRIORITIES[level] ?? 0)
+      });
+    }
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,27 @@
+const { IncomingWebhook } = require('@slack/webhook');
+const { NOTIFY_TIMEOUT_MS } = require('./http');
+
+// Slack incoming webhook, honoring the configured bot name and icon
+function create(config) {
+  // No `timeout` option: the client copies its options into every payload
+  const webhook = new IncomingWebhook(config.url, {
+    username: config.username,
+    icon_emoji: config.iconEmoji
+  });
+
+  return {
+    async send({ message }) {
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Slack did not answer within ${NOTIFY_TIMEOUT_MS / 1000}s`)), NOTIFY_TIMEOUT_MS);
+      });
+      try {
+        await Promise.race([webhook.send({ text: message }), timeout]);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,12 @@
+const { postJson } = require('./http');
+
+// Generic JSON POST for home automation, IFTTT, n8n, etc.
+function create(config) {
+  return {
+    async send({ message, level, timestamp }) {
+      await postJson(config.url, { text: message, level, timestamp }, config.headers);
+    }
+  };
+}
+
+module.exports = { create };
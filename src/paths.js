@@ -0,0 +1,11 @@
+// Where runtime state lives. DATA_DIR and LOCK_DIR can point elsewhere, e.g. so the
+// test suite never touches a real bot's data or locks.
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', 'data');
+const LOCK_DIR = process.env.LOCK_DIR ? path.resolve(process.env.LOCK_DIR) : '/tmp';
+
+module.exports = {
+  DATA_DIR,
+  LOCK_DIR
+};
@@ -0,0 +1,143 @@
+// Network probing: the booking page already fetches its availability as JSON, so instead of
+// clicking every open day and reading its time slots we capture that response and read every
+// date and time in one pass. Clicking is left to the booking itself (booking.js).
+// Which responses count and how their entries are laid out lives in the site profile's "probe" section.
+const { parseTime, formatMinutes, parseDateLabel } = require('./matcher');
+
+// network: read the availability response, falling back to clicking the days (for the rest of the
+// session once a month's response is missing or wrong). dom: always click.
+const PROBE_MODE = process.env.PROBE_MODE === 'dom' ? 'dom' : 'network';
+// How long to wait for the availability response once the calendar is on the page
+const PROBE_WAIT_MS = Number(process.env.PROBE_WAIT_SECONDS || 5) * 1000;
+const POLL_MS = 100;
+const MAX_CAPTURES = 20;
+
+// Record availability responses on `page`. Captures start over with every main-frame
+// navigation, so they always belong to the page that is currently loaded.
+function attachProbe(page, site) {
+  // missed: a month came back without a usable response, so stop waiting for one on this page
+  const probe = { captures: [], generation: 0, missed: false };
+
+  page.on('request', request => {
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      resetProbe(probe);
+    }
+  });
+
+  page.on('response', async response => {
+    if (!response.url().includes(site.probe.responsePattern) || !response.ok()) return;
+    const generation = probe.generation;
+    try {
+      const body = await response.json();
+      if (generation !== probe.generation) return; // The page moved on while the body was read
+      probe.captures.push(body);
+      probe.captures.splice(0, probe.captures.length - MAX_CAPTURES);
+    } catch (e) {
+      // Not JSON, or the page closed before the body arrived
+    }
+  });
+
+  return probe;
+}
+
+// Forget what has been captured, including responses still being read. Paging the calendar
+// changes what it shows without a navigation, so calendar.js calls this before each click.
+function resetProbe(probe) {
+  probe.generation += 1;
+  probe.captures = [];
+}
+
+// Availability responses for the current page, waiting up to `timeout` for the first one
+async function waitForCaptures(page, probe, timeout = PROBE_WAIT_MS) {
+  const deadline = Date.now() + timeout;
+  while (probe.captures.length === 0 && Date.now() < deadline) {
+    await page.waitForTimeout(POLL_MS);
+  }
+  return [...probe.captures];
+}
+
+// "result.ticketGroup" -> payload.result.ticketGroup
+function valueAt(payload, dottedPath) {
+  return dottedPath.split('.').filter(Boolean).reduce((value, key) => (value == null ? undefined : value[key]), payload);
+}
+
+// { 'YYYY-MM-DD': ['5:00 PM', '7:30 PM'] } bookable by `partySize`, or null when none of the
+// payloads has the shape `fields` describes (so the caller knows to fall back to the DOM)
+function parseAvailability(payloads, fields, partySize) {
+  let recognized = false;
+  const days = {};
+
+  for (const payload of payloads) {
+    const entries = valueAt(payload, fields.slotsPath);
+    if (!Array.isArray(entries)) continue;
+    recognized = true;
+
+    for (const entry of entries) {
+      if (!entry || typeof entry !== 'object') continue;
+      const date = String(entry[fields.dateField] || '').slice(0, 10);
+      // "19:00", "19:00:00" or "7:00 PM"
+      const minutes = parseTime(String(entry[fields.timeField] || '').replace(/^(\d{1,2}:\d{2}):\d{2}$/, '$1'));
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || minutes === null) continue;
+
+      // Sold out, or not sold to a party this size
+      if (Number(entry[fields.availableField] || 0) <= 0) continue;
+      if (entry[fields.minSizeField] != null && partySize < Number(entry[fields.minSizeField])) continue;
+      if (entry[fields.maxSizeField] != null && partySize > Number(entry[fields.maxSizeField])) continue;
+
+      const time = formatMinutes(minutes);
+      days[date] = days[date] || [];
+      if (!days[date].includes(time)) {
+        days[date].push(time);
+      }
+    }
+  }
+
+  if (!recognized) return null;
+  for (const times of Object.values(days)) {
+    times.sort((a, b) => parseTime(a) - parseTime(b));
+  }
+  return days;
+}
+
+// ISO date -> label of its calendar cell, for every day shown on the page
+async function calendarLabels(page, site) {
+  const { calendarDay, dayLabelAttribute } = site.selectors;
+  const labels = await page.$$eval(calendarDay, (days, attribute) => days.map(day => day.getAttribute(attribute)), dayLabelAttribute);
+  const byDate = {};
+  for (const label of labels.filter(Boolean)) {
+    const date = parseDateLabel(label);
+    if (date) byDate[date] = label;
+  }
+  return byDate;
+}
+
+// { days: [{ dateLabel, slots }] in date order, unlisted: [ISO dates with slots but no calendar cell] },
+// or null when no usable availability response came in
+async function probeAvailability(page, probe, site, partySize, timeout = PROBE_WAIT_MS) {
+  const payloads = await waitForCaptures(page, probe, timeout);
+  const byDate = parseAvailability(payloads, site.probe, partySize);
+  if (!byDate) return null;
+
+  // Booking clicks the day's cell, so days the page doesn't show can't be booked from here
+  const labels = await calendarLabels(page, site);
+  const days = [];
+  const unlisted = [];
+  for (const date of Object.keys(byDate).sort()) {
+    if (labels[date]) {
+      days.push({ dateLabel: labels[date], slots: byDate[date] });
+    } else {
+      unlisted.push(date);
+    }
+  }
+  return { days, unlisted };
+}
+
+module.exports = {
+  PROBE_MODE,
+  PROBE_WAIT_MS,
+  attachProbe,
+  resetProbe,
+  waitForCaptures,
+  parseAvailability,
+  probeAvailability
+};
@@ -0,0 +1,64 @@
+// Keep secrets out of logs, notifications and screenshots. Account credentials register
+// themselves here when the vault loads them; anything that looks like a card number,
+// a password/CVV field or a session cookie is scrubbed too.
+const secrets = new Set();
+
+const MASK = '[redacted]';
+const MIN_SECRET_LENGTH = 6;
+const PATTERNS = [
+  [/\b(password|passwd|cvv|cvc|passphrase|secret|token)(["']?\s*[:=]\s*["']?)[^\s"'&,;]+/gi, `$1$2${MASK}`],
+  [/\b(tock_session|cf_clearance|__cf_bm)=[^;\s]+/g, `$1=${MASK}`],
+  [/(Bearer\s+)[\w.~+/-]+=*/g, `$1${MASK}`]
+];
+
+function addSecret(value) {
+  // Short values (a CVV) would mangle prices and confirmation numbers - the patterns cover those
+  if (value && String(value).length >= MIN_SECRET_LENGTH) {
+    secrets.add(String(value));
+  }
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function redact(text) {
+  if (text === null || text === undefined) return text;
+  let result = String(text);
+  // Longest first so a password containing the email doesn't leave part of itself behind
+  for (const secret of [...secrets].sort((a, b) => b.length - a.length)) {
+    result = result.split(secret).join(MASK);
+  }
+  for (const [pattern, replacement] of PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result.replace(/\b\d(?:[ -]?\d){12,18}\b/g, match => luhnValid(match.replace(/\D/g, '')) ? '[card]' : match);
+}
+
+// Error message safe to log, notify or store
+function errorMessage(error) {
+  return redact(error && error.message ? error.message : String(error));
+}
+
+// Screenshot with the login and payment fields blacked out
+async function maskedScreenshot(page, site, options) {
+  const { emailInput, passwordInput, cvvFrame } = site.selectors;
+  const mask = [emailInput, passwordInput, cvvFrame].filter(Boolean).map(selector => page.locator(selector));
+  return page.screenshot({ ...options, mask });
+}
+
+module.exports = {
+  addSecret,
+  redact,
+  errorMessage,
+  maskedScreenshot
+};
@@ -0,0 +1,271 @@
+// Release pattern detection: diff consecutive availability snapshots into
+// "slot appeared"/"slot vanished" events, then learn when slots tend to drop.
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const { zonedParts, zonedTimeToUtc } = require('./timezone');
+const { formatMinutes } = require('./matcher');
+
+const { DATA_DIR } = require('./paths');
+const LAST_SNAPSHOTS_FILE = path.join(DATA_DIR, 'last-snapshots.json');
+
+const BUCKET_MINUTES = Number(process.env.RELEASE_BUCKET_MINUTES || 15);
+const MAX_GAP_MS = 2 * 3600000; // appearances after a longer gap can't be timed
+const LARGE_DROP_SLOTS = 5; // drops this big count as releases, smaller ones as cancellations
+const MIN_CONFIDENCE = 0.3;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function slotKeys(record) {
+  const keys = [];
+  for (const day of record.availableDays || []) {
+    for (const time of day.timeSlots || []) {
+      keys.push(`${day.isoDate || day.date}|${time}`);
+    }
+  }
+  return keys;
+}
+
+function readLastSnapshots() {
+  try {
+    if (fs.existsSync(LAST_SNAPSHOTS_FILE)) {
+      return JSON.parse(fs.readFileSync(LAST_SNAPSHOTS_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Error reading last snapshots:', e.message);
+  }
+  return {};
+}
+
+// Slot events between two snapshots of the same target
+function diffSnapshots(previous, current) {
+  const before = new Set(previous.slots);
+  const after = new Set(slotKeys(current));
+  const base = {
+    target: current.target || null,
+    timestamp: current.timestamp,
+    previousCheckAt: previous.timestamp,
+    gapMs: new Date(current.timestamp) - new Date(previous.timestamp)
+  };
+
+  const events = [];
+  for (const key of after) {
+    if (!before.has(key)) {
+      const [date, time] = key.split('|');
+      // A date in a later month than we've ever seen means a new month was opened
+      const newMonth = !!previous.maxMonth && date.slice(0, 7) > previous.maxMonth;
+      events.push({ ...base, type: 'appeared', date, time, newMonth });
+    }
+  }
+  for (const key of before) {
+    if (!after.has(key)) {
+      const [date, time] = key.split('|');
+      events.push({ ...base, type: 'vanished', date, time });
+    }
+  }
+  return events;
+}
+
+// Diff a new analytics snapshot against the target's previous one and store the events
+function recordSnapshot(record) {
+  try {
+    const snapshots = readLastSnapshots();
+    const key = record.target || 'default';
+    const previous = snapshots[key];
+
+    // The first snapshot of a target is only a baseline
+    const events = previous ? diffSnapshots(previous, record) : [];
+    events.forEach(event => store.append('slots', event));
+
+    const slots = slotKeys(record);
+    const months = slots.map(slot => slot.slice(0, 7)).concat(previous && previous.maxMonth ? [previous.maxMonth] : []);
+    snapshots[key] = {
+      timestamp: record.timestamp,
+      slots,
+      maxMonth: months.length ? months.sort().pop() : null
+    };
+    fs.writeFileSync(LAST_SNAPSHOTS_FILE, JSON.stringify(snapshots, null, 2));
+    return events;
+  } catch (e) {
+    console.error('Error recording slot events:', e.message);
+    return [];
+  }
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function ordinal(n) {
+  const suffix = n % 10 === 1 && n !== 11 ? 'st' : n % 10 === 2 && n !== 12 ? 'nd' : n % 10 === 3 && n !== 13 ? 'rd' : 'th';
+  return `${n}${suffix}`;
+}
+
+// Group "appeared" events from the same check into drops, classified as release or cancellation
+function buildDrops(events, timeZone) {
+  const byCheck = {};
+  const drops = [];
+
+  for (const event of events) {
+    if (event.type !== 'appeared') continue;
+    const key = `${event.target}|${event.timestamp}`;
+    (byCheck[key] = byCheck[key] || []).push(event);
+  }
+
+  for (const group of Object.values(byCheck)) {
+    const { target, timestamp, gapMs } = group[0];
+    const newMonth = group.some(e => e.newMonth);
+
+    // Without a recent previous check we don't know when these slots really appeared
+    if (gapMs > MAX_GAP_MS) continue;
+
+    const local = zonedParts(new Date(timestamp), timeZone);
+    const minuteOfDay = local.hour * 60 + local.minute;
+    drops.push({
+      target,
+      timestamp,
+      size: group.length,
+      newMonth,
+      type: newMonth || group.length >= LARGE_DROP_SLOTS ? 'release' : 'cancellation',
+      local,
+      localDate: `${local.year}-${pad(local.month)}-${pad(local.day)}`,
+      bucket: Math.floor(minuteOfDay / BUCKET_MINUTES) * BUCKET_MINUTES
+    });
+  }
+
+  return drops.sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Group drops by `keyOf`, counting distinct periods (days/weeks/months) each cluster occurred in
+function cluster(drops, keyOf, periodOf) {
+  const clusters = {};
+  for (const drop of drops) {
+    const key = keyOf(drop);
+    if (key === null) continue;
+    const entry = clusters[key] || (clusters[key] = { drops: [], periods: new Set() });
+    entry.drops.push(drop);
+    entry.periods.add(periodOf(drop));
+  }
+  return Object.values(clusters);
+}
+
+function weekOf(drop) {
+  const { year, month, day } = drop.local;
+  return Math.floor(Date.UTC(year, month - 1, day) / (7 * 86400000));
+}
+
+// Next instant matching the pattern, starting from `now`, in `timeZone`
+function nextOccurrence(prediction, now, timeZone) {
+  const today = zonedParts(now, timeZone);
+  for (let offset = 0; offset <= 62; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (prediction.kind === 'weekly' && day.getUTCDay() !== prediction.weekday) continue;
+    if (prediction.kind === 'monthly' && day.getUTCDate() !== prediction.dayOfMonth) continue;
+
+    const at = zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+      Math.floor(prediction.minutes / 60), prediction.minutes % 60, timeZone);
+    if (at > now) return at;
+  }
+  return null;
+}
+
+function describe(prediction, timeZone) {
+  const time = `${formatMinutes(prediction.minutes)} ${timeZone}`;
+  const what = prediction.type === 'release'
+    ? (prediction.kind === 'monthly' ? 'New month drops' : 'Releases')
+    : 'Cancellations cluster';
+  if (prediction.kind === 'monthly') return `${what} on the ${ordinal(prediction.dayOfMonth)} around ${time}`;
+  if (prediction.kind === 'weekly') return `${what} on ${WEEKDAY_NAMES[prediction.weekday]}s around ${time}`;
+  return `${what} daily around ${time}`;
+}
+
+// Learn release cadence from slot events. Returns predictions, most confident first.
+function learnCadence(events, { timeZone, now = new Date(), target = null } = {}) {
+  const drops = buildDrops(events.filter(e => !target || e.target === target), timeZone);
+  if (drops.length === 0) return [];
+
+  // Confidence: share of days/weeks/months since a cluster first showed up that it recurred in
+  const candidates = [];
+  const add = (kind, clusters, periodDays, minOccurrences, extra) => {
+    for (const c of clusters) {
+      if (c.periods.size < minOccurrences) continue;
+      const first = c.drops[0];
+      const span = Math.max(1, Math.ceil((now - new Date(first.timestamp)) / (periodDays * 86400000)));
+      candidates.push({
+        kind,
+        type: first.type,
+        target: target || (c.drops.every(d => d.target === first.target) ? first.target : null),
+        minutes: median(c.drops.map(d => d.local.hour * 60 + d.local.minute)),
+        occurrences: c.periods.size,
+        confidence: Number(Math.min(1, c.periods.size / span).toFixed(2)),
+        averageSlots: Math.round(c.drops.reduce((sum, d) => sum + d.size, 0) / c.drops.length),
+        ...extra(first)
+      });
+    }
+  };
+
+  add('monthly',
+    cluster(drops.filter(d => d.newMonth), d => `${d.local.day}|${d.bucket}`, d => d.localDate.slice(0, 7)),
+    30, 2, d => ({ dayOfMonth: d.local.day }));
+  add('daily',
+    cluster(drops, d => `${d.type}|${d.bucket}`, d => d.localDate),
+    1, 3, () => ({}));
+  add('weekly',
+    cluster(drops, d => `${d.type}|${d.local.weekday}|${d.bucket}`, weekOf),
+    7, 3, d => ({ weekday: d.local.weekday }));
+
+  // A daily pattern already explains the weekly clusters at the same time
+  const daily = candidates.filter(c => c.kind === 'daily' && c.confidence >= MIN_CONFIDENCE);
+  return candidates
+    .filter(c => c.confidence >= MIN_CONFIDENCE)
+    .filter(c => c.kind !== 'weekly' || !daily.some(d => d.type === c.type && Math.abs(d.minutes - c.minutes) < BUCKET_MINUTES))
+    .map(c => {
+      const nextAt = nextOccurrence(c, now, timeZone);
+      return {
+        ...c,
+        time: `${pad(Math.floor(c.minutes / 60))}:${pad(c.minutes % 60)}`,
+        timeZone,
+        label: describe(c, timeZone),
+        nextAt: nextAt ? nextAt.toISOString() : null
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence || (a.nextAt < b.nextAt ? -1 : 1));
+}
+
+let cachedPredictions = null;
+let cachedAt = 0;
+
+// Predictions from the stored slot events, cached for an hour (the daemon asks every cycle)
+function getPredictions(timeZone, now = new Date()) {
+  if (!cachedPredictions || now - cachedAt > 3600000 || cachedPredictions.timeZone !== timeZone) {
+    cachedPredictions = { timeZone, predictions: learnCadence(store.readAll('slots'), { timeZone, now }) };
+    cachedAt = now.getTime();
+  }
+  return cachedPredictions.predictions;
+}
+
+// Predicted release instants from yesterday through tomorrow, for the scheduler
+function predictedReleaseTimes(timeZone, minConfidence, now = new Date()) {
+  const times = [];
+  for (const prediction of getPredictions(timeZone, now)) {
+    if (prediction.confidence < minConfidence) continue;
+    let at = nextOccurrence(prediction, new Date(now.getTime() - 86400000), timeZone);
+    while (at && at - now <= 86400000) {
+      times.push({ label: prediction.label, releaseAt: at });
+      at = nextOccurrence(prediction, at, timeZone);
+    }
+  }
+  return times;
+}
+
+module.exports = {
+  diffSnapshots,
+  recordSnapshot,
+  learnCadence,
+  getPredictions,
+  predictedReleaseTimes
+};
@@ -0,0 +1,99 @@
+// Polling schedule: a slow baseline interval that ramps up to high-frequency
+// checks around the restaurant's release times (given in its own timezone).
+const { parseTime, formatMinutes } = require('./matcher');
+const { zonedParts, zonedTimeToUtc } = require('./timezone');
+const { predictedReleaseTimes } = require('./releases');
+const { notifiedTargets } = require('./waitlists');
+
+const RELEASE_TIMEZONE = process.env.RELEASE_TIMEZONE || 'America/Los_Angeles';
+const RELEASE_TIMES = process.env.RELEASE_TIMES || '5:00 PM,6:00 PM';
+const PEAK_LEAD_MINUTES = Number(process.env.PEAK_LEAD_MINUTES || 3);
+const PEAK_TRAIL_MINUTES = Number(process.env.PEAK_TRAIL_MINUTES || 2);
+const POLL_INTERVAL_MS = Number(process.env.POLL_INTERVAL_SECONDS || 900) * 1000;
+const PEAK_POLL_INTERVAL_MS = Number(process.env.PEAK_POLL_INTERVAL_SECONDS || 15) * 1000;
+// config: RELEASE_TIMES only, predicted: learned release patterns only, both: union
+const RELEASE_SOURCE = process.env.RELEASE_SOURCE || 'config';
+const PREDICTION_MIN_CONFIDENCE = Number(process.env.PREDICTION_MIN_CONFIDENCE || 0.5);
+
+function parseReleaseTimes(value = RELEASE_TIMES) {
+  return String(value).split(',').map(t => t.trim()).filter(Boolean).map(text => {
+    const minutes = parseTime(text);
+    if (minutes === null) {
+      throw new Error(`Invalid RELEASE_TIMES entry: "${text}"`);
+    }
+    return minutes;
+  });
+}
+
+// Configured release instants from yesterday through tomorrow (restaurant time)
+function configuredReleaseTimes(now) {
+  const today = zonedParts(now, RELEASE_TIMEZONE);
+  const times = [];
+
+  for (const minutes of parseReleaseTimes()) {
+    for (const dayOffset of [-1, 0, 1]) {
+      const day = new Date(Date.UTC(today.year, today.month - 1, today.day + dayOffset));
+      times.push({
+        label: `${formatMinutes(minutes)} ${RELEASE_TIMEZONE}`,
+        releaseAt: zonedTimeToUtc(
+          day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+          Math.floor(minutes / 60), minutes % 60, RELEASE_TIMEZONE
+        )
+      });
+    }
+  }
+  return times;
+}
+
+// Release windows from yesterday through tomorrow, sorted by start
+function getReleaseWindows(now = new Date()) {
+  let times = [];
+  if (RELEASE_SOURCE !== 'predicted') {
+    times = times.concat(configuredReleaseTimes(now));
+  }
+  if (RELEASE_SOURCE !== 'config') {
+    times = times.concat(predictedReleaseTimes(RELEASE_TIMEZONE, PREDICTION_MIN_CONFIDENCE, now));
+  }
+
+  return times
+    .map(({ label, releaseAt }) => ({
+      label,
+      releaseAt,
+      start: new Date(releaseAt.getTime() - PEAK_LEAD_MINUTES * 60000),
+      end: new Date(releaseAt.getTime() + PEAK_TRAIL_MINUTES * 60000)
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+function currentPeakWindow(now = new Date()) {
+  return getReleaseWindows(now).find(w => now >= w.start && now <= w.end) || null;
+}
+
+function isPeakWindow(now = new Date()) {
+  return currentPeakWindow(now) !== null;
+}
+
+function nextPeakWindow(now = new Date()) {
+  return getReleaseWindows(now).find(w => w.start > now) || null;
+}
+
+// How long the daemon should sleep before its next check. A waitlist notification from Tock
+// (see waitlists.js) polls like a release window for a while.
+function nextCheckDelay(now = new Date()) {
+  if (isPeakWindow(now) || notifiedTargets(now).length > 0) {
+    return PEAK_POLL_INTERVAL_MS;
+  }
+  const next = nextPeakWindow(now);
+  const untilPeak = next ? next.start - now : Infinity;
+  return Math.max(1000, Math.min(POLL_INTERVAL_MS, untilPeak));
+}
+
+module.exports = {
+  RELEASE_TIMEZONE,
+  parseReleaseTimes,
+  getReleaseWindows,
+  currentPeakWindow,
+  isPeakWindow,
+  nextPeakWindow,
+  nextCheckDelay
+};
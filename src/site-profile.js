@@ -0,0 +1,253 @@
+// Everything site-specific the bot relies on: URLs, selectors, text markers and the
+// availability response it probes.
+// When Tock changes its markup, override the broken entries in data/site-profile.json
+// (or SITE_PROFILE_FILE) instead of patching bot.js, then run `node src/bot.js --selftest`.
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+const SITE_PROFILE_FILE = process.env.SITE_PROFILE_FILE || path.join(DATA_DIR, 'site-profile.json');
+
+// Bump the version whenever a default below changes, so stale overrides get flagged
+const DEFAULT_PROFILE = {
+  version: '2026.10.6',
+  baseUrl: 'https://www.exploretock.com',
+  paths: {
+    login: '/login',
+    loginContinueParam: 'continue',
+    // Query parameter that opens the booking page's calendar on a given date's month
+    dateParam: 'date'
+  },
+  selectors: {
+    emailInput: '[data-testid="email-input"]',
+    passwordInput: '[data-testid="password-input"]',
+    signIn: '[data-testid="signin"]',
+    verificationCodeInput: '[data-testid="verification-code-input"]',
+    calendarDay: '[data-testid="consumer-calendar-day"]',
+    availableDay: '[data-testid="consumer-calendar-day"][aria-disabled="false"].is-available',
+    dayLabelAttribute: 'aria-label',
+    nextMonth: '[aria-label="Next month"]',
+    soldOutDay: '[data-testid="consumer-calendar-day"].is-sold-out',
+    timeSlot: '[data-testid="search-result-time"] span',
+    // The "Set Notify" form (sold-out days and just-taken slots) and its time choices
+    notifyButton: '[data-testid="notify-button"]',
+    notifyTime: '[data-testid="notify-time"]',
+    cvvFrame: 'iframe[type="cvv"]',
+    cvvInput: '#cvv',
+    checkoutSummary: '[data-testid="checkout-summary"]',
+    checkoutTotal: '[data-testid="checkout-total"]',
+    purchaseButton: '[data-testid="purchase-button"]',
+    confirmationId: '[data-testid="receipt-confirmation-id"]',
+    challenge: ['[name="cf-turnstile-response"]', '.cf-turnstile']
+  },
+  text: {
+    challenge: ['Verify you are human', 'Verifying you are human'],
+    verificationPrompt: ['verification code', 'Enter the code we sent'],
+    notifyModal: ['Set Notify'],
+    notifyJoined: ["You're on the list", 'We will notify you'],
+    slotUnavailable: ['no longer available'],
+    holdExpired: ['hold has expired', 'time has expired'],
+    paymentDeclined: ['card was declined', 'Card declined', 'Payment failed']
+  },
+  // The calendar's availability response and where its fields are (see probe.js)
+  probe: {
+    responsePattern: '/api/consumer/calendar',
+    slotsPath: 'result.ticketGroup',
+    dateField: 'date',
+    timeField: 'time',
+    availableField: 'availableTickets',
+    minSizeField: 'minPurchaseSize',
+    maxSizeField: 'maxPurchaseSize'
+  }
+};
+
+// Which page each selector lives on, for the selftest
+const SELECTOR_STAGES = {
+  emailInput: 'login',
+  passwordInput: 'login',
+  signIn: 'login',
+  verificationCodeInput: 'verification',
+  calendarDay: 'calendar',
+  availableDay: 'calendar',
+  nextMonth: 'calendar',
+  soldOutDay: 'calendar',
+  timeSlot: 'day',
+  notifyButton: 'notify',
+  notifyTime: 'notify',
+  checkoutSummary: 'checkout',
+  checkoutTotal: 'checkout',
+  cvvFrame: 'checkout',
+  cvvInput: 'checkout',
+  purchaseButton: 'checkout',
+  confirmationId: 'receipt'
+};
+
+// Selectors that may legitimately match nothing (e.g. no open days right now, or the last bookable month)
+const OPTIONAL_SELECTORS = ['availableDay', 'nextMonth', 'soldOutDay', 'notifyTime'];
+
+// Defaults that have never been seen to match on the live site. --selftest flags them until
+// they match there, or until site-profile.json replaces them with selectors taken from the page.
+const UNVERIFIED_SELECTORS = [
+  'verificationCodeInput', 'nextMonth', 'soldOutDay', 'notifyButton', 'notifyTime', 'checkoutSummary', 'checkoutTotal'
+];
+
+// Entries keep the shape of their default: a string, or a list of strings
+function sameShape(value, defaultValue) {
+  if (Array.isArray(defaultValue)) {
+    return typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+  }
+  return typeof value === 'string' && value.length > 0;
+}
+
+// Overlay `override` on the defaults, section by section; throws on malformed values
+function mergeProfile(override, base = DEFAULT_PROFILE) {
+  const profile = {
+    ...base,
+    paths: { ...base.paths },
+    selectors: { ...base.selectors },
+    text: { ...base.text },
+    probe: { ...base.probe }
+  };
+
+  for (const [key, value] of Object.entries(override)) {
+    if (['paths', 'selectors', 'text', 'probe'].includes(key)) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Site profile "${key}" must be an object`);
+      }
+      for (const [name, entry] of Object.entries(value)) {
+        if (!(name in base[key])) {
+          console.warn(`⚠️  Unknown site profile entry ${key}.${name} - ignored`);
+          continue;
+        }
+        if (!sameShape(entry, base[key][name])) {
+          const shape = Array.isArray(base[key][name]) ? 'a string or a list of strings' : 'a non-empty string';
+          throw new Error(`Site profile ${key}.${name} must be ${shape}`);
+        }
+        profile[key][name] = entry;
+      }
+    } else if (key === 'baseUrl' || key === 'version' || key === 'baseVersion') {
+      profile[key] = String(value);
+    } else {
+      console.warn(`⚠️  Unknown site profile key "${key}" - ignored`);
+    }
+  }
+  return profile;
+}
+
+// Built-in profile + override file + TOCK_BASE_URL
+function loadSiteProfile(file = SITE_PROFILE_FILE, env = process.env) {
+  let profile = { ...DEFAULT_PROFILE, source: 'built-in' };
+
+  if (fs.existsSync(file)) {
+    let override;
+    try {
+      override = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      profile = { ...mergeProfile(override), source: file };
+    } catch (e) {
+      throw new Error(`Invalid site profile ${file}: ${e.message}`);
+    }
+
+    // An override written against older defaults may be patching selectors that have since changed
+    if (override.baseVersion && override.baseVersion !== DEFAULT_PROFILE.version) {
+      console.warn(`⚠️  ${file} was written for site profile ${override.baseVersion}, built-in is ${DEFAULT_PROFILE.version} - re-run --selftest`);
+    }
+    if (!override.version) {
+      profile.version = `${DEFAULT_PROFILE.version}+local`;
+    }
+  }
+
+  if (env.TOCK_BASE_URL) {
+    profile.baseUrl = env.TOCK_BASE_URL;
+  }
+  profile.baseUrl = profile.baseUrl.replace(/\/$/, '');
+  return profile;
+}
+
+function asList(value) {
+  return [].concat(value || []);
+}
+
+function loginUrl(profile, continueTo) {
+  const { login, loginContinueParam } = profile.paths;
+  return `${profile.baseUrl}${login}?${loginContinueParam}=${encodeURIComponent(continueTo)}`;
+}
+
+function isLoginUrl(profile, url) {
+  return new URL(url).pathname.startsWith(profile.paths.login);
+}
+
+// Selector for one calendar day by its label
+function daySelector(profile, label) {
+  const { calendarDay, dayLabelAttribute } = profile.selectors;
+  return `${calendarDay}[${dayLabelAttribute}="${label.replace(/"/g, '\\"')}"]`;
+}
+
+// True if any of `texts` appears on the page
+async function textVisible(page, texts) {
+  for (const text of asList(texts)) {
+    if (await page.locator(`text=${text}`).count() > 0) return true;
+  }
+  return false;
+}
+
+// True while a Cloudflare/Turnstile challenge is on the page
+async function challengeVisible(profile, page) {
+  if (await textVisible(page, profile.text.challenge)) return true;
+  for (const selector of asList(profile.selectors.challenge)) {
+    if (await page.locator(selector).count() > 0) return true;
+  }
+  return false;
+}
+
+// True when login stopped at an emailed/texted verification code prompt
+async function verificationVisible(profile, page) {
+  if (await page.locator(profile.selectors.verificationCodeInput).count() > 0) return true;
+  return textVisible(page, profile.text.verificationPrompt);
+}
+
+// True while `name` is still the unconfirmed built-in default
+function unverifiedSelector(profile, name) {
+  return UNVERIFIED_SELECTORS.includes(name) && profile.selectors[name] === DEFAULT_PROFILE.selectors[name];
+}
+
+// Count matches for every selector that belongs on `stage`
+async function probeSelectors(profile, page, stage) {
+  const results = [];
+  for (const [name, selectorStage] of Object.entries(SELECTOR_STAGES)) {
+    if (selectorStage !== stage) continue;
+
+    const selector = profile.selectors[name];
+    let count;
+    if (name === 'cvvInput') {
+      count = await page.frameLocator(profile.selectors.cvvFrame).locator(selector).count().catch(() => 0);
+    } else {
+      count = await page.locator(selector).count();
+    }
+    results.push({
+      name,
+      stage,
+      selector,
+      count,
+      ok: count > 0 || OPTIONAL_SELECTORS.includes(name),
+      unverified: unverifiedSelector(profile, name)
+    });
+  }
+  return results;
+}
+
+module.exports = {
+  SITE_PROFILE_FILE,
+  DEFAULT_PROFILE,
+  SELECTOR_STAGES,
+  UNVERIFIED_SELECTORS,
+  mergeProfile,
+  loadSiteProfile,
+  loginUrl,
+  isLoginUrl,
+  daySelector,
+  textVisible,
+  challengeVisible,
+  verificationVisible,
+  unverifiedSelector,
+  probeSelectors
+};
@@ -0,0 +1,442 @@
+// Append-only JSONL storage for everything the bot records over time.
+// Writes are single appends (safe if two runs overlap); old records are periodically
+// compacted into daily rollups so the files stop growing forever. Compaction never loses
+// an append made while it runs.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const { DATA_DIR } = require('./paths');
+const STORE_STATE_FILE = path.join(DATA_DIR, 'store-state.json');
+const COMPACT_INTERVAL_MS = Number(process.env.COMPACT_INTERVAL_HOURS || 24) * 3600000;
+
+function dayOf(record) {
+  return String(record.timestamp || record.startedAt || '').slice(0, 10);
+}
+
+// Daily rollups for records that fall out of retention
+function rollupAnalytics(records) {
+  const rollups = {};
+  for (const r of records) {
+    const key = `${dayOf(r)}|${r.target || ''}`;
+    const rollup = rollups[key] || (rollups[key] = {
+      date: dayOf(r),
+      target: r.target || null,
+      checks: 0,
+      checksWithAvailability: 0,
+      peakChecks: 0,
+      cloudflareBlocked: 0,
+      totalTimeSlots: 0,
+      matches: 0
+    });
+    rollup.checks += 1;
+    if (r.totalAvailableDays > 0) rollup.checksWithAvailability += 1;
+    if (r.isPeakWindow) rollup.peakChecks += 1;
+    if (r.cloudflareBlocked) rollup.cloudflareBlocked += 1;
+    if (r.matchedSlot) rollup.matches += 1;
+    rollup.totalTimeSlots += r.totalTimeSlots || 0;
+  }
+  return Object.values(rollups);
+}
+
+function rollupCloudflare(records) {
+  const rollups = {};
+  for (const r of records) {
+    const rollup = rollups[dayOf(r)] || (rollups[dayOf(r)] = { date: dayOf(r), checks: 0, blocked: 0 });
+    rollup.checks += 1;
+    if (r.blocked) rollup.blocked += 1;
+  }
+  return Object.values(rollups);
+}
+
+function rollupRuns(records) {
+  const rollups = {};
+  for (const r of records) {
+    const rollup = rollups[dayOf(r)] || (rollups[dayOf(r)] = { date: dayOf(r), runs: 0, outcomes: {} });
+    rollup.runs += 1;
+    rollup.outcomes[r.outcome] = (rollup.outcomes[r.outcome] || 0) + 1;
+  }
+  return Object.values(rollups);
+}
+
+const COLLECTIONS = {
+  analytics: {
+    file: 'analytics.jsonl',
+    retentionDays: Number(process.env.ANALYTICS_RETENTION_DAYS || 90),
+    rollup: rollupAnalytics
+  },
+  cloudflare: {
+    file: 'cloudflare.jsonl',
+    retentionDays: Number(process.env.CLOUDFLARE_RETENTION_DAYS || 30),
+    rollup: rollupCloudflare
+  },
+  runs: {
+    file: 'runs.jsonl',
+    retentionDays: Number(process.env.RUNS_RETENTION_DAYS || 90),
+    rollup: rollupRuns
+  },
+  slots: {
+    file: 'slot-events.jsonl',
+    retentionDays: Number(process.env.SLOT_EVENTS_RETENTION_DAYS || 365),
+    rollup: null
+  },
+  challenges: {
+    file: 'challenge-decisions.jsonl',
+    retentionDays: Number(process.env.CHALLENGE_RETENTION_DAYS || 30),
+    rollup: null
+  },
+  events: {
+    file: 'events.jsonl',
+    retentionDays: Number(process.env.EVENTS_RETENTION_DAYS || 14),
+    rollup: null
+  },
+  // The bookings ledger is never compacted
+  bookings: {
+    file: 'bookings.jsonl',
+    retentionDays: null,
+    rollup: null
+  }
+};
+
+function getCollection(name) {
+  const collection = COLLECTIONS[name];
+  if (!collection) {
+    throw new Error(`Unknown collection: ${name}`);
+  }
+  return collection;
+}
+
+function collectionFile(name) {
+  return path.join(DATA_DIR, getCollection(name).file);
+}
+
+function rollupFile(name) {
+  return path.join(DATA_DIR, getCollection(name).file.replace('.jsonl', '-rollup.jsonl'));
+}
+
+function recordTime(record) {
+  return record.timestamp || record.startedAt || null;
+}
+
+function parseLine(line) {
+  if (!line.trim()) return null;
+  try {
+    return JSON.parse(line);
+  } catch (e) {
+    // A torn write from a crashed run - skip it
+    return null;
+  }
+}
+
+function append(name, record) {
+  try {
+    fs.appendFileSync(collectionFile(name), JSON.stringify(record) + '\n');
+  } catch (e) {
+    console.error(`Store append error (${name}):`, e.message);
+  }
+}
+
+function readLinesSync(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf-8').split('\n').map(parseLine).filter(Boolean);
+}
+
+// Every record in a collection (use `query` for anything that could be large)
+function readAll(name) {
+  return readLinesSync(collectionFile(name));
+}
+
+function readRollups(name, { from, to } = {}) {
+  return readLinesSync(rollupFile(name)).filter(r =>
+    (!from || r.date >= from.slice(0, 10)) && (!to || r.date <= to.slice(0, 10)));
+}
+
+// Last `count` records, read backwards from the end of the file
+function tail(name, count) {
+  const file = collectionFile(name);
+  if (!fs.existsSync(file)) return [];
+
+  const fd = fs.openSync(file, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const chunkSize = 64 * 1024;
+    let position = size;
+    let text = '';
+
+    while (position > 0 && text.split('\n').length <= count + 1) {
+      const length = Math.min(chunkSize, position);
+      position -= length;
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, position);
+      text = buffer.toString('utf-8') + text;
+    }
+
+    const lines = text.split('\n');
+    if (position > 0) lines.shift(); // first line may be partial
+    return lines.map(parseLine).filter(Boolean).slice(-count);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Stream a collection, keeping only what the caller asked for.
+// Returns { total, offset, limit, items } where total counts every match in range.
+async function query(name, { from, to, filter, offset = 0, limit = 1000, order = 'asc' } = {}) {
+  const file = collectionFile(name);
+  const result = { total: 0, offset, limit, items: [] };
+  if (!fs.existsSync(file)) return result;
+
+  const matches = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    const record = parseLine(line);
+    if (!record) continue;
+
+    // Not strictly in time order: runs are keyed by when they started but appended when they finish
+    const time = recordTime(record);
+    if (from && time < from) continue;
+    if (to && time > to) continue;
+    if (filter && !filter(record)) continue;
+
+    result.total += 1;
+    if (order === 'asc') {
+      if (result.total > offset && matches.length < limit) matches.push(record);
+    } else {
+      // Newest first: keep a sliding window of the last offset + limit matches
+      matches.push(record);
+      if (matches.length > offset + limit) matches.shift();
+    }
+  }
+  lines.close();
+
+  result.items = order === 'asc' ? matches : matches.reverse().slice(offset, offset + limit);
+  return result;
+}
+
+function jsonLines(records) {
+  return records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+}
+
+// Write records atomically (tmp file + rename)
+function rewrite(file, records) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, jsonLines(records));
+  fs.renameSync(tmp, file);
+}
+
+// Put `tmp` in place of a collection file that was moved aside. Whatever was appended to a
+// new `file` in the meantime is moved onto the end of `tmp` until the link (which never
+// overwrites) wins the race.
+function replaceMovedFile(tmp, file) {
+  for (;;) {
+    try {
+      fs.linkSync(tmp, file);
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    const late = `${file}.${process.pid}.late`;
+    fs.renameSync(file, late);
+    fs.appendFileSync(tmp, fs.readFileSync(late));
+    fs.unlinkSync(late);
+  }
+  fs.unlinkSync(tmp);
+}
+
+// Merge rollups for the same day (and target) into existing rollup records
+function mergeRollups(existing, added) {
+  const byKey = {};
+  const keyOf = r => `${r.date}|${r.target || ''}`;
+
+  for (const rollup of existing.concat(added)) {
+    const key = keyOf(rollup);
+    if (!byKey[key]) {
+      byKey[key] = JSON.parse(JSON.stringify(rollup));
+      continue;
+    }
+    const merged = byKey[key];
+    for (const [field, value] of Object.entries(rollup)) {
+      if (typeof value === 'number') {
+        merged[field] = (merged[field] || 0) + value;
+      } else if (value && typeof value === 'object') {
+        merged[field] = merged[field] || {};
+        for (const [k, v] of Object.entries(value)) merged[field][k] = (merged[field][k] || 0) + v;
+      }
+    }
+  }
+  return Object.values(byKey).sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// Roll up (or drop) records older than the collection's retention. Other processes (a
+// second run, the analytics server) may append meanwhile, so the file is moved aside first
+// and anything written to its replacement is replayed after the kept records.
+function compact(name, now = new Date()) {
+  const collection = getCollection(name);
+  const file = collectionFile(name);
+  if (!fs.existsSync(file) || collection.retentionDays === null) return { kept: 0, expired: 0 };
+
+  const cutoff = new Date(now.getTime() - collection.retentionDays * 86400000).toISOString();
+  const current = readLinesSync(file);
+  if (!current.some(r => recordTime(r) < cutoff)) return { kept: current.length, expired: 0 };
+
+  const aside = `${file}.${process.pid}.compacting`;
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.renameSync(file, aside);
+  const records = readLinesSync(aside);
+  const expired = records.filter(r => recordTime(r) < cutoff);
+  const kept = records.filter(r => recordTime(r) >= cutoff);
+
+  try {
+    if (collection.rollup) {
+      rewrite(rollupFile(name), mergeRollups(readLinesSync(rollupFile(name)), collection.rollup(expired)));
+    }
+    fs.writeFileSync(tmp, jsonLines(kept));
+  } catch (e) {
+    // Put every record back rather than lose them
+    fs.copyFileSync(aside, tmp);
+    replaceMovedFile(tmp, file);
+    fs.unlinkSync(aside);
+    throw e;
+  }
+  replaceMovedFile(tmp, file);
+  fs.unlinkSync(aside);
+  return { kept: kept.length, expired: expired.length };
+}
+
+function readStoreState() {
+  try {
+    if (fs.existsSync(STORE_STATE_FILE)) {
+      return JSON.parse(fs.readFileSync(STORE_STATE_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Error reading store state:', e.message);
+  }
+  return {};
+}
+
+// Compact every collection at most once per COMPACT_INTERVAL_HOURS
+function compactIfDue(now = new Date()) {
+  const state = readStoreState();
+  if (state.lastCompactedAt && now - new Date(state.lastCompactedAt) < COMPACT_INTERVAL_MS) {
+    return false;
+  }
+
+  for (const name of Object.keys(COLLECTIONS)) {
+    try {
+      const { expired } = compact(name, now);
+      if (expired > 0) {
+        console.log(`🗜️  Compacted ${expired} ${name} record(s) older than ${COLLECTIONS[name].retentionDays} days`);
+      }
+    } catch (e) {
+      console.error(`Store compaction error (${name}):`, e.message);
+    }
+  }
+
+  fs.writeFileSync(STORE_STATE_FILE, JSON.stringify({ ...state, lastCompactedAt: now.toISOString() }, null, 2));
+  return true;
+}
+
+// Claim a legacy file by renaming it, so only one process migrates it
+function claimLegacyFile(file) {
+  const claimed = `${file}.migrating`;
+  try {
+    fs.renameSync(file, claimed);
+    return claimed;
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// Prepend migrated records so the collection stays in time order. Like compact(), the file is
+// moved aside first, so records another process appends meanwhile are kept.
+function prependRecords(name, records) {
+  const file = collectionFile(name);
+  const aside = `${file}.${process.pid}.migrating`;
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.renameSync(file, aside);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const existing = fs.existsSync(aside) ? fs.readFileSync(aside) : '';
+
+  try {
+    fs.writeFileSync(tmp, jsonLines(records));
+    fs.appendFileSync(tmp, existing);
+  } catch (e) {
+    // Put the existing records back rather than lose them
+    if (fs.existsSync(aside)) {
+      fs.copyFileSync(aside, tmp);
+      replaceMovedFile(tmp, file);
+      fs.unlinkSync(aside);
+    }
+    throw e;
+  }
+  replaceMovedFile(tmp, file);
+  fs.rmSync(aside, { force: true });
+}
+
+// Import one claimed legacy file with `importFile`. A file that can't be read or parsed is
+// set aside as <name>.corrupt instead of stopping the run or being retried forever.
+function migrateLegacyFile(name, importFile) {
+  const legacy = path.join(DATA_DIR, name);
+  let claimed = null;
+  try {
+    claimed = claimLegacyFile(legacy);
+    if (!claimed) return;
+    importFile(fs.readFileSync(claimed, 'utf-8'));
+    fs.renameSync(claimed, `${legacy}.migrated`);
+  } catch (e) {
+    console.error(`⚠️  Could not migrate ${name} (${e.message})${claimed ? ` - left as ${name}.corrupt` : ''}`);
+    if (claimed) {
+      try {
+        fs.renameSync(claimed, `${legacy}.corrupt`);
+      } catch (renameError) {
+        // Leave the .migrating file for someone to look at
+      }
+    }
+  }
+}
+
+// One-time import of the old whole-file analytics.json and cloudflare-blocks.json
+function migrateLegacy() {
+  migrateLegacyFile('analytics.json', content => {
+    const records = content.trim() ? JSON.parse(content) : [];
+    if (!Array.isArray(records)) throw new Error('expected a list of checks');
+    prependRecords('analytics', records);
+    console.log(`📦 Migrated ${records.length} analytics record(s) to ${COLLECTIONS.analytics.file}`);
+  });
+
+  migrateLegacyFile('cloudflare-blocks.json', content => {
+    const blocks = content.trim() ? JSON.parse(content) : { total: 0, history: [] };
+    if (!blocks || !Array.isArray(blocks.history || [])) throw new Error('expected { total, history }');
+    const history = (blocks.history || []).filter(h => h && h.timestamp).map(h => ({ timestamp: h.timestamp, blocked: !!h.blocked }));
+
+    // The old file kept only the last 100 checks - keep the older block count as a rollup
+    const olderBlocks = (blocks.total || 0) - history.filter(h => h.blocked).length;
+    if (olderBlocks > 0) {
+      const date = history.length ? history[0].timestamp.slice(0, 10) : new Date().toISOString().slice(0, 10);
+      rewrite(rollupFile('cloudflare'), mergeRollups(readLinesSync(rollupFile('cloudflare')), [
+        { date, checks: olderBlocks, blocked: olderBlocks }
+      ]));
+    }
+
+    prependRecords('cloudflare', history);
+    console.log(`📦 Migrated ${history.length} Cloudflare check(s) to ${COLLECTIONS.cloudflare.file}`);
+  });
+}
+
+module.exports = {
+  COLLECTIONS,
+  collectionFile,
+  append,
+  readAll,
+  readRollups,
+  tail,
+  query,
+  compact,
+  compactIfDue,
+  migrateLegacy
+};
@@ -0,0 +1,77 @@
+// Minimal IANA timezone helpers built on Intl, so release times can be
+// configured in the restaurant's local time instead of UTC.
+
+const formatters = {};
+
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+  }
+  return formatters[timeZone];
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Wall-clock parts of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// YYYY-MM-DD of `date` on the wall calendar in `timeZone`
+function zonedIsoDate(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Offset of `timeZone` from UTC at `date`, in milliseconds
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant at which the wall clock in `timeZone` reads the given date and time
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - offsetMs(new Date(guess), timeZone);
+  // Re-check once in case the guess landed on the other side of a DST change
+  return new Date(guess - offsetMs(new Date(first), timeZone));
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = {
+  zonedParts,
+  zonedIsoDate,
+  zonedTimeToUtc,
+  isValidTimeZone
+};
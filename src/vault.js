@@ -0,0 +1,347 @@
+// Encrypted credentials and login sessions. Tock accounts (email, password, CVV) live in
+// data/vault.json and each account's cookies in data/sessions/<account>.json, all encrypted
+// with AES-256-GCM under a key derived (scrypt) from VAULT_PASSPHRASE or VAULT_KEY_FILE.
+// TOCK_EMAIL/TOCK_PASSWORD/TOCK_CVV still work as a plaintext "default" account.
+//
+// Manage it with `node src/vault.js <command>` (see usage() below).
+// .env first: DATA_DIR and VAULT_FILE are read when the modules load, and every command needs the passphrase
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { DATA_DIR } = require('./paths');
+const { addSecret } = require('./redact');
+
+const VAULT_FILE = process.env.VAULT_FILE || path.join(DATA_DIR, 'vault.json');
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+const LEGACY_COOKIES_FILE = path.join(DATA_DIR, 'tock-cookies.json');
+const SESSION_MAX_AGE_HOURS = Number(process.env.SESSION_MAX_AGE_HOURS || 168);
+const ENV_ACCOUNT_ID = 'default';
+const KDF = { N: 16384, r: 8, p: 1 };
+
+let cachedKey = null;
+let cachedAccounts = null;
+let warnedPlaintext = false;
+
+// Passphrase from VAULT_KEY_FILE (preferred - keeps it out of the environment) or VAULT_PASSPHRASE
+function vaultSecret(env = process.env) {
+  if (env.VAULT_KEY_FILE) {
+    return fs.readFileSync(env.VAULT_KEY_FILE, 'utf-8').trim();
+  }
+  return env.VAULT_PASSPHRASE || null;
+}
+
+function readVaultFile() {
+  if (!fs.existsSync(VAULT_FILE)) return null;
+  return JSON.parse(fs.readFileSync(VAULT_FILE, 'utf-8'));
+}
+
+function writeVaultFile(vault) {
+  const tmp = `${VAULT_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(vault, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, VAULT_FILE);
+}
+
+// The vault key, or null when no passphrase is configured. The salt lives in vault.json,
+// which is created on first use.
+function vaultKey() {
+  if (cachedKey) return cachedKey;
+  const secret = vaultSecret();
+  if (!secret) return null;
+
+  let vault = readVaultFile();
+  if (!vault) {
+    vault = { version: 1, kdf: { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...KDF }, accounts: null };
+    writeVaultFile(vault);
+  }
+  const { salt, N, r, p } = vault.kdf;
+  cachedKey = crypto.scryptSync(secret, Buffer.from(salt, 'base64'), 32, { N, r, p });
+  return cachedKey;
+}
+
+function encrypt(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf-8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decrypt(box, key) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf-8'));
+  } catch (e) {
+    throw new Error('Could not decrypt the vault - wrong VAULT_PASSPHRASE / VAULT_KEY_FILE?');
+  }
+}
+
+function requireKey() {
+  const key = vaultKey();
+  if (!key) {
+    throw new Error(`Set VAULT_PASSPHRASE or VAULT_KEY_FILE to use the vault (${VAULT_FILE})`);
+  }
+  return key;
+}
+
+// { [accountId]: { email, password, cvv } } stored in the vault
+function readVaultAccounts() {
+  const vault = readVaultFile();
+  if (!vault || !vault.accounts) return {};
+  return decrypt(vault.accounts, requireKey());
+}
+
+function writeVaultAccounts(accounts) {
+  const key = requireKey();
+  writeVaultFile({ ...readVaultFile(), accounts: encrypt(accounts, key) });
+  cachedAccounts = null;
+}
+
+// Every account: the vault's, plus a plaintext "default" one from TOCK_EMAIL/TOCK_PASSWORD/TOCK_CVV
+function loadAccounts(env = process.env) {
+  if (cachedAccounts) return cachedAccounts;
+  const accounts = {};
+  for (const [id, account] of Object.entries(readVaultAccounts())) {
+    accounts[id] = { id, ...account, source: 'vault' };
+  }
+  if (env.TOCK_EMAIL && !accounts[ENV_ACCOUNT_ID]) {
+    accounts[ENV_ACCOUNT_ID] = {
+      id: ENV_ACCOUNT_ID, email: env.TOCK_EMAIL, password: env.TOCK_PASSWORD, cvv: env.TOCK_CVV, source: 'env'
+    };
+  }
+  // Anything that reaches a log line or notification gets these scrubbed out
+  for (const account of Object.values(accounts)) {
+    [account.email, account.password].forEach(addSecret);
+  }
+  cachedAccounts = accounts;
+  return accounts;
+}
+
+// A target's account (its `account` field), else the env account, else the first in the vault
+function getAccount(accountId = null) {
+  const accounts = loadAccounts();
+  const id = accountId || (accounts[ENV_ACCOUNT_ID] ? ENV_ACCOUNT_ID : Object.keys(accounts)[0]);
+  if (!id || !accounts[id]) {
+    throw new Error(accountId
+      ? `Unknown Tock account "${accountId}" - add it with: node src/vault.js set ${accountId}`
+      : 'No Tock account configured - set TOCK_EMAIL/TOCK_PASSWORD or run: node src/vault.js set <account>');
+  }
+  return accounts[id];
+}
+
+function sessionFile(accountId) {
+  return path.join(SESSIONS_DIR, `${accountId.replace(/[^\w.-]/g, '_')}.json`);
+}
+
+function readSessionFile(accountId) {
+  const file = sessionFile(accountId);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    console.error(`Error reading session ${file}:`, e.message);
+    return null;
+  }
+}
+
+function writeSessionFile(accountId, record) {
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(sessionFile(accountId), JSON.stringify(record, null, 2), { mode: 0o600 });
+}
+
+// Saved sessions end at SESSION_MAX_AGE_HOURS or when the longest-lived cookie does
+function sessionExpiry(cookies, now = new Date()) {
+  const maxAge = now.getTime() + SESSION_MAX_AGE_HOURS * 3600000;
+  const cookieExpiries = cookies.filter(c => c.expires > 0).map(c => c.expires * 1000);
+  const expires = cookieExpiries.length ? Math.min(maxAge, Math.max(...cookieExpiries)) : maxAge;
+  return new Date(expires).toISOString();
+}
+
+// Without a vault key the cookies are stored as they are - a working Tock login for anyone
+// who can read data/sessions/, so say so (once per process; validate-config warns too)
+function saveSession(accountId, cookies, now = new Date()) {
+  const key = vaultKey();
+  if (!key && !warnedPlaintext) {
+    warnedPlaintext = true;
+    console.log(`⚠️  WARNING: saving the ${accountId} login session UNENCRYPTED in ${SESSIONS_DIR} - set VAULT_PASSPHRASE or VAULT_KEY_FILE to encrypt it`);
+  }
+  writeSessionFile(accountId, {
+    account: accountId,
+    savedAt: now.toISOString(),
+    expiresAt: sessionExpiry(cookies, now),
+    encrypted: !!key,
+    ...(key ? encrypt(cookies, key) : { cookies })
+  });
+}
+
+// An old unencrypted tock-cookies.json becomes the default account's session
+function migrateLegacyCookies(accountId) {
+  if (!fs.existsSync(LEGACY_COOKIES_FILE) || fs.existsSync(sessionFile(accountId))) return;
+  if (getAccount().id !== accountId) return;
+  const cookies = JSON.parse(fs.readFileSync(LEGACY_COOKIES_FILE, 'utf-8'));
+  saveSession(accountId, cookies);
+  fs.unlinkSync(LEGACY_COOKIES_FILE);
+  console.log(`📦 Moved ${path.basename(LEGACY_COOKIES_FILE)} into ${sessionFile(accountId)}`);
+}
+
+// Cookies for `accountId`, or null when there is no usable saved session
+function loadSession(accountId, now = new Date()) {
+  migrateLegacyCookies(accountId);
+  const record = readSessionFile(accountId);
+  if (!record || (!record.cookies && !record.data)) return null;
+
+  if (new Date(record.expiresAt) <= now) {
+    console.log(`⌛ Saved session for ${accountId} reached its expiry (${record.expiresAt})`);
+    expireSession(accountId, 'expired', now);
+    return null;
+  }
+  if (!record.encrypted) {
+    return record.cookies;
+  }
+  const key = vaultKey();
+  if (!key) {
+    console.log(`🔐 Session for ${accountId} is encrypted but no vault key is set - logging in again`);
+    return null;
+  }
+  return decrypt(record, key);
+}
+
+// Drop a session's cookies but keep when and why it ended, so session lifetimes can be tracked
+function expireSession(accountId, reason = 'logged-out', now = new Date()) {
+  const record = readSessionFile(accountId);
+  if (!record) return;
+  writeSessionFile(accountId, {
+    account: accountId,
+    savedAt: record.savedAt,
+    expiresAt: record.expiresAt,
+    endedAt: now.toISOString(),
+    endReason: reason,
+    lifetimeHours: record.savedAt ? Number(((now - new Date(record.savedAt)) / 3600000).toFixed(1)) : null
+  });
+}
+
+function clearSession(accountId) {
+  fs.rmSync(sessionFile(accountId), { force: true });
+}
+
+// Session status per account, for `node src/vault.js sessions`. Unreadable files are skipped.
+function listSessions() {
+  if (!fs.existsSync(SESSIONS_DIR)) return [];
+  return fs.readdirSync(SESSIONS_DIR).filter(f => f.endsWith('.json')).flatMap(file => {
+    try {
+      const { data, tag, iv, cookies, ...meta } = JSON.parse(fs.readFileSync(path.join(SESSIONS_DIR, file), 'utf-8'));
+      return [{ ...meta, active: !!(data || cookies) }];
+    } catch (e) {
+      console.error(`Error reading session ${file}:`, e.message);
+      return [];
+    }
+  });
+}
+
+// Read a line without echoing it (for passwords and CVVs)
+function prompt(question, hidden = false) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    if (hidden) {
+      rl._writeToOutput = text => {
+        if (text.startsWith(question)) rl.output.write(question);
+      };
+    }
+    rl.question(question, answer => {
+      rl.close();
+      if (hidden) process.stdout.write('\n');
+      resolve(answer.trim());
+    });
+  });
+}
+
+function usage() {
+  console.log(`Usage: node src/vault.js <command>
+
+  set <account>        Add or update an account (prompts for email, password and CVV)
+  import-env [account] Copy TOCK_EMAIL/TOCK_PASSWORD/TOCK_CVV into the vault (default account "default")
+  remove <account>     Delete an account and its session
+  list                 Show accounts (without secrets)
+  sessions             Show saved sessions and when they expire
+  generate-key <file>  Write a random key file to use as VAULT_KEY_FILE`);
+}
+
+async function main([command, arg]) {
+  switch (command) {
+    case 'set': {
+      if (!arg) return usage();
+      const accounts = readVaultAccounts();
+      const email = await prompt('Email: ');
+      const password = await prompt('Password: ', true);
+      const cvv = await prompt('CVV (blank for none): ', true);
+      accounts[arg] = { email, password, cvv: cvv || undefined };
+      writeVaultAccounts(accounts);
+      console.log(`🔐 Saved account "${arg}" to ${VAULT_FILE}`);
+      break;
+    }
+    case 'import-env': {
+      const id = arg || ENV_ACCOUNT_ID;
+      if (!process.env.TOCK_EMAIL || !process.env.TOCK_PASSWORD) {
+        throw new Error('TOCK_EMAIL and TOCK_PASSWORD must be set to import them');
+      }
+      const accounts = readVaultAccounts();
+      accounts[id] = { email: process.env.TOCK_EMAIL, password: process.env.TOCK_PASSWORD, cvv: process.env.TOCK_CVV || undefined };
+      writeVaultAccounts(accounts);
+      console.log(`🔐 Imported account "${id}" - you can now remove TOCK_PASSWORD and TOCK_CVV from .env`);
+      break;
+    }
+    case 'remove': {
+      if (!arg) return usage();
+      const accounts = readVaultAccounts();
+      delete accounts[arg];
+      writeVaultAccounts(accounts);
+      clearSession(arg);
+      console.log(`🗑️  Removed account "${arg}"`);
+      break;
+    }
+    case 'list':
+      for (const account of Object.values(loadAccounts())) {
+        console.log(`${account.id.padEnd(16)} ${account.source.padEnd(6)} ${account.email}${account.cvv ? ' (CVV set)' : ''}`);
+      }
+      break;
+    case 'sessions':
+      for (const s of listSessions()) {
+        const status = s.active ? `active until ${s.expiresAt}` : `ended ${s.endedAt} (${s.endReason}, ${s.lifetimeHours}h)`;
+        console.log(`${s.account.padEnd(16)} saved ${s.savedAt}  ${status}`);
+      }
+      break;
+    case 'generate-key':
+      if (!arg) return usage();
+      fs.writeFileSync(arg, crypto.randomBytes(32).toString('base64') + '\n', { mode: 0o600, flag: 'wx' });
+      console.log(`🔑 Wrote ${arg} - set VAULT_KEY_FILE=${path.resolve(arg)}`);
+      break;
+    default:
+      usage();
+  }
+}
+
+module.exports = {
+  VAULT_FILE,
+  SESSIONS_DIR,
+  encrypt,
+  decrypt,
+  readVaultAccounts,
+  writeVaultAccounts,
+  loadAccounts,
+  getAccount,
+  sessionFile,
+  saveSession,
+  loadSession,
+  expireSession,
+  clearSession,
+  listSessions
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,181 @@
+// Tock's "Set Notify" waitlist: when the dates a target wants are sold out, the bot can put
+// itself on the list for them (opt-in), so Tock's own notify email/text becomes a second
+// source of openings next to polling. Joined waitlists live in data/waitlists.json, one
+// entry per target and date, so nothing is joined twice.
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+const { buildRules, dateAllowed, parseDateLabel, parseTime, timeRank } = require('./matcher');
+const { calendarPlan } = require('./calendar');
+const { textVisible } = require('./site-profile');
+const { zonedIsoDate } = require('./timezone');
+
+const WAITLIST_FILE = path.join(DATA_DIR, 'waitlists.json');
+// Opt-in: join the notify list for sold-out dates (watchlist targets can set "waitlist")
+const WAITLIST_ENROLL = process.env.WAITLIST_ENROLL === 'true';
+// New waitlists to join per target per check, so one check doesn't turn into dozens of clicks
+const WAITLIST_MAX_PER_RUN = Number(process.env.WAITLIST_MAX_PER_RUN || 3);
+// After Tock sends a notification, checks run at the peak cadence for this long
+const WAITLIST_ALERT_MINUTES = Number(process.env.WAITLIST_ALERT_MINUTES || 30);
+// Waitlist dates are the restaurant's, so "today" is too (BOOKING_TIMEZONE, as in bookings.js).
+// Read from the environment: scheduler.js, where RELEASE_TIMEZONE lives, requires this module.
+const WAITLIST_TIMEZONE = process.env.BOOKING_TIMEZONE || process.env.RELEASE_TIMEZONE || 'America/Los_Angeles';
+const NOTIFY_TIMEOUT_MS = 10000;
+const POLL_MS = 250;
+
+function restaurantToday(now) {
+  return zonedIsoDate(now, WAITLIST_TIMEZONE);
+}
+
+function waitlistEnabled(target) {
+  return target.waitlist === undefined ? WAITLIST_ENROLL : target.waitlist === true;
+}
+
+// { targets: { [targetId]: { [date]: { joinedAt, times, account, source, notifiedAt } } } }
+function readWaitlists() {
+  try {
+    if (fs.existsSync(WAITLIST_FILE)) {
+      const content = fs.readFileSync(WAITLIST_FILE, 'utf-8');
+      if (content.trim()) {
+        return { targets: {}, ...JSON.parse(content) };
+      }
+    }
+  } catch (e) {
+    console.error('Error reading waitlists:', e.message);
+  }
+  return { targets: {} };
+}
+
+// Written atomically, since the bot and the analytics server both update it
+function writeWaitlists(waitlists) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tmp = `${WAITLIST_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(waitlists, null, 2));
+  fs.renameSync(tmp, WAITLIST_FILE);
+}
+
+// A target's waitlist entries for dates that haven't passed
+function targetWaitlists(targetId, now = new Date()) {
+  const today = restaurantToday(now);
+  const entries = readWaitlists().targets[targetId] || {};
+  return Object.fromEntries(Object.entries(entries).filter(([date]) => date >= today));
+}
+
+// Sold-out days ({ date, dateLabel, month }) worth joining the waitlist for: allowed by the
+// target's date rules, within its horizon and not joined yet. Earliest first.
+function waitlistCandidates(target, soldOut, now = new Date()) {
+  const rules = buildRules(target);
+  const { end } = calendarPlan(target, now);
+  const joined = targetWaitlists(target.id, now);
+  const today = restaurantToday(now);
+  return soldOut
+    .filter(day => day.date >= today && day.date <= end && dateAllowed(day.date, rules) && !joined[day.date])
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+function recordEnrollment(targetId, date, { times = [], account = null, source = 'sold-out' } = {}, now = new Date()) {
+  const waitlists = readWaitlists();
+  const today = restaurantToday(now);
+  // Past dates are dropped whenever the file is written
+  for (const [id, entries] of Object.entries(waitlists.targets)) {
+    waitlists.targets[id] = Object.fromEntries(Object.entries(entries).filter(([day]) => day >= today));
+  }
+  const entry = { joinedAt: now.toISOString(), times, account, source, notifiedAt: null };
+  waitlists.targets[targetId] = { ...waitlists.targets[targetId], [date]: entry };
+  writeWaitlists(waitlists);
+  return entry;
+}
+
+// Tock said something opened up (a forwarded notify email/text). Marks the matching entries
+// (every joined date of `target`, or just `date`) and returns [{ target, date }].
+// Throws a RangeError on a malformed date.
+function recordNotification({ target = null, date = null } = {}, now = new Date()) {
+  if (date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new RangeError(`Invalid date: ${date} (use YYYY-MM-DD)`);
+  }
+  const waitlists = readWaitlists();
+  const today = restaurantToday(now);
+  const notified = [];
+  for (const [targetId, entries] of Object.entries(waitlists.targets)) {
+    if (target && targetId !== target) continue;
+    for (const [day, entry] of Object.entries(entries)) {
+      if (day < today || (date && day !== date)) continue;
+      entry.notifiedAt = now.toISOString();
+      notified.push({ target: targetId, date: day });
+    }
+  }
+  if (notified.length > 0) {
+    writeWaitlists(waitlists);
+  }
+  return notified;
+}
+
+// Target ids with a notification in the last WAITLIST_ALERT_MINUTES
+function notifiedTargets(now = new Date()) {
+  const since = now.getTime() - WAITLIST_ALERT_MINUTES * 60000;
+  const today = restaurantToday(now);
+  return Object.entries(readWaitlists().targets)
+    .filter(([, entries]) => Object.entries(entries).some(([day, entry]) =>
+      day >= today && entry.notifiedAt && new Date(entry.notifiedAt).getTime() >= since))
+    .map(([targetId]) => targetId);
+}
+
+// Sold-out days on the calendar page: [{ date, dateLabel, month }]
+async function soldOutDays(page, site) {
+  const { soldOutDay, dayLabelAttribute } = site.selectors;
+  const labels = await page.$$eval(soldOutDay, (days, attribute) => days.map(day => day.getAttribute(attribute)), dayLabelAttribute);
+  return labels
+    .map(dateLabel => ({ dateLabel, date: parseDateLabel(dateLabel) }))
+    .filter(day => day.date)
+    .map(day => ({ ...day, month: day.date.slice(0, 7) }));
+}
+
+// Fill in and send the "Set Notify" form on the page. Ticks the offered times the target
+// would take (or exactly `times`); with no time choices the whole day is requested.
+// Returns the times asked for, or null when none of the offered times would do.
+async function setNotify(page, site, target, times = null) {
+  const button = page.locator(site.selectors.notifyButton).first();
+  await button.waitFor({ state: 'visible', timeout: NOTIFY_TIMEOUT_MS });
+
+  const rules = buildRules(target);
+  const options = page.locator(site.selectors.notifyTime);
+  const offered = await options.count();
+  const chosen = [];
+  for (let i = 0; i < offered; i++) {
+    const option = options.nth(i);
+    const label = ((await option.getAttribute('value')) || (await option.textContent()) || '').trim();
+    const minutes = parseTime(label);
+    const wanted = times ? times.includes(label) : minutes !== null && timeRank(minutes, rules) !== null;
+    if (wanted) {
+      await option.check();
+      chosen.push(label);
+    }
+  }
+  if (offered > 0 && chosen.length === 0) {
+    return null;
+  }
+
+  await button.click();
+  const deadline = Date.now() + NOTIFY_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (await textVisible(page, site.text.notifyJoined)) {
+      return offered > 0 ? chosen : (times || []);
+    }
+    await page.waitForTimeout(POLL_MS);
+  }
+  throw new Error('Tock never confirmed the notify request');
+}
+
+module.exports = {
+  WAITLIST_FILE,
+  WAITLIST_MAX_PER_RUN,
+  waitlistEnabled,
+  readWaitlists,
+  targetWaitlists,
+  waitlistCandidates,
+  recordEnrollment,
+  recordNotification,
+  notifiedTargets,
+  soldOutDays,
+  setNotify
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+
+const { DATA_DIR } = require('./paths');
+const { buildRules, parseTime } = require('./matcher');
+const { calendarPlan } = require('./calendar');
+const { postBookingAction } = require('./bookings');
+const WATCHLIST_FILE = process.env.WATCHLIST_FILE || path.join(DATA_DIR, 'watchlist.json');
+const WATCHLIST_STATE_FILE = path.join(DATA_DIR, 'watchlist-state.json');
+const DEFAULT_PRIORITY = 100;
+
+function splitList(value) {
+  if (Array.isArray(value)) {
+    return value.map(v => String(v).trim()).filter(Boolean);
+  }
+  return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Fill in defaults so the rest of the bot can rely on every field being present
+function normalizeTarget(raw, index) {
+  const bookingPage = raw.bookingPage || raw.booking_page || '';
+  return {
+    ...raw,
+    id: String(raw.id || bookingPage.split('/').filter(Boolean).pop() || `target-${index + 1}`),
+    name: raw.name || bookingPage,
+    bookingPage,
+    partySize: Number(raw.partySize || raw.party_size || 2),
+    desiredTimes: splitList(raw.desiredTimes || raw.desired_times),
+    priority: raw.priority === undefined ? DEFAULT_PRIORITY : Number(raw.priority),
+    // Targets in the same group are alternatives: at most one of them is ever booked
+    group: String(raw.group || bookingPage),
+    enabled: raw.enabled !== false
+  };
+}
+
+// Single target built from the legacy BOOKING_PAGE / PARTY_SIZE / DESIRED_TIME_SLOTS env vars
+function targetFromEnv() {
+  return normalizeTarget(rawTargetFromEnv(), 0);
+}
+
+function rawTargetFromEnv() {
+  return {
+    id: 'default',
+    bookingPage: process.env.BOOKING_PAGE,
+    partySize: process.env.PARTY_SIZE,
+    desiredTimes: process.env.DESIRED_TIME_SLOTS,
+    dateRange: process.env.DATE_RANGE || undefined,
+    weekdays: process.env.WEEKDAYS || undefined,
+    timeWindows: process.env.TIME_WINDOWS ? process.env.TIME_WINDOWS.split(';') : undefined,
+    preferredTime: process.env.PREFERRED_TIME || undefined,
+    prefer: process.env.PREFER || undefined
+  };
+}
+
+// The watchlist is JSON only; a YAML file would otherwise fail with a confusing JSON parse error
+function parseWatchlist(content, fallback) {
+  if (/\.ya?ml$/i.test(WATCHLIST_FILE)) {
+    throw new RangeError(`${path.basename(WATCHLIST_FILE)}: YAML watchlists are not supported - convert it to JSON (watchlist.json)`);
+  }
+  return content.trim() ? JSON.parse(content) : fallback;
+}
+
+function readWatchlistFile() {
+  const parsed = parseWatchlist(fs.readFileSync(WATCHLIST_FILE, 'utf-8'), { targets: [] });
+  return Array.isArray(parsed) ? parsed : (parsed.targets || []);
+}
+
+// Watchlist entries as written, disabled ones included. Without a watchlist file that is
+// the env target, so the first edit turns it into the file's first entry.
+function readRawTargets() {
+  if (fs.existsSync(WATCHLIST_FILE)) {
+    return readWatchlistFile();
+  }
+  return process.env.BOOKING_PAGE ? [JSON.parse(JSON.stringify(rawTargetFromEnv()))] : [];
+}
+
+// Keeps any other keys of an object-form watchlist file
+function writeRawTargets(targets) {
+  let file = {};
+  if (fs.existsSync(WATCHLIST_FILE)) {
+    const parsed = parseWatchlist(fs.readFileSync(WATCHLIST_FILE, 'utf-8'), {});
+    file = Array.isArray(parsed) ? {} : parsed;
+  }
+  const tmp = `${WATCHLIST_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ ...file, targets }, null, 2));
+  fs.renameSync(tmp, WATCHLIST_FILE);
+}
+
+// Throws a RangeError naming the first problem with an edited entry
+function validateTarget(raw, index) {
+  const target = normalizeTarget(raw, index);
+  if (!target.bookingPage.startsWith('/')) {
+    throw new RangeError('bookingPage must be a path like /restaurant/experience/123/name');
+  }
+  if (!Number.isInteger(target.partySize) || target.partySize < 1 || target.partySize > 20) {
+    throw new RangeError('partySize must be a whole number from 1 to 20');
+  }
+  const badTime = target.desiredTimes.find(time => parseTime(time) === null);
+  if (badTime) {
+    throw new RangeError(`Invalid desired time: ${badTime}`);
+  }
+  if (!Number.isFinite(target.priority)) {
+    throw new RangeError('priority must be a number');
+  }
+  if (target.waitlist !== undefined && typeof target.waitlist !== 'boolean') {
+    throw new RangeError('waitlist must be true or false');
+  }
+  try {
+    buildRules(target);
+    calendarPlan(target);
+    postBookingAction(target);
+  } catch (error) {
+    throw new RangeError(error.message);
+  }
+  return target;
+}
+
+function findRawTarget(targets, id) {
+  const index = targets.findIndex((raw, i) => normalizeTarget(raw, i).id === id);
+  if (index === -1) {
+    throw new RangeError(`No watchlist target "${id}"`);
+  }
+  return index;
+}
+
+// Add a watchlist entry; returns it normalized
+function addTarget(raw) {
+  const targets = readRawTargets();
+  const target = validateTarget(raw, targets.length);
+  if (targets.some((other, i) => normalizeTarget(other, i).id === target.id)) {
+    throw new RangeError(`A target with id "${target.id}" already exists`);
+  }
+  // A booked target's id stays taken, or the new entry would start out retired
+  if (getWatchlistState().retired[target.id]) {
+    throw new RangeError(`"${target.id}" was already booked - pick another id`);
+  }
+  writeRawTargets([...targets, { ...raw, id: target.id }]);
+  return target;
+}
+
+// Change some fields of an entry (the id stays); returns it normalized
+function updateTarget(id, changes) {
+  const targets = readRawTargets();
+  const index = findRawTarget(targets, id);
+  const updated = { ...targets[index], ...changes, id };
+  const target = validateTarget(updated, index);
+  targets[index] = updated;
+  writeRawTargets(targets);
+  return target;
+}
+
+function removeTarget(id) {
+  const targets = readRawTargets();
+  const [removed] = targets.splice(findRawTarget(targets, id), 1);
+  writeRawTargets(targets);
+  return removed;
+}
+
+// All configured targets, highest priority (lowest number) first
+function loadTargets() {
+  const rawTargets = fs.existsSync(WATCHLIST_FILE) ? readWatchlistFile() : [targetFromEnv()];
+  return rawTargets
+    .map(normalizeTarget)
+    .filter(target => target.enabled)
+    .sort((a, b) => a.priority - b.priority);
+}
+
+function getWatchlistState() {
+  try {
+    if (fs.existsSync(WATCHLIST_STATE_FILE)) {
+      const content = fs.readFileSync(WATCHLIST_STATE_FILE, 'utf-8');
+      if (content.trim()) {
+        return { retired: {}, upgrading: {}, ...JSON.parse(content) };
+      }
+    }
+  } catch (e) {
+    console.error('Error reading watchlist state:', e.message);
+  }
+  return { retired: {}, upgrading: {} };
+}
+
+// Targets that have not been booked yet
+function getActiveTargets() {
+  const state = getWatchlistState();
+  return loadTargets().filter(target => !state.retired[target.id]);
+}
+
+// Mark a target as done so later runs skip it
+function retireTarget(targetId, details = {}) {
+  const state = getWatchlistState();
+  state.retired[targetId] = { retiredAt: new Date().toISOString(), ...details };
+  delete state.upgrading[targetId];
+  fs.writeFileSync(WATCHLIST_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+// Booked, but still watched for a better slot (afterBooking "upgrade")
+function markUpgrading(targetId, details = {}) {
+  const state = getWatchlistState();
+  state.upgrading[targetId] = { bookedAt: new Date().toISOString(), ...details };
+  fs.writeFileSync(WATCHLIST_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+function buildBookingPath(target) {
+  return `${target.bookingPage}?size=${target.partySize}`;
+}
+
+module.exports = {
+  WATCHLIST_FILE,
+  WATCHLIST_STATE_FILE,
+  normalizeTarget,
+  validateTarget,
+  loadTargets,
+  readRawTargets,
+  addTarget,
+  updateTarget,
+  removeTarget,
+  getActiveTargets,
+  getWatchlistState,
+  retireTarget,
+  markUpgrading,
+  buildBookingPath
+};
@@ -0,0 +1,98 @@
+// Worker pool: several browser contexts checking the watchlist in parallel, each logged in
+// as a Tock account of its own or of its current target's. Workers take targets from a shared
+// queue, split a target's days across extra tabs, and claim slots before booking them so
+// two workers never go for the same one (the booking guard in lock.js covers other processes).
+const { getAccount } = require('./vault');
+
+const WORKERS = Math.max(1, Number(process.env.WORKERS || 1));
+// Accounts handed to workers round-robin; without it a worker logs in as each target's account
+const WORKER_ACCOUNTS = (process.env.WORKER_ACCOUNTS || '').split(',').map(s => s.trim()).filter(Boolean);
+// Tabs per worker for scanning a target's available days in parallel
+const SCAN_TABS = Math.max(1, Number(process.env.SCAN_TABS || 1));
+
+// Worker records; open(index) supplies each one's { context, page }
+async function createWorkers(open, count = WORKERS, accounts = WORKER_ACCOUNTS) {
+  const workers = [];
+  for (let index = 0; index < count; index++) {
+    workers.push({
+      index,
+      account: accounts.length ? accounts[index % accounts.length] : null,
+      activeAccount: null,
+      loggedIn: false,
+      tabs: [],
+      ...await open(index)
+    });
+  }
+  return workers;
+}
+
+// Account `worker` would check `target` as, or null when the target needs another account
+function accountFor(worker, target) {
+  if (target.account && worker.account && target.account !== worker.account) {
+    return null;
+  }
+  return getAccount(target.account || worker.account).id;
+}
+
+// The watchlist shared by the pool, in priority order. A worker takes the first target it
+// can use, preferring ones on the account it is already logged in as.
+function createTargetQueue(targets) {
+  const remaining = [...targets];
+  return {
+    next(worker) {
+      const usable = remaining.filter(target => accountFor(worker, target) !== null);
+      const target = usable.find(t => accountFor(worker, t) === worker.activeAccount) || usable[0];
+      if (!target) return null;
+      remaining.splice(remaining.indexOf(target), 1);
+      return target;
+    },
+    remaining: () => [...remaining]
+  };
+}
+
+// Days dealt round-robin into at most `parts` chunks, so every tab gets some early dates
+function splitDays(days, parts) {
+  const chunks = Array.from({ length: Math.max(1, Math.min(parts, days.length)) }, () => []);
+  days.forEach((day, i) => chunks[i % chunks.length].push(day));
+  return chunks;
+}
+
+function slotKey(target, candidate) {
+  return `${target.bookingPage}|${candidate.date}|${candidate.time}`;
+}
+
+// Slots claimed by workers this run; claim() is false when another worker got there first
+function createClaims() {
+  const owners = new Map();
+  return {
+    claim(key, owner) {
+      if (owners.has(key) && owners.get(key) !== owner) return false;
+      owners.set(key, owner);
+      return true;
+    }
+  };
+}
+
+const chains = new Map();
+
+// Run `fn` once every earlier call with the same key has settled (e.g. one login per
+// account at a time, so the second worker picks up the session the first one saved)
+function serialize(key, fn) {
+  const previous = chains.get(key) || Promise.resolve();
+  const run = previous.then(fn);
+  chains.set(key, run.catch(() => {}));
+  return run;
+}
+
+module.exports = {
+  WORKERS,
+  WORKER_ACCOUNTS,
+  SCAN_TABS,
+  createWorkers,
+  accountFor,
+  createTargetQueue,
+  splitDays,
+  slotKey,
+  createClaims,
+  serialize
+};
@@ -0,0 +1,394 @@
+// End-to-end booking flow against the fake Tock site (test/fake-tock).
+// Each test runs bot.js once (or a few times) as a child process with a fresh data dir.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createFakeTock } = require('./fake-tock/server');
+const {
+  browserUnavailable, makeDataDir, isoDateFromNow, runBot, readJsonl, readJson, lastRun
+} = require('./helpers');
+
+const skip = browserUnavailable();
+
+const BISTRO = {
+  id: 'bistro',
+  name: 'Fake Bistro',
+  bookingPage: '/fake-bistro/experience/1001/tasting-menu',
+  partySize: 2,
+  desiredTimes: ['7:00 PM']
+};
+
+// Never has availability - keeps a booked run from "finishing" the watchlist (and pausing monitoring)
+const COUNTER = {
+  id: 'counter',
+  name: 'Fake Counter',
+  bookingPage: '/fake-counter/experience/2002/counter',
+  partySize: 2,
+  desiredTimes: ['7:00 PM'],
+  priority: 200
+};
+
+const DAY_ONE = isoDateFromNow(20);
+const DAY_TWO = isoDateFromNow(21);
+
+// Start a fake site with `scenario` for the duration of the enclosing describe()
+function withSite(scenario) {
+  const context = {};
+  before(async () => {
+    context.site = createFakeTock(scenario);
+    context.server = await context.site.listen();
+    context.dataDir = makeDataDir();
+  });
+  after(async () => {
+    await context.server.close();
+    fs.rmSync(context.dataDir, { recursive: true, force: true });
+  });
+  context.run = (options = {}) => runBot({
+    baseUrl: context.server.url,
+    dataDir: context.dataDir,
+    targets: [BISTRO],
+    ...options
+  });
+  return context;
+}
+
+function phases(dataDir, phase) {
+  return readJsonl(dataDir, 'events.jsonl').filter(e => e.type === 'phase' && e.phase === phase);
+}
+
+describe('login and session reuse', { skip }, () => {
+  const ctx = withSite({ restaurants: { 'fake-bistro': { availability: {} } } });
+
+  test('logs in, saves an encrypted session and records no availability', async () => {
+    const { code } = await ctx.run();
+
+    assert.equal(code, 1);
+    assert.equal(ctx.site.state.logins, 1);
+    const saved = readJson(ctx.dataDir, 'sessions/default.json');
+    assert.equal(saved.encrypted, true);
+    assert.ok(!JSON.stringify(saved).includes('tock_session'));
+    assert.equal(lastRun(ctx.dataDir).outcome, 'no-availability');
+    assert.equal(phases(ctx.dataDir, 'login').length, 1);
+
+    const [snapshot] = readJsonl(ctx.dataDir, 'analytics.jsonl');
+    assert.equal(snapshot.target, 'bistro');
+    assert.equal(snapshot.totalAvailableDays, 0);
+  });
+
+  test('reuses the saved session on the next run', async () => {
+    await ctx.run();
+
+    assert.equal(ctx.site.state.logins, 1);
+    const restores = phases(ctx.dataDir, 'session-restore');
+    assert.equal(restores.length, 1);
+    assert.equal(restores[0].status, 'ok');
+  });
+
+  test('logs in again once the saved session has expired', async () => {
+    ctx.site.expireSessions();
+    await ctx.run();
+
+    assert.equal(ctx.site.state.logins, 2);
+    assert.equal(phases(ctx.dataDir, 'session-restore').pop().status, 'expired');
+    assert.equal(lastRun(ctx.dataDir).outcome, 'no-availability');
+  });
+});
+
+describe('failed login', { skip }, () => {
+  const ctx = withSite({});
+
+  test('reports login-failed on bad credentials', async () => {
+    const { code } = await ctx.run({ env: { TOCK_PASSWORD: 'wrong-password' } });
+
+    assert.equal(code, 1);
+    assert.equal(ctx.site.state.failedLogins, 1);
+    assert.equal(lastRun(ctx.dataDir).outcome, 'login-failed');
+    assert.ok(!fs.existsSync(path.join(ctx.dataDir, 'sessions', 'default.json')));
+  });
+});
+
+describe('matched booking', { skip }, () => {
+  const ctx = withSite({
+    restaurants: { 'fake-bistro': { availability: { [DAY_ONE]: ['5:00 PM', '7:00 PM'] } } }
+  });
+
+  test('books the matching slot with the CVV and retires the target', async () => {
+    const { code } = await ctx.run({ targets: [BISTRO, COUNTER] });
+
+    // The counter target is still being watched, so the run doesn't report completion
+    assert.equal(code, 1);
+    assert.equal(ctx.site.state.bookings.length, 1);
+    const [booking] = ctx.site.state.bookings;
+    assert.deepEqual({ date: booking.date, time: booking.time, size: booking.size },
+      { date: DAY_ONE, time: '7:00 PM', size: 2 });
+
+    const run = lastRun(ctx.dataDir);
+    assert.equal(run.outcome, 'booked');
+    assert.equal(run.targets.bistro.outcome, 'booked');
+    assert.equal(run.targets.counter.outcome, 'no-availability');
+
+    const state = readJson(ctx.dataDir, 'watchlist-state.json');
+    assert.equal(state.retired.bistro.confirmationId, booking.confirmationId);
+    assert.equal(state.retired.bistro.price, 100);
+    assert.equal(phases(ctx.dataDir, 'purchase').length, 1);
+
+    const steps = readJsonl(ctx.dataDir, 'events.jsonl').filter(e => e.type === 'booking-step').map(e => e.state);
+    assert.deepEqual(steps, ['open-day', 'select-time', 'checkout', 'verify', 'enter-cvv', 'purchase', 'confirmed']);
+  });
+});
+
+describe('worker pool', { skip }, () => {
+  const ctx = withSite({
+    restaurants: { 'fake-bistro': { availability: { [DAY_ONE]: ['7:00 PM'], [DAY_TWO]: ['7:00 PM'] } } }
+  });
+
+  test('checks targets in parallel and books a group only once', async () => {
+    // Same booking page, so the same group: whichever worker gets there first books it
+    const bistroAgain = { ...BISTRO, id: 'bistro-again', name: 'Fake Bistro (again)' };
+    // Clicking through the days, so there is something to split across tabs
+    await ctx.run({ targets: [BISTRO, bistroAgain, COUNTER], env: { WORKERS: '2', SCAN_TABS: '2', PROBE_MODE: 'dom' } });
+
+    assert.equal(ctx.site.state.bookings.length, 1);
+    const { retired } = readJson(ctx.dataDir, 'watchlist-state.json');
+    assert.ok(retired.bistro && retired['bistro-again']);
+    assert.equal(Object.values(retired).filter(r => r.confirmationId).length, 1);
+
+    const events = readJsonl(ctx.dataDir, 'events.jsonl');
+    assert.deepEqual([...new Set(events.filter(e => e.type === 'target-outcome').map(e => e.worker))].sort(), [0, 1]);
+    // Both days were scanned, split across the worker's tabs
+    const scanned = phases(ctx.dataDir, 'day-scan').map(e => e.date);
+    assert.ok(scanned.length >= 2);
+  });
+});
+
+describe('similar slot times', { skip }, () => {
+  const ctx = withSite({
+    restaurants: { 'fake-bistro': { availability: { [DAY_ONE]: ['11:00 PM', '1:00 PM'] } } }
+  });
+
+  test('clicks the exact time, not one that contains it', async () => {
+    await ctx.run({ targets: [{ ...BISTRO, desiredTimes: ['1:00 PM'] }, COUNTER] });
+
+    assert.deepEqual(ctx.site.state.bookings.map(b => b.time), ['1:00 PM']);
+  });
+});
+
+describe('dry run', { skip }, () => {
+  const ctx = withSite({
+    restaurants: { 'fake-bistro': { availability: { [DAY_ONE]: ['7:00 PM'] } } }
+  });
+
+  test('stops at the match without purchasing', async () => {
+    await ctx.run({ env: { DRY_RUN: 'true' } });
+
+    assert.equal(ctx.site.state.bookings.length, 0);
+    assert.equal(lastRun(ctx.dataDir).outcome, 'dry-run-match');
+    assert.ok(!fs.existsSync(path.join(ctx.dataDir, 'watchlist-state.json')));
+  });
+});
+
+describe('slot taken', { skip }, () => {
+  const ctx = withSite({
+    restaurants: {
+      'fake-bistro': {
+        availability: { [DAY_ONE]: ['7:00 PM'], [DAY_TWO]: ['7:00 PM'] },
+        taken: [`${DAY_ONE} 7:00 PM`]
+      }
+    }
+  });
+
+  test('moves on to the next candidate when the best slot was just taken', async () => {
+    await ctx.run({ targets: [BISTRO, COUNTER] });
+
+    assert.equal(ctx.site.state.bookings.length, 1);
+    assert.equal(ctx.site.state.bookings[0].date, DAY_TWO);
+    assert.equal(lastRun(ctx.dataDir).targets.bistro.outcome, 'booked');
+  });
+
+  test('reports slots-taken when every match is gone', async () => {
+    // Un-retire the target; DAY_TWO was booked above, leaving only the taken DAY_ONE slot
+    fs.rmSync(path.join(ctx.dataDir, 'watchlist-state.json'));
+    await ctx.run();
+
+    assert.equal(ctx.site.state.bookings.length, 1);
+    assert.equal(lastRun(ctx.dataDir).outcome, 'slots-taken');
+  });
+});
+
+describe('checkout failures', { skip }, () => {
+  function failures(dataDir) {
+    return readJsonl(dataDir, 'events.jsonl').filter(e => e.type === 'booking-failed');
+  }
+
+  describe('expired hold', () => {
+    const ctx = withSite({
+      restaurants: {
+        'fake-bistro': {
+          availability: { [DAY_ONE]: ['7:00 PM'], [DAY_TWO]: ['7:00 PM'] },
+          expiredHolds: [`${DAY_ONE} 7:00 PM`]
+        }
+      }
+    });
+
+    test('moves on to the next candidate', async () => {
+      await ctx.run({ targets: [BISTRO, COUNTER] });
+
+      assert.deepEqual(failures(ctx.dataDir).map(f => f.reason), ['hold-expired']);
+      assert.equal(ctx.site.state.bookings.length, 1);
+      assert.equal(ctx.site.state.bookings[0].date, DAY_TWO);
+    });
+  });
+
+  describe('declined card', () => {
+    const ctx = withSite({
+      restaurants: { 'fake-bistro': { availability: { [DAY_ONE]: ['7:00 PM'], [DAY_TWO]: ['7:00 PM'] }, decline: true } }
+    });
+
+    test('gives up on the target instead of trying every slot', async () => {
+      await ctx.run();
+
+      assert.deepEqual(failures(ctx.dataDir).map(f => f.reason), ['payment-declined']);
+      const run = lastRun(ctx.dataDir);
+      assert.equal(run.outcome, 'booking-failed');
+      assert.equal(run.targets.bistro.reason, 'payment-declined');
+    });
+  });
+
+  describe('checkout mismatch', () => {
+    const ctx = withSite({
+      restaurants: { 'fake-bistro': { availability: { [DAY_ONE]: ['7:00 PM'] }, checkoutPartySize: 4 } }
+    });
+
+    test('never pays for a checkout that does not match the candidate', async () => {
+      // Verification is on by default
+      await ctx.run();
+
+      assert.equal(ctx.site.state.bookings.length, 0);
+      assert.deepEqual(failures(ctx.dataDir).map(f => f.reason), ['checkout-mismatch']);
+      assert.deepEqual(lastRun(ctx.dataDir).targets.bistro.failures, { 'checkout-mismatch': 1 });
+    });
+  });
+
+  describe('spend cap', () => {
+    const ctx = withSite({
+      restaurants: { 'fake-bistro': { availability: { [DAY_ONE]: ['7:00 PM'] }, price: 250 } }
+    });
+
+    test('skips a slot that would exceed MAX_TOTAL_SPEND', async () => {
+      await ctx.run({ env: { MAX_TOTAL_SPEND: '200' } });
+
+      assert.equal(ctx.site.state.bookings.length, 0);
+      assert.equal(failures(ctx.dataDir)[0].reason, 'over-budget');
+      assert.equal(lastRun(ctx.dataDir).outcome, 'booking-failed');
+    });
+  });
+
+  describe('checkout without a total', () => {
+    const ctx = withSite({
+      restaurants: { 'fake-bistro': { availability: { [DAY_ONE]: ['7:00 PM'] }, price: null } }
+    });
+
+    test('does not buy while a spend cap is set', async () => {
+      await ctx.run({ env: { MAX_TOTAL_SPEND: '500' } });
+
+      assert.equal(ctx.site.state.bookings.length, 0);
+      assert.deepEqual(failures(ctx.dataDir).map(f => f.reason), ['price-unknown']);
+    });
+  });
+
+  describe('purchase without a confirmation', () => {
+    const ctx = withSite({
+      restaurants: { 'fake-bistro': { availability: { [DAY_ONE]: ['7:00 PM'], [DAY_TWO]: ['7:00 PM'] }, unconfirmed: true } }
+    });
+
+    test('never tries another slot, and disables the target until someone checks', async () => {
+      // The counter is an alternative to the bistro, so it must not be booked either
+      const { output } = await ctx.run({ targets: [{ ...BISTRO, group: 'dinner' }, { ...COUNTER, group: 'dinner' }] });
+
+      assert.equal(ctx.site.state.bookings.length, 1);
+      assert.deepEqual(failures(ctx.dataDir).map(f => f.reason), ['purchase-unconfirmed']);
+      assert.match(output, /URGENT: Fake Bistro .* MAY HAVE BEEN BOOKED/);
+      assert.equal(lastRun(ctx.dataDir).targets.bistro.reason, 'purchase-unconfirmed');
+      const { targets } = readJson(ctx.dataDir, 'watchlist.json');
+      assert.deepEqual(targets.map(t => [t.id, t.enabled]), [['bistro', false], ['counter', false]]);
+    });
+  });
+
+  describe('missing CVV field', () => {
+    const ctx = withSite({
+      restaurants: { 'fake-bistro': { availability: { [DAY_ONE]: ['7:00 PM'] } } },
+      requireCvv: false
+    });
+
+    test('stops before purchasing when the CVV iframe never shows up', async () => {
+      await ctx.run();
+
+      assert.equal(ctx.site.state.bookings.length, 0);
+      assert.equal(lastRun(ctx.dataDir).targets.bistro.reason, 'cvv-missing');
+    });
+  });
+});
+
+describe('Cloudflare', { skip }, () => {
+  describe('challenge that clears', () => {
+    // Clears after the bot's first look at the login page (3s after load)
+    const ctx = withSite({ challenge: { pages: ['login'], solveAfterMs: 5000 } });
+
+    test('waits for the challenge, then carries on', async () => {
+      await ctx.run({ env: { CLOUDFLARE_WAIT_SECONDS: '10' } });
+
+      assert.equal(ctx.site.state.challengesServed, 1);
+      assert.equal(ctx.site.state.logins, 1);
+      const [challenge] = phases(ctx.dataDir, 'cloudflare');
+      assert.equal(challenge.result, 'solved');
+      assert.equal(challenge.by, 'auto');
+      assert.equal(lastRun(ctx.dataDir).outcome, 'no-availability');
+
+      const blocks = readJsonl(ctx.dataDir, 'cloudflare.jsonl');
+      assert.ok(blocks.some(b => b.blocked));
+    });
+  });
+
+  describe('challenge that never clears', () => {
+    const ctx = withSite({ challenge: { pages: ['login', 'booking'], solveAfterMs: null } });
+
+    test('aborts the run with cloudflare-timeout', async () => {
+      const { code } = await ctx.run();
+
+      assert.equal(code, 1);
+      assert.equal(ctx.site.state.logins, 0);
+      assert.equal(lastRun(ctx.dataDir).outcome, 'cloudflare-timeout');
+      assert.equal(phases(ctx.dataDir, 'cloudflare').pop().result, 'timeout');
+    });
+
+    test('backs off, skipping the next check', async () => {
+      assert.equal(readJson(ctx.dataDir, 'challenge-state.json').level, 1);
+      const served = ctx.site.state.challengesServed;
+
+      // Zero-length release windows, so a test run at 5 PM doesn't override the cooldown
+      const { code } = await ctx.run({ env: { PEAK_LEAD_MINUTES: '0', PEAK_TRAIL_MINUTES: '0' } });
+
+      assert.equal(code, 1);
+      assert.equal(ctx.site.state.challengesServed, served);
+      const decisions = readJsonl(ctx.dataDir, 'challenge-decisions.jsonl').map(d => d.decision);
+      assert.deepEqual(decisions, ['wait', 'backoff', 'skip']);
+    });
+  });
+});
+
+// Fails before a browser is needed, so it runs without Chromium too
+describe('unexpected error', () => {
+  const dataDir = makeDataDir();
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  test('still releases the run lock', async () => {
+    const broken = path.join(dataDir, 'broken-watchlist.json');
+    fs.writeFileSync(broken, '{"targets": [');
+    const { code, output } = await runBot({ baseUrl: 'http://127.0.0.1:9', dataDir, targets: [], env: { WATCHLIST_FILE: broken } });
+
+    assert.equal(code, 1);
+    assert.match(output, /Fatal error: .*JSON/);
+    assert.ok(!fs.existsSync(path.join(dataDir, 'tockstalk.lock')));
+  });
+});
@@ -0,0 +1,53 @@
+// Checkout parsing and verification used by the booking state machine
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FAILURES, parsePrice, parsePartySize, verifyCheckout } = require('../src/booking');
+
+const candidate = { date: '2026-11-14', time: '7:00 PM', minutes: 19 * 60 };
+
+test('a purchase that may have gone through is never retried', () => {
+  assert.deepEqual(FAILURES['purchase-unconfirmed'], { retry: false, abort: true });
+});
+
+test('parsePrice reads the total', () => {
+  assert.equal(parsePrice('Total $1,250.00'), 1250);
+  assert.equal(parsePrice('Deposit for 2 guests: $250'), 250);
+  assert.equal(parsePrice('99.50'), 99.5);
+  assert.equal(parsePrice(null), null);
+});
+
+test('parsePartySize understands the common phrasings', () => {
+  assert.equal(parsePartySize('Sat, Nov 14 · Party of 2'), 2);
+  assert.equal(parsePartySize('4 guests'), 4);
+  assert.equal(parsePartySize('Table for 6'), 6);
+  assert.equal(parsePartySize('Tasting menu'), null);
+});
+
+test('verifyCheckout accepts a matching checkout', () => {
+  const result = verifyCheckout(
+    { summary: 'November 14, 2026 at 7:00 PM · Party of 2', total: '$250.00' },
+    { candidate, partySize: 2 }
+  );
+  assert.deepEqual(result, { problems: [], unverified: [], price: 250 });
+});
+
+test('verifyCheckout lists every mismatch', () => {
+  const { problems } = verifyCheckout(
+    { summary: 'November 15, 2026 at 7:30 PM · Party of 4', total: null },
+    { candidate, partySize: 2 }
+  );
+  assert.equal(problems.length, 3);
+  assert.match(problems[0], /date 2026-11-15/);
+  assert.match(problems[1], /time 7:30 PM/);
+  assert.match(problems[2], /party of 4/);
+});
+
+test('verifyCheckout only fails on fields it found', () => {
+  assert.deepEqual(
+    verifyCheckout({ summary: null, total: null }, { candidate, partySize: 2 }),
+    { problems: [], unverified: ['date', 'time', 'party size'], price: null }
+  );
+  const { problems, unverified } = verifyCheckout({ summary: 'Tasting menu at 7:00 PM', total: '$99' }, { candidate, partySize: 2 });
+  assert.deepEqual(problems, []);
+  assert.deepEqual(unverified, ['date', 'party size']);
+});
@@ -0,0 +1,184 @@
+// Bookings ledger, the .ics feed and what the bot does after a booking
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-bookings-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOCK_DIR = dataDir;
+process.env.WATCHLIST_FILE = path.join(dataDir, 'watchlist.json');
+process.env.BOOKING_TIMEZONE = 'America/Los_Angeles';
+process.env.CALENDAR_FEED_TOKEN = 'shared-calendar';
+process.env.CONTROL_TOKEN = 'control-panel';
+process.env.MAX_TOTAL_SPEND = '500';
+
+const bookings = require('../src/bookings');
+const { spendLimit } = require('../src/booking');
+const { addTarget, retireTarget } = require('../src/watchlist');
+const store = require('../src/store');
+const { createFakeTock } = require('./fake-tock/server');
+const {
+  browserUnavailable, makeDataDir, isoDateFromNow, runBot, readJsonl
+} = require('./helpers');
+
+const TARGET = { id: 'bistro', name: 'Fake Bistro; Tasting, Menu', bookingPage: '/fake-bistro/experience/1001/tasting-menu', partySize: 2 };
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  for (const file of fs.readdirSync(dataDir)) {
+    fs.rmSync(path.join(dataDir, file), { recursive: true, force: true });
+  }
+});
+
+function book(confirmationId, date, time, price = 100, extra = {}) {
+  return bookings.recordBooking({ target: TARGET, candidate: { date, time }, confirmationId, price, ...extra }, new Date('2026-10-19T17:00:00Z'));
+}
+
+describe('ledger', () => {
+  test('records the booking and its receipt', async () => {
+    const booking = await book('ABC123', '2026-11-14', '7:00 PM', 250, {
+      account: 'default',
+      screenshot: file => fs.writeFileSync(file, 'png')
+    });
+
+    assert.deepEqual(bookings.listBookings(), [booking]);
+    assert.equal(booking.receipt, path.join('receipts', 'ABC123.png'));
+    assert.ok(fs.existsSync(path.join(dataDir, booking.receipt)));
+    assert.deepEqual(
+      (({ restaurant, date, time, partySize, price }) => ({ restaurant, date, time, partySize, price }))(booking),
+      { restaurant: TARGET.name, date: '2026-11-14', time: '7:00 PM', partySize: 2, price: 250 }
+    );
+  });
+
+  test('keeps the booking when the receipt screenshot fails', async () => {
+    const booking = await book('ABC123', '2026-11-14', '7:00 PM', 100, { screenshot: () => { throw new Error('page closed'); } });
+    assert.equal(booking.receipt, null);
+    assert.equal(bookings.listBookings().length, 1);
+  });
+
+  test('is never compacted', async () => {
+    await book('OLD1', '2024-01-05', '6:00 PM');
+    assert.deepEqual(store.compact('bookings', new Date('2030-01-01T00:00:00Z')), { kept: 0, expired: 0 });
+    assert.equal(bookings.listBookings().length, 1);
+  });
+
+  test('counts toward MAX_TOTAL_SPEND, with older retired bookings', async () => {
+    await book('ABC123', '2026-11-14', '7:00 PM', 250);
+    retireTarget('bistro', { confirmationId: 'ABC123', price: 250 });
+    retireTarget('counter', { confirmationId: 'OLD999', price: 100 });
+    assert.equal(spendLimit({}), 150);
+  });
+});
+
+describe('calendar feed', () => {
+  test('has one event per booking, in UTC', async () => {
+    await book('ABC123', '2026-11-14', '7:00 PM', 250);
+    const ics = bookings.bookingsIcs(bookings.listBookings(), { durationMinutes: 120 });
+
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /\r\nUID:ABC123@tockstalk\r\n/);
+    assert.match(ics, /\r\nDTSTART:20261115T030000Z\r\nDTEND:20261115T050000Z\r\n/);
+    assert.match(ics, /\r\nSUMMARY:Fake Bistro\\; Tasting\\, Menu \(party of 2\)\r\n/);
+    assert.match(ics, /DESCRIPTION:Confirmation: ABC123\\nParty of 2\\nCharged: \$250/);
+    assert.match(ics, /END:VCALENDAR\r\n$/);
+  });
+
+  test('folds long lines and skips bookings without a readable time', async () => {
+    await book('ABC123', '2026-11-14', '7:00 PM', 100, { receiptUrl: `https://www.exploretock.com/receipt/${'x'.repeat(120)}` });
+    await book('BAD1', '2026-11-15', 'soon');
+    const ics = bookings.bookingsIcs(bookings.listBookings());
+
+    assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    assert.equal(ics.match(/BEGIN:VEVENT/g).length, 1);
+  });
+
+  test('needs the feed token or the control token', () => {
+    assert.equal(bookings.FEED_ENABLED, true);
+    assert.equal(bookings.authorizeFeed('shared-calendar'), true);
+    assert.equal(bookings.authorizeFeed('control-panel'), true);
+    assert.equal(bookings.authorizeFeed('shared'), false);
+    assert.equal(bookings.authorizeFeed(''), false);
+    assert.equal(bookings.authorizeFeed(undefined), false);
+  });
+
+  test('is off with no token configured', () => {
+    const env = { PATH: process.env.PATH, DATA_DIR: dataDir };
+    const script = "const b = require('./src/bookings'); console.log(JSON.stringify([b.FEED_ENABLED, b.authorizeFeed(''), b.authorizeFeed('x')]))";
+    const { stdout } = spawnSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), env, encoding: 'utf-8' });
+    assert.deepEqual(JSON.parse(stdout), [false, false, false]);
+  });
+});
+
+describe('post-booking action', () => {
+  test('defaults to continue and rejects unknown actions', () => {
+    assert.equal(bookings.postBookingAction({}), 'continue');
+    assert.equal(bookings.postBookingAction({ afterBooking: 'upgrade' }), 'upgrade');
+    assert.throws(() => bookings.postBookingAction({ afterBooking: 'celebrate' }), RangeError);
+    assert.throws(() => addTarget({ ...TARGET, desiredTimes: ['7:00 PM'], afterBooking: 'celebrate' }), /afterBooking must be one of/);
+  });
+});
+
+const skip = browserUnavailable();
+
+const DAY = isoDateFromNow(20);
+const BISTRO = { ...TARGET, name: 'Fake Bistro', desiredTimes: ['6:00 PM', '8:00 PM'] };
+
+function withSite() {
+  const context = {};
+  before(async () => {
+    context.site = createFakeTock({ restaurants: { 'fake-bistro': { availability: { [DAY]: ['8:00 PM'] } } } });
+    context.server = await context.site.listen();
+    context.dataDir = makeDataDir();
+  });
+  after(async () => {
+    await context.server.close();
+    fs.rmSync(context.dataDir, { recursive: true, force: true });
+  });
+  return context;
+}
+
+function readState(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'watchlist-state.json'), 'utf-8'));
+}
+
+describe('after a booking', { skip }, () => {
+  describe('upgrade', () => {
+    const ctx = withSite();
+
+    test('keeps looking and books a better slot', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [{ ...BISTRO, afterBooking: 'upgrade' }] });
+      const [first] = readJsonl(ctx.dataDir, 'bookings.jsonl');
+      assert.deepEqual({ date: first.date, time: first.time }, { date: DAY, time: '8:00 PM' });
+      assert.ok(fs.existsSync(path.join(ctx.dataDir, first.receipt)));
+      assert.equal(readState(ctx.dataDir).upgrading.bistro.confirmationId, first.confirmationId);
+
+      // Nothing better yet: no second booking
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [{ ...BISTRO, afterBooking: 'upgrade' }] });
+      assert.equal(ctx.site.state.bookings.length, 1);
+
+      ctx.site.state.scenario.restaurants['fake-bistro'].availability[DAY] = ['6:00 PM'];
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [{ ...BISTRO, afterBooking: 'upgrade' }] });
+      const [, second] = readJsonl(ctx.dataDir, 'bookings.jsonl');
+      assert.equal(second.time, '6:00 PM');
+      assert.equal(second.replaces, first.confirmationId);
+    });
+  });
+
+  describe('stop', () => {
+    const ctx = withSite();
+
+    test('pauses monitoring even with other targets left', async () => {
+      const other = { id: 'counter', bookingPage: '/fake-counter/experience/2/counter', desiredTimes: ['7:00 PM'], priority: 200 };
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [{ ...BISTRO, priority: 1 }, other], env: { POST_BOOKING_ACTION: 'stop' } });
+
+      assert.equal(ctx.site.state.bookings.length, 1);
+      const control = JSON.parse(fs.readFileSync(path.join(ctx.dataDir, 'control.json'), 'utf-8'));
+      assert.deepEqual({ paused: control.paused, pauseReason: control.pauseReason }, { paused: true, pauseReason: 'booked' });
+      assert.ok(readState(ctx.dataDir).retired.bistro);
+    });
+  });
+});
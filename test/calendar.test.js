@@ -0,0 +1,142 @@
+// Multi-month calendars: the look-ahead horizon, and runs that page forward (or jump) to later months
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { parseHorizon, calendarPlan, monthEnd } = require('../src/calendar');
+const { createFakeTock } = require('./fake-tock/server');
+const {
+  browserUnavailable, makeDataDir, runBot, readJsonl
+} = require('./helpers');
+
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+describe('horizon', () => {
+  test('counts days ahead', () => {
+    assert.equal(parseHorizon('60d', NOW), '2026-12-18');
+    assert.equal(parseHorizon('14 days', NOW), '2026-11-02');
+    assert.equal(parseHorizon(90, NOW), '2027-01-17');
+  });
+
+  test('runs through a date or the end of a month', () => {
+    assert.equal(parseHorizon('2026-12-31', NOW), '2026-12-31');
+    assert.equal(parseHorizon('2027-02', NOW), '2027-02-28');
+    assert.equal(monthEnd('2028-02'), '2028-02-29');
+  });
+
+  test('rejects anything else', () => {
+    assert.throws(() => parseHorizon('two months', NOW), RangeError);
+    assert.throws(() => parseHorizon('2026-13', NOW), /Invalid calendar horizon/);
+  });
+});
+
+describe('calendar plan', () => {
+  test('uses the target horizon and start month', () => {
+    assert.deepEqual(calendarPlan({ horizon: '2027-01', startMonth: '2026-12' }, NOW), { startMonth: '2026-12', end: '2027-01-31' });
+    assert.throws(() => calendarPlan({ startMonth: 'December' }, NOW), /Invalid start month/);
+  });
+
+  test('stops at the last date a date range allows', () => {
+    assert.deepEqual(calendarPlan({ horizon: '120d', dateRange: '..2026-11-30' }, NOW), { startMonth: null, end: '2026-11-30' });
+    assert.equal(calendarPlan({ horizon: '30d', dateRange: '..2027-03-01' }, NOW).end, '2026-11-18');
+  });
+
+  test('opens on the first month a date range allows', () => {
+    assert.deepEqual(calendarPlan({ horizon: '2027-01-31', dateRange: '2026-12-20..2027-01-05' }, NOW), { startMonth: '2026-12', end: '2027-01-05' });
+    assert.equal(calendarPlan({ dateRange: '2026-10-01..2026-12-01' }, NOW).startMonth, null);
+  });
+});
+
+const skip = browserUnavailable();
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Day `day` of the month `offset` months from now
+function dayInMonth(offset, day) {
+  const now = new Date();
+  const date = new Date(now.getFullYear(), now.getMonth() + offset, day);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const NEXT = dayInMonth(1, 12);
+const LATER = dayInMonth(2, 6);
+
+const BISTRO = {
+  id: 'bistro',
+  name: 'Fake Bistro',
+  bookingPage: '/fake-bistro/experience/1001/tasting-menu',
+  partySize: 2,
+  desiredTimes: ['7:00 PM']
+};
+
+function withSite(restaurant) {
+  const context = {};
+  before(async () => {
+    context.site = createFakeTock({
+      restaurants: { 'fake-bistro': { availability: { [NEXT]: ['5:00 PM'], [LATER]: ['7:00 PM'] }, pagedCalendar: true, ...restaurant } }
+    });
+    context.server = await context.site.listen();
+    context.dataDir = makeDataDir();
+  });
+  after(async () => {
+    await context.server.close();
+    fs.rmSync(context.dataDir, { recursive: true, force: true });
+  });
+  return context;
+}
+
+describe('paging through months', { skip }, () => {
+  describe('up to the horizon', () => {
+    const ctx = withSite({});
+
+    test('finds and books a slot two months out', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [{ ...BISTRO, horizon: '100d' }] });
+
+      const [snapshot] = readJsonl(ctx.dataDir, 'analytics.jsonl');
+      assert.deepEqual(snapshot.months, [dayInMonth(0, 1), NEXT, LATER].map(date => date.slice(0, 7)));
+      assert.deepEqual(snapshot.availableDays.map(d => [d.isoDate, d.month]), [[NEXT, NEXT.slice(0, 7)], [LATER, LATER.slice(0, 7)]]);
+      // Each month was read from its own availability response, not the one before it
+      assert.equal(snapshot.source, 'network');
+
+      assert.equal(ctx.site.state.bookings.length, 1);
+      assert.equal(ctx.site.state.bookings[0].date, LATER);
+    });
+  });
+
+  describe('back to an earlier month to book', () => {
+    const ctx = withSite({});
+
+    test('reopens the month the best slot was in', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [{ ...BISTRO, desiredTimes: ['5:00 PM'], horizon: '100d' }] });
+
+      assert.equal(ctx.site.state.bookings.length, 1);
+      assert.equal(ctx.site.state.bookings[0].date, NEXT);
+    });
+  });
+
+  describe('a shorter horizon', () => {
+    const ctx = withSite({});
+
+    test('never pages past it', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [{ ...BISTRO, horizon: NEXT.slice(0, 7) }] });
+
+      const [snapshot] = readJsonl(ctx.dataDir, 'analytics.jsonl');
+      assert.deepEqual(snapshot.months, [dayInMonth(0, 1), NEXT].map(date => date.slice(0, 7)));
+      assert.equal(ctx.site.state.bookings.length, 0);
+    });
+  });
+
+  describe('a start month', () => {
+    const ctx = withSite({});
+
+    test('jumps straight to it', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [{ ...BISTRO, startMonth: LATER.slice(0, 7), horizon: '100d' }] });
+
+      const [snapshot] = readJsonl(ctx.dataDir, 'analytics.jsonl');
+      assert.deepEqual(snapshot.months, [LATER.slice(0, 7)]);
+      assert.equal(readJsonl(ctx.dataDir, 'events.jsonl').filter(e => e.phase === 'calendar-month').length, 1);
+      assert.equal(ctx.site.state.bookings[0].date, LATER);
+    });
+  });
+});
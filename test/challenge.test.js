@@ -0,0 +1,73 @@
+// Backoff, cooldown, rotation and resume decisions made from the Cloudflare block history
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-challenge-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.CHALLENGE_BACKOFF_MAX_MINUTES;
+
+const {
+  blockStats, recentBlocks, backoffMinutes, planAfterTimeout, planAfterClear, cooldownRemaining
+} = require('../src/challenge');
+const store = require('../src/store');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+// Checks a minute apart, oldest first: true = blocked
+function history(blocks) {
+  return blocks.map((blocked, i) => ({ timestamp: new Date(NOW - (blocks.length - i) * 60000).toISOString(), blocked }));
+}
+
+test('backoff doubles up to the cap', () => {
+  assert.deepEqual([1, 2, 3, 4].map(backoffMinutes), [5, 10, 20, 40]);
+  assert.equal(backoffMinutes(20), 240);
+});
+
+test('the alert counts blocks within the longest backoff only', async () => {
+  const minutesAgo = minutes => new Date(NOW - minutes * 60000).toISOString();
+  store.append('cloudflare', { timestamp: minutesAgo(300), blocked: true });
+  store.append('cloudflare', { timestamp: minutesAgo(200), blocked: true });
+  store.append('cloudflare', { timestamp: minutesAgo(100), blocked: false });
+  store.append('cloudflare', { timestamp: minutesAgo(1), blocked: true });
+  assert.equal(await recentBlocks(NOW), 2);
+});
+
+test('block streaks only count since the last rotation', () => {
+  const checks = history([false, true, true, true]);
+  assert.equal(blockStats(checks).consecutive, 3);
+  assert.equal(blockStats(checks, checks[1].timestamp).consecutive, 2);
+  assert.equal(blockStats(checks).rate, 0.75);
+});
+
+test('a first timeout backs off briefly without rotating', () => {
+  const { state, decisions } = planAfterTimeout({ level: 0 }, blockStats(history([false, false, false, false, true])), NOW);
+
+  assert.deepEqual(decisions, [{ decision: 'backoff', level: 1, minutes: 5 }]);
+  assert.equal(state.cooldownUntil, '2026-10-19T12:05:00.000Z');
+  assert.equal(cooldownRemaining(NOW, state), 5 * 60000);
+});
+
+test('a high block rate cools down and a blocked streak rotates the session', () => {
+  const { state, decisions } = planAfterTimeout({ level: 1, rotations: 0 }, blockStats(history([false, false, true, true, true])), NOW);
+
+  assert.deepEqual(decisions.map(d => d.decision), ['backoff', 'cooldown', 'rotate-session']);
+  assert.equal(state.level, 2);
+  assert.equal(state.cooldownUntil, '2026-10-19T14:00:00.000Z');
+  assert.equal(state.rotations, 1);
+  assert.equal(state.lastRotationAt, NOW.toISOString());
+});
+
+test('resumes once the block rate drops', () => {
+  const state = { level: 2, cooldownUntil: '2026-10-19T11:00:00.000Z' };
+
+  assert.deepEqual(planAfterClear(state, blockStats(history([true, true, true, false]))).decisions, []);
+  const { state: resumed, decisions } = planAfterClear(state, blockStats(history([true, false, false, false])));
+  assert.equal(decisions[0].decision, 'resume');
+  assert.equal(resumed.level, 0);
+  assert.equal(resumed.cooldownUntil, null);
+});
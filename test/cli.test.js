@@ -0,0 +1,206 @@
+// Command-line interface: validate-config, status and analytics run as child processes
+// (like bot.js in the flow tests), plus `check` against the fake site
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFakeTock, ACCOUNT } = require('./fake-tock/server');
+const { browserUnavailable, makeDataDir, isoDateFromNow, readJsonl } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+const RUN_TIMEOUT_MS = 120000;
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-cli-'));
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const BASE_ENV = {
+  BOOKING_PAGE: '/fake-bistro/experience/1001/tasting-menu',
+  DESIRED_TIME_SLOTS: '7:00 PM,8:00 PM',
+  TOCK_EMAIL: ACCOUNT.email,
+  TOCK_PASSWORD: ACCOUNT.password,
+  TOCK_CVV: ACCOUNT.cvv
+};
+
+// Only these variables reach the CLI, and cwd is the data dir so dotenv finds no .env.
+// Async, so a fake site served from this process keeps answering.
+function cli(args, env = {}, dir = dataDir) {
+  const childEnv = {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME,
+    DATA_DIR: dir,
+    LOCK_DIR: dir,
+    WATCHLIST_FILE: path.join(dir, 'watchlist.json'),
+    ...env
+  };
+  if (process.env.PLAYWRIGHT_BROWSERS_PATH) {
+    childEnv.PLAYWRIGHT_BROWSERS_PATH = process.env.PLAYWRIGHT_BROWSERS_PATH;
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args], { cwd: dir, env: childEnv });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`cli.js ${args.join(' ')} did not exit within ${RUN_TIMEOUT_MS / 1000}s\n${output}`));
+    }, RUN_TIMEOUT_MS);
+
+    child.on('exit', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+// The JSON document printed after dotenv's banner
+function json(output) {
+  return JSON.parse(output.slice(output.indexOf('{')));
+}
+
+describe('validate-config', () => {
+  test('passes a working setup', async () => {
+    const { code, output } = await cli(['validate-config'], BASE_ENV);
+    assert.equal(code, 0, output);
+    assert.match(output, /Configuration OK \(1 target\(s\)/);
+    assert.match(output, /login sessions are saved unencrypted/);
+    assert.doesNotMatch((await cli(['validate-config'], { ...BASE_ENV, VAULT_PASSPHRASE: 'x' })).output, /unencrypted/);
+  });
+
+  test('reports a missing DESIRED_TIME_SLOTS instead of running a scan that never matches', async () => {
+    const { code, output } = await cli(['validate-config'], { ...BASE_ENV, DESIRED_TIME_SLOTS: '' });
+    assert.equal(code, 1);
+    assert.match(output, /no desiredTimes \(DESIRED_TIME_SLOTS\) or timeWindows, so nothing would ever match/);
+  });
+
+  test('names every bad value', async () => {
+    const { code, output } = await cli(['validate-config'], {
+      ...BASE_ENV,
+      PARTY_SIZE: 'two',
+      RELEASE_TIMES: '5:00 PM, noon',
+      RELEASE_TIMEZONE: 'Pacific',
+      DRY_RUN: 'yes',
+      PEAK_POLL_INTERVAL_SECONDS: '0',
+      PROBE_MODE: 'xhr'
+    });
+    assert.equal(code, 1);
+    for (const message of [
+      /partySize must be a whole number from 1 to 20/,
+      /RELEASE_TIMES: "noon" is not a time/,
+      /RELEASE_TIMEZONE=Pacific is not an IANA time zone/,
+      /DRY_RUN=yes must be true or false/,
+      /PEAK_POLL_INTERVAL_SECONDS=0 must be a number above 0/,
+      /PROBE_MODE=xhr must be one of network, dom/
+    ]) {
+      assert.match(output, message);
+    }
+  });
+
+  test('checks the watchlist entries and accounts', async () => {
+    const dir = makeDataDir();
+    try {
+      fs.writeFileSync(path.join(dir, 'watchlist.json'), JSON.stringify({
+        targets: [
+          { id: 'bistro', bookingPage: '/fake-bistro/experience/1001/tasting-menu', desiredTimes: ['7:00 PM'], account: 'partner' },
+          { id: 'bistro', bookingPage: 'fake-counter', desiredTimes: ['7 o\'clock'] }
+        ]
+      }));
+      const { code, output } = await cli(['validate-config'], { TOCK_EMAIL: ACCOUNT.email }, dir);
+      assert.equal(code, 1);
+      assert.match(output, /Target "bistro" .*: the id is used twice/);
+      assert.match(output, /bookingPage must be a path/);
+      assert.match(output, /TOCK_EMAIL is set but TOCK_PASSWORD is not/);
+      assert.match(output, /Account "partner" is not in the vault/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects a YAML watchlist with a clear error', async () => {
+    const file = path.join(dataDir, 'watchlist.yaml');
+    fs.writeFileSync(file, 'targets:\n  - bookingPage: /fake-bistro/experience/1001/tasting-menu\n');
+    try {
+      const { code, output } = await cli(['validate-config'], { ...BASE_ENV, WATCHLIST_FILE: file });
+      assert.equal(code, 1);
+      assert.match(output, /watchlist.yaml: YAML watchlists are not supported - convert it to JSON/);
+    } finally {
+      fs.rmSync(file);
+    }
+  });
+
+  test('stops check and book before a browser is launched', async () => {
+    const { code, output } = await cli(['book'], { TOCK_EMAIL: ACCOUNT.email, TOCK_PASSWORD: ACCOUNT.password });
+    assert.equal(code, 1);
+    assert.match(output, /No targets/);
+    assert.doesNotMatch(output, /Launching|browser/i);
+  });
+});
+
+describe('status and analytics', () => {
+  before(() => {
+    const now = Date.now();
+    const checks = [
+      { timestamp: new Date(now - 3600000).toISOString(), target: 'bistro', totalAvailableDays: 1, totalTimeSlots: 3, matchedSlot: '7:00 PM' },
+      { timestamp: new Date(now - 7200000).toISOString(), target: 'bistro', totalAvailableDays: 0, totalTimeSlots: 0 },
+      { timestamp: new Date(now - 9 * 86400000).toISOString(), target: 'bistro', totalAvailableDays: 1, totalTimeSlots: 1 }
+    ];
+    fs.writeFileSync(path.join(dataDir, 'analytics.jsonl'), checks.map(c => JSON.stringify(c)).join('\n') + '\n');
+  });
+
+  test('status works before the bot has ever run', async () => {
+    const { code, output } = await cli(['status'], BASE_ENV);
+    assert.equal(code, 0, output);
+    assert.match(output, /Run lock: none/);
+    assert.match(output, /Last run: never/);
+    assert.match(output, /Targets: 1 active, 0 booked, 0 disabled/);
+
+    assert.equal(json((await cli(['status', '--json'], BASE_ENV)).output).health.status, 'down');
+  });
+
+  test('analytics summarizes the requested window', async () => {
+    const { code, output } = await cli(['analytics', '--json'], BASE_ENV);
+    assert.equal(code, 0, output);
+    const report = json(output);
+    assert.equal(report.summary.checks, 2);
+    assert.equal(report.summary.withAvailability, 1);
+
+    assert.match((await cli(['analytics', '--days', '30'], BASE_ENV)).output, /Last 30 day\(s\): 3 checks/);
+    assert.match((await cli(['analytics', '--target', 'counter'], BASE_ENV)).output, /for counter: 0 checks/);
+    assert.equal((await cli(['analytics', '--days', 'week'], BASE_ENV)).code, 1);
+  });
+
+  test('unknown commands print the usage', async () => {
+    const { code, output } = await cli(['stalk'], BASE_ENV);
+    assert.equal(code, 1);
+    assert.match(output, /Usage: node src\/cli.js <command>/);
+    assert.equal((await cli(['help'])).code, 0);
+  });
+});
+
+const skip = browserUnavailable();
+
+describe('check', { skip }, () => {
+  const DAY = isoDateFromNow(10);
+  const context = {};
+  before(async () => {
+    context.site = createFakeTock({ restaurants: { 'fake-bistro': { availability: { [DAY]: ['7:00 PM'] } } } });
+    context.server = await context.site.listen();
+    context.dataDir = makeDataDir();
+  });
+  after(async () => {
+    await context.server.close();
+    fs.rmSync(context.dataDir, { recursive: true, force: true });
+  });
+
+  test('finds the match but never books, even with DRY_RUN=false', async () => {
+    const env = { ...BASE_ENV, TOCK_BASE_URL: context.server.url, HEADLESS: 'true', DRY_RUN: 'false', VAULT_PASSPHRASE: 'test-passphrase' };
+    await cli(['check'], env, context.dataDir);
+    assert.equal(context.site.state.bookings.length, 0);
+    assert.equal(readJsonl(context.dataDir, 'runs.jsonl').pop().outcome, 'dry-run-match');
+  });
+});
@@ -0,0 +1,143 @@
+const { test, describe, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Control state, watchlist and locks live in a temp dir
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-control-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOCK_DIR = dataDir;
+process.env.WATCHLIST_FILE = path.join(dataDir, 'watchlist.json');
+process.env.CONTROL_TOKEN = 'let-me-in';
+process.env.BOOKING_PAGE = '/env-bistro/experience/1/dinner';
+process.env.DESIRED_TIME_SLOTS = '7:00 PM';
+process.env.DRY_RUN = 'true';
+// Stands in for the bot: shows what it was started with and fails
+process.env.CHECK_COMMAND = `"${process.execPath}" -e "console.log('check', process.env.HEADLESS, process.env.DRY_RUN); process.exit(3)"`;
+
+const control = require('../src/control');
+const { addTarget, updateTarget, removeTarget, loadTargets, readRawTargets, WATCHLIST_STATE_FILE } = require('../src/watchlist');
+const { runBot } = require('./helpers');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  for (const file of [control.CONTROL_FILE, process.env.WATCHLIST_FILE, WATCHLIST_STATE_FILE]) {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+describe('control state', () => {
+  test('pauses and resumes', () => {
+    assert.equal(control.readControl().paused, false);
+    control.pause('all-booked', new Date('2026-11-01T10:00:00Z'));
+    assert.deepEqual(
+      (({ paused, pausedAt, pauseReason }) => ({ paused, pausedAt, pauseReason }))(control.readControl()),
+      { paused: true, pausedAt: '2026-11-01T10:00:00.000Z', pauseReason: 'all-booked' }
+    );
+    control.resume();
+    assert.equal(control.readControl().paused, false);
+  });
+
+  test('a check request lets one check through a pause', () => {
+    control.pause();
+    assert.equal(control.checkAllowed().allowed, false);
+
+    control.updateControl({ checkRequestedAt: new Date().toISOString() });
+    assert.deepEqual((({ allowed, requested }) => ({ allowed, requested }))(control.checkAllowed()), { allowed: true, requested: true });
+    assert.equal(control.checkAllowed().allowed, false);
+  });
+
+  test('DRY_RUN can be overridden and handed back', () => {
+    assert.equal(control.dryRunEnabled(undefined, { DRY_RUN: 'true' }), true);
+    control.setDryRun(false);
+    assert.equal(control.dryRunEnabled(undefined, { DRY_RUN: 'true' }), false);
+    control.setDryRun(null);
+    assert.equal(control.dryRunEnabled(undefined, { DRY_RUN: 'true' }), true);
+    assert.throws(() => control.setDryRun('yes'), RangeError);
+  });
+
+  test('needs the exact token', () => {
+    assert.equal(control.authorize('let-me-in'), true);
+    assert.equal(control.authorize('let-me-i'), false);
+    assert.equal(control.authorize(undefined), false);
+  });
+
+  test('only passes on watchlist fields', () => {
+    assert.deepEqual(control.targetFields({ bookingPage: '/a', retired: true, confirmationId: 'ABC' }), { bookingPage: '/a' });
+    assert.throws(() => control.targetFields([]), RangeError);
+  });
+});
+
+describe('check now', () => {
+  test('runs headless with the panel\'s dry-run setting, logs its output and records a failure', async () => {
+    control.setDryRun(false);
+    assert.equal(control.startCheck(), 'run');
+    assert.equal(control.readControl().lastCheck.finishedAt, null);
+
+    for (let i = 0; i < 100 && !control.readControl().lastCheck.finishedAt; i++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.equal(control.readControl().lastCheck.exitCode, 3);
+    assert.equal(control.controlStatus().control.lastCheck.exitCode, 3);
+    assert.match(fs.readFileSync(control.CHECK_LOG_FILE, 'utf-8'), /check true false/);
+  });
+});
+
+describe('watchlist editing', () => {
+  const BISTRO = { id: 'bistro', bookingPage: '/fake-bistro/experience/1001/tasting-menu', partySize: 2, desiredTimes: ['7:00 PM'] };
+
+  test('starts the watchlist file from the env target', () => {
+    addTarget(BISTRO);
+    assert.deepEqual(readRawTargets().map(t => t.id), ['default', 'bistro']);
+    assert.equal(loadTargets().find(t => t.id === 'default').bookingPage, '/env-bistro/experience/1/dinner');
+  });
+
+  test('edits desired times and switches targets off', () => {
+    addTarget(BISTRO);
+    assert.deepEqual(updateTarget('bistro', { desiredTimes: ['6:30 PM', '8:00 PM'] }).desiredTimes, ['6:30 PM', '8:00 PM']);
+    updateTarget('bistro', { enabled: false });
+    assert.ok(!loadTargets().some(t => t.id === 'bistro'));
+    assert.equal(control.controlStatus().targets.find(t => t.id === 'bistro').enabled, false);
+  });
+
+  test('removes targets', () => {
+    addTarget(BISTRO);
+    removeTarget('bistro');
+    assert.deepEqual(readRawTargets().map(t => t.id), ['default']);
+    assert.throws(() => removeTarget('bistro'), /No watchlist target "bistro"/);
+  });
+
+  test('rejects bad entries', () => {
+    assert.throws(() => addTarget({ bookingPage: 'fake-bistro' }), /bookingPage must be a path/);
+    assert.throws(() => addTarget({ ...BISTRO, partySize: 25 }), /partySize/);
+    assert.throws(() => addTarget({ ...BISTRO, desiredTimes: ['dinner'] }), /Invalid desired time: dinner/);
+    assert.throws(() => addTarget({ ...BISTRO, timeWindows: ['late'] }), RangeError);
+    addTarget(BISTRO);
+    assert.throws(() => addTarget(BISTRO), /already exists/);
+  });
+
+  test('keeps a booked target\'s id taken', () => {
+    fs.writeFileSync(WATCHLIST_STATE_FILE, JSON.stringify({ retired: { bistro: { confirmationId: 'ABC' } } }));
+    assert.throws(() => addTarget(BISTRO), /already booked/);
+  });
+});
+
+describe('paused bot', () => {
+  test('skips its check without opening a browser', async () => {
+    const runDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-test-'));
+    fs.writeFileSync(path.join(runDir, 'control.json'), JSON.stringify({ paused: true, pauseReason: 'manual' }));
+
+    const { code, output } = await runBot({
+      baseUrl: 'http://127.0.0.1:9',
+      dataDir: runDir,
+      targets: [{ id: 'bistro', bookingPage: '/fake-bistro/experience/1001/tasting-menu' }]
+    });
+    assert.equal(code, 1);
+    assert.match(output, /paused from the control panel/);
+    assert.ok(!fs.existsSync(path.join(runDir, 'runs.jsonl')));
+
+    fs.rmSync(runDir, { recursive: true, force: true });
+  });
+});
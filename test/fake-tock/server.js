@@ -0,0 +1,474 @@
+// Local stand-in for exploretock.com: just enough of the login, calendar, checkout and
+// Cloudflare pages - with the same data-testid hooks - to drive bot.js offline.
+//
+// Run it by hand with `node test/fake-tock/server.js [port] [scenario.json]`, then point
+// the bot at it with TOCK_BASE_URL=http://127.0.0.1:<port>.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const ACCOUNT = { email: 'diner@example.com', password: 'correct-horse', cvv: '123' };
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// Scenario shape (every field optional):
+// {
+//   restaurants: {
+//     'fake-bistro': {
+//       availability: { '2026-11-14': ['5:00 PM'] },
+//       taken: ['2026-11-14 5:00 PM'],      // "Set Notify" when clicked
+//       soldOut: ['2026-11-21'],             // sold-out day: clicking it opens the "Set Notify" form
+//       notifyTimes: ['6:00 PM', '8:00 PM'], // times that form offers (default 5:00 PM - 9:00 PM)
+//       price: 250,                          // checkout total (default 100; null: no total shown)
+//       decline: true,                       // card declined at purchase
+//       unconfirmed: true,                   // the purchase goes through but the reply is a gateway error
+//       expiredHolds: ['2026-11-14 5:00 PM'],  // hold expires at purchase
+//       checkoutPartySize: 4,                // checkout shows the wrong party size
+//       calendarApi: false                   // the page never fetches its availability JSON
+//       calendarApi: { result: { ... } }     // ...or gets this body (e.g. a recorded response) instead
+//       pagedCalendar: true                  // one month at a time, with ?date= and a client-side "Next month"
+//     }
+//   },
+//   challenge: { pages: ['login', 'booking', 'checkout'], solveAfterMs: 1500 },  // solveAfterMs null: never clears
+//   challenge: { pages: ['login'], solveAfterMs: null, solveOnClick: true },     // clears when its checkbox is clicked
+//   requireCvv: true,
+//   verificationCode: '246810'           // ask for an emailed code after the password
+// }
+function createFakeTock(scenario = {}) {
+  const state = {
+    scenario: { requireCvv: true, restaurants: {}, ...scenario },
+    sessions: new Set(),
+    pendingVerifications: new Map(),
+    logins: 0,
+    failedLogins: 0,
+    challengesServed: 0,
+    bookings: [],
+    notifications: [],
+    requests: []
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use((req, res, next) => {
+    state.requests.push(`${req.method} ${req.path}`);
+    next();
+  });
+
+  function cookies(req) {
+    const jar = {};
+    for (const part of String(req.headers.cookie || '').split(';')) {
+      const [name, ...value] = part.trim().split('=');
+      if (name) jar[name] = decodeURIComponent(value.join('='));
+    }
+    return jar;
+  }
+
+  function loggedIn(req) {
+    return state.sessions.has(cookies(req).tock_session);
+  }
+
+  function restaurant(name) {
+    const config = state.scenario.restaurants[name] || {};
+    return {
+      ...config,
+      availability: config.availability || {},
+      taken: config.taken || [],
+      soldOut: config.soldOut || [],
+      notifyTimes: config.notifyTimes || ['5:00 PM', '6:00 PM', '7:00 PM', '8:00 PM', '9:00 PM'],
+      expiredHolds: config.expiredHolds || [],
+      price: config.price === undefined ? 100 : config.price
+    };
+  }
+
+  // Serve the Turnstile interstitial in place of `page` until the challenge is solved
+  function challenged(req, res, page) {
+    const challenge = state.scenario.challenge;
+    if (!challenge || !(challenge.pages || []).includes(page) || cookies(req).cf_clearance) {
+      return false;
+    }
+    state.challengesServed += 1;
+    res.status(403).send(turnstilePage(challenge.solveAfterMs, challenge.solveOnClick));
+    return true;
+  }
+
+  app.get('/login', (req, res) => {
+    if (challenged(req, res, 'login')) return;
+    res.send(loginPage(req.query.continue || '/', false));
+  });
+
+  app.post('/login', (req, res) => {
+    const target = req.query.continue || '/';
+    if (req.body.email !== ACCOUNT.email || req.body.password !== ACCOUNT.password) {
+      state.failedLogins += 1;
+      return res.status(401).send(loginPage(target, true));
+    }
+    if (state.scenario.verificationCode) {
+      const pending = crypto.randomBytes(12).toString('hex');
+      state.pendingVerifications.set(pending, target);
+      return res.redirect(`/login/verify?pending=${pending}`);
+    }
+    startSession(res, target);
+  });
+
+  app.get('/login/verify', (req, res) => {
+    res.send(verificationPage(req.query.pending, false));
+  });
+
+  app.post('/login/verify', (req, res) => {
+    const target = state.pendingVerifications.get(req.query.pending);
+    if (!target || req.body.code !== state.scenario.verificationCode) {
+      state.failedLogins += 1;
+      return res.status(401).send(verificationPage(req.query.pending, true));
+    }
+    state.pendingVerifications.delete(req.query.pending);
+    startSession(res, target);
+  });
+
+  function startSession(res, target) {
+    const token = crypto.randomBytes(12).toString('hex');
+    state.sessions.add(token);
+    state.logins += 1;
+    res.cookie('tock_session', token, { path: '/', httpOnly: true, maxAge: 7 * 86400000 });
+    res.redirect(target);
+  }
+
+  app.get('/cvv-frame', (req, res) => {
+    res.send('<!doctype html><html><body><input id="cvv" name="cvv" autocomplete="cc-csc"></body></html>');
+  });
+
+  // The availability JSON the calendar page fetches, shaped like Tock's (see calendar-response.json)
+  app.get('/api/consumer/calendar/full/v2', (req, res) => {
+    if (!loggedIn(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const config = restaurant(req.query.slug);
+    if (config.calendarApi === false) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json(config.calendarApi || calendarResponse(config, req.query.month));
+  });
+
+  // "Set Notify" requests: { slug, date, times, size }
+  app.post('/api/consumer/notify', express.json(), (req, res) => {
+    if (!loggedIn(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const { slug, date, times, size } = req.body;
+    state.notifications.push({ restaurant: slug, date, times: times || [], size: Number(size) });
+    res.json({ ok: true });
+  });
+
+  app.get('/:restaurant/experience/:id/:slug', (req, res) => {
+    if (challenged(req, res, 'booking')) return;
+    if (!loggedIn(req)) {
+      return res.redirect(`/login?continue=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.send(calendarPage(req.params.restaurant, restaurant(req.params.restaurant), req.query.size || 2, req.query.date));
+  });
+
+  app.get('/:restaurant/checkout', (req, res) => {
+    if (challenged(req, res, 'checkout')) return;
+    if (!loggedIn(req)) {
+      return res.redirect(`/login?continue=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.send(checkoutPage(req.params.restaurant, restaurant(req.params.restaurant), req.query, state.scenario.requireCvv));
+  });
+
+  app.post('/:restaurant/purchase', (req, res) => {
+    if (!loggedIn(req)) return res.status(401).send('Not logged in');
+
+    const { date, time, size, cvv } = req.body;
+    const config = restaurant(req.params.restaurant);
+    const fail = (status, error) => res.status(status).send(checkoutPage(req.params.restaurant, config, req.body, false, error));
+
+    if (config.expiredHolds.includes(`${date} ${time}`)) {
+      return fail(410, 'Your hold has expired. Please select a time again.');
+    }
+    if (config.decline || (state.scenario.requireCvv && cvv !== ACCOUNT.cvv)) {
+      return fail(402, 'Your card was declined');
+    }
+    const slots = config.availability[date] || [];
+    if (!slots.includes(time) || config.taken.includes(`${date} ${time}`)) {
+      return fail(409, 'This time is no longer available');
+    }
+
+    // A booked slot is gone for everyone else
+    state.scenario.restaurants[req.params.restaurant].availability[date] = slots.filter(s => s !== time);
+    const confirmationId = `FAKE-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    state.bookings.push({ restaurant: req.params.restaurant, date, time, size: Number(size), price: config.price, confirmationId });
+    if (config.unconfirmed) {
+      return res.status(504).send(page('Gateway timeout', '<h1>Something went wrong</h1>'));
+    }
+    res.redirect(`/receipt/${confirmationId}`);
+  });
+
+  app.get('/receipt/:confirmationId', (req, res) => {
+    res.send(page('Reservation confirmed', `
+      <h1>You're all set</h1>
+      <p>Confirmation <span data-testid="receipt-confirmation-id">${escapeHtml(req.params.confirmationId)}</span></p>`));
+  });
+
+  return {
+    app,
+    state,
+    // Forget every issued session, as if Tock had logged us out
+    expireSessions() {
+      state.sessions.clear();
+    },
+    listen(port = 0) {
+      return new Promise(resolve => {
+        const server = app.listen(port, '127.0.0.1', () => {
+          resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done))
+          });
+        });
+      });
+    }
+  };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function page(title, body) {
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)} | Tock</title></head><body>${body}</body></html>`;
+}
+
+function dateLabel(isoDate) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(isoDate))) return String(isoDate);
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return `${MONTH_NAMES[month - 1]} ${day}, ${year}`;
+}
+
+function loginPage(continueTo, failed) {
+  return page('Log in', `
+    <h1>Log in to Tock</h1>
+    ${failed ? '<p role="alert">Incorrect email or password</p>' : ''}
+    <form method="post" action="/login?continue=${encodeURIComponent(continueTo)}">
+      <input data-testid="email-input" name="email" type="email">
+      <input data-testid="password-input" name="password" type="password">
+      <button data-testid="signin" type="submit">Sign in</button>
+    </form>`);
+}
+
+function verificationPage(pending, failed) {
+  return page('Verify your email', `
+    <h1>Check your email</h1>
+    <p>Enter the code we sent to ${escapeHtml(ACCOUNT.email)}.</p>
+    ${failed ? '<p role="alert">That code is incorrect</p>' : ''}
+    <form method="post" action="/login/verify?pending=${encodeURIComponent(pending || '')}">
+      <input data-testid="verification-code-input" name="code" inputmode="numeric" autofocus>
+      <button type="submit">Verify</button>
+    </form>`);
+}
+
+// Every slot as a ticket group; slots that will turn out to be taken still show as open,
+// the way a stale response would
+function calendarResponse(config, month = null) {
+  const ticketGroup = [];
+  for (const [date, times] of Object.entries(config.availability)) {
+    if (month && !date.startsWith(month)) continue;
+    for (const time of times) {
+      const [hours, minutes] = time.match(/\d+/g).map(Number);
+      const hours24 = (hours % 12) + (/pm/i.test(time) ? 12 : 0);
+      ticketGroup.push({
+        date,
+        time: `${String(hours24).padStart(2, '0')}:${String(minutes || 0).padStart(2, '0')}`,
+        availableTickets: 4,
+        minPurchaseSize: 1,
+        maxPurchaseSize: 8
+      });
+    }
+  }
+  return { result: { ticketGroup } };
+}
+
+function monthOf(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function monthAfter(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return monthOf(new Date(year, monthNumber, 1));
+}
+
+// Day cells of one month; only days with slots (or sold out) are enabled
+function monthDays(config, month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  const days = [];
+  for (let day = 1; day <= daysInMonth; day++) {
+    const iso = `${month}-${String(day).padStart(2, '0')}`;
+    const available = (config.availability[iso] || []).length > 0;
+    const soldOut = !available && config.soldOut.includes(iso);
+    days.push(`<button data-testid="consumer-calendar-day" aria-label="${dateLabel(iso)}" data-date="${iso}"
+      aria-disabled="${available || soldOut ? 'false' : 'true'}" class="${available ? 'is-available' : soldOut ? 'is-sold-out' : 'is-disabled'}">${day}</button>`);
+  }
+  return days.join('');
+}
+
+// Every day of the months that have availability. A paged calendar shows one month - the
+// current one, or `date`'s - and, like Tock's, pages forward without leaving the page: "Next
+// month" swaps the days in and fetches that month's availability JSON (one month per response),
+// stopping at the last month with availability.
+function calendarPage(name, config, size, date) {
+  const withSlots = [...new Set([...Object.keys(config.availability), ...config.soldOut].map(d => d.slice(0, 7)))].sort();
+  const months = config.pagedCalendar ? [/^\d{4}-\d{2}/.test(date || '') ? date.slice(0, 7) : monthOf(new Date())] : withSlots;
+  if (months.length === 0) {
+    months.push(monthOf(new Date()));
+  }
+  const lastMonth = withSlots[withSlots.length - 1];
+  const laterMonths = [];
+  for (let month = months[0]; config.pagedCalendar && lastMonth && month < lastMonth;) {
+    month = monthAfter(month);
+    laterMonths.push({ month, html: monthDays(config, month) });
+  }
+  const api = new URLSearchParams({ slug: name, size: String(Number(size)) });
+  if (config.pagedCalendar) api.set('month', months[0]);
+
+  return page(name, `
+    <h1>${escapeHtml(name)}</h1>
+    <div data-testid="consumer-calendar">${months.map(month => monthDays(config, month)).join('')}</div>
+    ${laterMonths.length > 0 ? '<button aria-label="Next month" onclick="nextMonth()">›</button>' : ''}
+    <div id="results"></div>
+    <script>
+      const LATER_MONTHS = ${JSON.stringify(laterMonths)};
+      const AVAILABILITY = ${JSON.stringify(config.availability)};
+      const TAKEN = ${JSON.stringify(config.taken)};
+      const NOTIFY_TIMES = ${JSON.stringify(config.notifyTimes)};
+      const results = document.getElementById('results');
+
+      function closeModal() {
+        const modal = document.getElementById('notify-modal');
+        if (modal) modal.remove();
+      }
+
+      // A just-taken slot (date and time) or a sold-out day (date, with a choice of times)
+      function showNotifyModal(date, time) {
+        closeModal();
+        const modal = document.createElement('div');
+        modal.id = 'notify-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.innerHTML = (time ? '<p>This time was just booked.</p>' : '<p>Sold out.</p>')
+          + (time ? '' : NOTIFY_TIMES.map(t => '<label><input type="checkbox" data-testid="notify-time" value="' + t + '"> ' + t + '</label>').join(''))
+          + '<button data-testid="notify-button">Set Notify</button>';
+        modal.querySelector('[data-testid="notify-button"]').addEventListener('click', () => {
+          const times = time ? [time] : [...modal.querySelectorAll('[data-testid="notify-time"]:checked')].map(box => box.value);
+          fetch('/api/consumer/notify', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ slug: '${encodeURIComponent(name)}', date, times, size: '${Number(size)}' })
+          }).then(() => {
+            modal.innerHTML = "<p>You're on the list. We will notify you if a spot opens up.</p>";
+          });
+        });
+        document.body.appendChild(modal);
+      }
+
+      // Like Tock, load the availability JSON alongside the server-rendered calendar
+      function loadAvailability(month) {
+        ${config.calendarApi === false ? '' : `const query = new URLSearchParams('${api}');
+        if (month) query.set('month', month);
+        fetch('/api/consumer/calendar/full/v2?' + query).catch(() => {});`}
+      }
+      loadAvailability(null);
+
+      // The new month's days show right away; its availability arrives a moment later
+      function nextMonth() {
+        const next = LATER_MONTHS.shift();
+        const calendar = document.querySelector('[data-testid="consumer-calendar"]');
+        calendar.innerHTML = next.html;
+        calendar.querySelectorAll('[data-testid="consumer-calendar-day"]').forEach(bindDay);
+        results.innerHTML = '';
+        if (LATER_MONTHS.length === 0) document.querySelector('[aria-label="Next month"]').remove();
+        setTimeout(() => loadAvailability(next.month), 500);
+      }
+
+      document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') closeModal();
+      });
+
+      function bindDay(day) {
+        day.addEventListener('click', () => {
+          if (day.getAttribute('aria-disabled') === 'true') return;
+          const date = day.dataset.date;
+          results.innerHTML = '';
+          if (day.classList.contains('is-sold-out')) return showNotifyModal(date);
+          for (const time of AVAILABILITY[date] || []) {
+            const slot = document.createElement('button');
+            slot.dataset.testid = 'search-result-time';
+            slot.innerHTML = '<span></span>';
+            slot.firstChild.textContent = time;
+            slot.addEventListener('click', () => {
+              if (TAKEN.includes(date + ' ' + time)) return showNotifyModal(date, time);
+              location.href = '/${encodeURIComponent(name)}/checkout?' + new URLSearchParams({ date, time, size: '${Number(size)}' });
+            });
+            results.appendChild(slot);
+          }
+        });
+      }
+      document.querySelectorAll('[data-testid="consumer-calendar-day"]').forEach(bindDay);
+    </script>`);
+}
+
+function checkoutPage(name, config, { date, time, size }, requireCvv, error = null) {
+  const shownSize = config.checkoutPartySize || size;
+  return page('Checkout', `
+    <h1>Complete your reservation</h1>
+    <p data-testid="checkout-summary">${escapeHtml(dateLabel(date))} at ${escapeHtml(time)} · Party of ${escapeHtml(shownSize)}</p>
+    ${config.price === null ? '' : `<p>Total <span data-testid="checkout-total">$${Number(config.price).toFixed(2)}</span></p>`}
+    ${error ? `<p role="alert">${escapeHtml(error)}</p>` : ''}
+    <form id="purchase" method="post" action="/${encodeURIComponent(name)}/purchase">
+      <input type="hidden" name="date" value="${escapeHtml(date)}">
+      <input type="hidden" name="time" value="${escapeHtml(time)}">
+      <input type="hidden" name="size" value="${escapeHtml(size)}">
+      <input type="hidden" name="cvv">
+      ${requireCvv ? '<iframe type="cvv" src="/cvv-frame" title="Security code"></iframe>' : ''}
+      <button data-testid="purchase-button" type="submit">Complete purchase</button>
+    </form>
+    <script>
+      const form = document.getElementById('purchase');
+      form.addEventListener('submit', () => {
+        const frame = document.querySelector('iframe[type="cvv"]');
+        if (frame) form.elements.cvv.value = frame.contentDocument.getElementById('cvv').value;
+      });
+    </script>`);
+}
+
+// Turnstile interstitial; "solves" itself by setting cf_clearance and reloading
+// (after solveAfterMs, or when its checkbox - pinned top left - is clicked with solveOnClick)
+function turnstilePage(solveAfterMs, solveOnClick) {
+  const solve = solveAfterMs === null || solveAfterMs === undefined ? '' : `
+    <script>
+      setTimeout(() => {
+        document.cookie = 'cf_clearance=fake-clearance; path=/';
+        location.reload();
+      }, ${Number(solveAfterMs)});
+    </script>`;
+  const checkbox = solveOnClick ? `
+      <label style="position:fixed;left:0;top:0;width:300px;height:60px;background:#fff">
+        <input type="checkbox" onclick="document.cookie = 'cf_clearance=fake-clearance; path=/'; location.reload()">
+        I am human
+      </label>` : '';
+  return page('Just a moment...', `
+    <h1>Verifying you are human. This may take a few seconds.</h1>
+    <div class="cf-turnstile"><input type="hidden" name="cf-turnstile-response">${checkbox}</div>
+    <p>Verify you are human</p>${solve}`);
+}
+
+module.exports = {
+  ACCOUNT,
+  createFakeTock,
+  dateLabel
+};
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || 3100);
+  const scenario = process.argv[3] ? JSON.parse(fs.readFileSync(path.resolve(process.argv[3]), 'utf-8')) : {};
+  createFakeTock(scenario).listen(port).then(({ url }) => {
+    console.log(`🧪 Fake Tock running at ${url} (log in as ${ACCOUNT.email} / ${ACCOUNT.password})`);
+  });
+}
@@ -0,0 +1,156 @@
+const { test, describe, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Runs, events and health state live in a temp dir; notifications go nowhere
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-health-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOCK_DIR = dataDir;
+process.env.NOTIFIERS_FILE = path.join(dataDir, 'notifiers.json');
+process.env.BOOKING_PAGE = '/fake-bistro/experience/1001/tasting-menu';
+process.env.RELEASE_TIMEZONE = 'America/Los_Angeles';
+process.env.DIGEST_TIME = '9:00 PM';
+for (const name of ['SLACK_WEBHOOK_URL', 'WEBHOOK_URL', 'DISCORD_WEBHOOK_URL', 'NTFY_TOPIC', 'PUSHOVER_TOKEN', 'SMTP_HOST']) {
+  delete process.env[name];
+}
+
+const health = require('../src/health');
+const { pause } = require('../src/control');
+
+const NOW = new Date('2026-11-01T18:00:00Z');
+
+function minutesAgo(minutes) {
+  return new Date(NOW - minutes * 60000).toISOString();
+}
+
+function run(minutes, outcome) {
+  return { runId: `run-${minutes}`, startedAt: minutesAgo(minutes + 1), finishedAt: minutesAgo(minutes), outcome, targets: { default: { outcome } } };
+}
+
+function write(name, records) {
+  fs.writeFileSync(path.join(dataDir, `${name}.jsonl`), records.map(r => JSON.stringify(r)).join('\n') + '\n');
+}
+
+function checks(report) {
+  return report.problems.map(p => p.check);
+}
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  for (const file of fs.readdirSync(dataDir)) {
+    fs.rmSync(path.join(dataDir, file), { recursive: true, force: true });
+  }
+});
+
+describe('health report', () => {
+  test('is ok while checks keep coming', () => {
+    write('runs', [run(40, 'no-availability'), run(25, 'no-match'), run(10, 'no-availability')]);
+    const report = health.healthReport(NOW);
+    assert.equal(report.status, 'ok');
+    assert.equal(report.lastCheckAt, minutesAgo(10));
+    assert.deepEqual(report.recent, { hours: 3, runs: 3, failed: 0, errorRate: 0 });
+  });
+
+  test('is down when checks stop', () => {
+    write('runs', [run(120, 'no-availability')]);
+    const report = health.healthReport(NOW);
+    assert.equal(report.status, 'down');
+    assert.match(report.problems[0].message, /No successful check for 2h/);
+  });
+
+  test('is down before the first check', () => {
+    assert.deepEqual(checks(health.healthReport(NOW)), ['checks']);
+  });
+
+  test('flags a high failure rate', () => {
+    write('runs', [run(50, 'no-availability'), run(35, 'cloudflare-timeout'), run(20, 'error'), run(5, 'error')]);
+    const report = health.healthReport(NOW);
+    assert.equal(report.status, 'down');
+    assert.deepEqual(checks(report), ['checks', 'errors']);
+    assert.match(report.problems[1].message, /3 of 4 runs failed in the last 3h \(cloudflare-timeout, error\)/);
+  });
+
+  test('counts calendar-load failures in a row', () => {
+    write('runs', [run(5, 'no-availability')]);
+    const phase = status => ({ type: 'phase', phase: 'calendar-load', status });
+    write('events', [phase('error'), phase('ok'), phase('error'), phase('error'), phase('error')]);
+    const report = health.healthReport(NOW);
+    assert.equal(report.status, 'degraded');
+    assert.equal(report.calendarFailures, 3);
+  });
+
+  test('flags a failed login', () => {
+    write('runs', [run(20, 'no-availability'), run(5, 'login-failed')]);
+    assert.deepEqual(checks(health.healthReport(NOW)), ['session']);
+  });
+
+  test('flags a run lock left by a dead process', () => {
+    write('runs', [run(5, 'no-availability')]);
+    fs.writeFileSync(path.join(dataDir, 'tockstalk.lock'), '2147483646');
+    assert.deepEqual(checks(health.healthReport(NOW)), ['lock']);
+  });
+
+  test('does not expect checks while paused', () => {
+    pause('manual', NOW);
+    assert.equal(health.healthReport(NOW).status, 'paused');
+  });
+});
+
+describe('watchdog', () => {
+  function state() {
+    return JSON.parse(fs.readFileSync(health.HEALTH_STATE_FILE, 'utf-8'));
+  }
+
+  test('alerts once, again after a while, and on recovery', async () => {
+    write('runs', [run(120, 'no-availability')]);
+    await health.runWatchdog(NOW);
+    assert.deepEqual({ status: state().status, problems: state().problems, alertedAt: state().alertedAt },
+      { status: 'down', problems: ['checks'], alertedAt: NOW.toISOString() });
+
+    const later = new Date(NOW.getTime() + 3600000);
+    await health.runWatchdog(later);
+    assert.equal(state().alertedAt, NOW.toISOString());
+
+    const muchLater = new Date(NOW.getTime() + 6 * 3600000);
+    await health.runWatchdog(muchLater);
+    assert.equal(state().alertedAt, muchLater.toISOString());
+
+    write('runs', [run(-360, 'no-availability')]);
+    await health.runWatchdog(new Date(muchLater.getTime() + 60000));
+    assert.deepEqual({ status: state().status, alertedAt: state().alertedAt }, { status: 'ok', alertedAt: null });
+  });
+
+  test('sends the digest once a day after DIGEST_TIME', () => {
+    // 9:00 PM in Los Angeles is 05:00 UTC the next day in November
+    assert.equal(health.digestDue(null, new Date('2026-11-02T04:59:00Z')), false);
+    assert.equal(health.digestDue(null, new Date('2026-11-02T05:01:00Z')), true);
+    assert.equal(health.digestDue('2026-11-02T05:01:00Z', new Date('2026-11-02T07:00:00Z')), false);
+    assert.equal(health.digestDue('2026-11-02T05:01:00Z', new Date('2026-11-03T05:05:00Z')), true);
+  });
+});
+
+describe('digest', () => {
+  test('sums up the last 24 hours', async () => {
+    write('runs', [run(2000, 'no-availability'), run(300, 'no-availability'), run(200, 'error'), run(100, 'booked'), run(10, 'no-match')]);
+    write('analytics', [
+      { timestamp: minutesAgo(300), totalAvailableDays: 0 },
+      { timestamp: minutesAgo(100), totalAvailableDays: 2 },
+      { timestamp: minutesAgo(10), totalAvailableDays: 1 }
+    ]);
+    write('cloudflare', [
+      { timestamp: minutesAgo(250), blocked: true },
+      { timestamp: minutesAgo(200), blocked: true },
+      { timestamp: minutesAgo(10), blocked: false }
+    ]);
+
+    const summary = await health.digest(NOW);
+    assert.deepEqual(
+      (({ checks, withAvailability, blocks, bookings, failed }) => ({ checks, withAvailability, blocks, bookings, failed }))(summary),
+      { checks: 3, withAvailability: 2, blocks: 2, bookings: 1, failed: 1 }
+    );
+    assert.match(summary.message, /3 checks, 2 with availability, 2 Cloudflare blocks, 1 bookings, 1 failed runs - health ok/);
+  });
+});
@@ -0,0 +1,108 @@
+// Shared helpers for the offline booking-flow tests: run bot.js as a child process
+// against the fake Tock site, with its own data and lock directories.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { ACCOUNT } = require('./fake-tock/server');
+
+const BOT = path.join(__dirname, '..', 'src', 'bot.js');
+const RUN_TIMEOUT_MS = 120000;
+
+// Reason to skip browser tests, or null when Playwright's Chromium is installed. With
+// REQUIRE_BROWSER_TESTS=true (as in CI) a missing browser fails the run instead of skipping.
+function browserUnavailable() {
+  let reason;
+  try {
+    reason = fs.existsSync(chromium.executablePath()) ? null : 'Chromium not installed (npx playwright install chromium)';
+  } catch (e) {
+    reason = `Chromium unavailable: ${e.message}`;
+  }
+  if (reason && process.env.REQUIRE_BROWSER_TESTS === 'true') {
+    throw new Error(`REQUIRE_BROWSER_TESTS=true but the browser tests can't run: ${reason}`);
+  }
+  return reason;
+}
+
+function makeDataDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-test-'));
+}
+
+// ISO date `days` from today (local time), so fixtures never fall in the past
+function isoDateFromNow(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Run one bot pass. Only the variables below reach the bot, so a developer's .env
+// (Slack webhooks, real credentials) can't leak into a test run.
+function runBot({ baseUrl, dataDir, targets, env = {}, args = [] }) {
+  const watchlistFile = path.join(dataDir, 'watchlist.json');
+  fs.writeFileSync(watchlistFile, JSON.stringify({ targets }, null, 2));
+
+  const childEnv = {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME,
+    TOCK_BASE_URL: baseUrl,
+    DATA_DIR: dataDir,
+    LOCK_DIR: dataDir,
+    WATCHLIST_FILE: watchlistFile,
+    HEADLESS: 'true',
+    DRY_RUN: 'false',
+    TOCK_EMAIL: ACCOUNT.email,
+    TOCK_PASSWORD: ACCOUNT.password,
+    TOCK_CVV: ACCOUNT.cvv,
+    VAULT_PASSPHRASE: 'test-passphrase',
+    CLOUDFLARE_WAIT_SECONDS: '4',
+    CLOUDFLARE_POLL_SECONDS: '1',
+    ...env
+  };
+  if (process.env.PLAYWRIGHT_BROWSERS_PATH) {
+    childEnv.PLAYWRIGHT_BROWSERS_PATH = process.env.PLAYWRIGHT_BROWSERS_PATH;
+  }
+
+  return new Promise((resolve, reject) => {
+    // cwd is the data dir so dotenv finds no .env
+    const child = spawn(process.execPath, [BOT, ...args], { cwd: dataDir, env: childEnv });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`bot.js did not exit within ${RUN_TIMEOUT_MS / 1000}s\n${output}`));
+    }, RUN_TIMEOUT_MS);
+
+    child.on('exit', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+function readJsonl(dataDir, file) {
+  const full = path.join(dataDir, file);
+  if (!fs.existsSync(full)) return [];
+  return fs.readFileSync(full, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function lastRun(dataDir) {
+  const runs = readJsonl(dataDir, 'runs.jsonl');
+  return runs[runs.length - 1];
+}
+
+function readJson(dataDir, file) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+}
+
+module.exports = {
+  browserUnavailable,
+  makeDataDir,
+  isoDateFromNow,
+  runBot,
+  readJsonl,
+  readJson,
+  lastRun
+};
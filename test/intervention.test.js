@@ -0,0 +1,143 @@
+// Remote intervention: sessions, key checks and the command queue, plus the bot
+// handing a verification code and a stuck challenge over to a person
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createFakeTock } = require('./fake-tock/server');
+const { browserUnavailable, makeDataDir, runBot, readJson, readJsonl, lastRun } = require('./helpers');
+
+// intervention.js reads DATA_DIR when loaded
+process.env.DATA_DIR = makeDataDir();
+const intervention = require('../src/intervention');
+
+const BISTRO = {
+  id: 'bistro',
+  bookingPage: '/fake-bistro/experience/1001/tasting-menu',
+  partySize: 2,
+  desiredTimes: ['7:00 PM']
+};
+
+after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('intervention sessions', () => {
+  test('only the open session\'s key gets in', () => {
+    const session = intervention.openSession({ reason: 'verification', location: 'login' });
+
+    assert.equal(intervention.authorize(session.key).id, session.id);
+    assert.equal(intervention.authorize('not-the-key'), null);
+    assert.equal(intervention.authorize(undefined), null);
+    assert.equal(intervention.publicSession(session).key, undefined);
+    assert.match(intervention.interventionUrl(session), /\/intervene\?key=/);
+
+    intervention.closeSession(session, 'resolved');
+    assert.equal(intervention.authorize(session.key), null);
+  });
+
+  test('rejects commands the bot should not replay', () => {
+    assert.deepEqual(intervention.validateCommand({ type: 'click', x: '10.4', y: 20 }), { type: 'click', x: 10, y: 20 });
+    assert.throws(() => intervention.validateCommand({ type: 'click', x: -1, y: 0 }), RangeError);
+    assert.throws(() => intervention.validateCommand({ type: 'press', key: 'Control+W' }), RangeError);
+    assert.throws(() => intervention.validateCommand({ type: 'type', text: '' }), RangeError);
+    assert.throws(() => intervention.validateCommand({ type: 'eval' }), RangeError);
+  });
+
+  test('reads each session\'s new commands once', () => {
+    const session = intervention.openSession({ reason: 'challenge', location: 'login page' });
+    intervention.enqueueCommand(session, { type: 'type', text: '246810' });
+    intervention.enqueueCommand({ id: 'some-other-session', slot: session.slot }, { type: 'press', key: 'Enter' });
+
+    const first = intervention.readCommands(session);
+    assert.deepEqual(first.commands.map(c => c.text), ['246810']);
+
+    intervention.enqueueCommand(session, { type: 'press', key: 'Enter' });
+    const second = intervention.readCommands(session, first.offset);
+    assert.deepEqual(second.commands.map(c => c.key), ['Enter']);
+  });
+
+  test('keeps two workers\' sessions apart', () => {
+    const first = intervention.openSession({ reason: 'verification', location: 'login', slot: 'worker-0' });
+    const second = intervention.openSession({ reason: 'challenge', location: 'login page', slot: 'worker-1' });
+    intervention.enqueueCommand(first, { type: 'type', text: '246810' });
+    intervention.enqueueCommand(second, { type: 'click', x: 20, y: 20 });
+
+    assert.equal(intervention.authorize(first.key).id, first.id);
+    assert.equal(intervention.authorize(second.key).id, second.id);
+    assert.deepEqual(intervention.readCommands(first).commands.map(c => c.type), ['type']);
+    assert.deepEqual(intervention.readCommands(second).commands.map(c => c.type), ['click']);
+    assert.notEqual(intervention.screenFile(first), intervention.screenFile(second));
+    assert.throws(() => intervention.openSession({ reason: 'challenge', location: 'x', slot: '../up' }), RangeError);
+  });
+});
+
+describe('remote takeover', { skip: browserUnavailable() }, () => {
+  let dataDir;
+  before(() => {
+    dataDir = makeDataDir();
+  });
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Act as the person on the /intervene page: wait for the session, then send `commands`
+  async function takeOver(commands) {
+    const sessionFile = path.join(dataDir, 'intervention', 'worker-0', 'session.json');
+    const deadline = Date.now() + 60000;
+    while (Date.now() < deadline) {
+      const session = fs.existsSync(sessionFile) ? readJson(dataDir, 'intervention/worker-0/session.json') : null;
+      if (session && session.status === 'open') {
+        const lines = commands.map(c => JSON.stringify({ id: String(Math.random()), sessionId: session.id, ...c }) + '\n');
+        fs.appendFileSync(path.join(dataDir, 'intervention', 'worker-0', 'commands.jsonl'), lines.join(''));
+        return session;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('No intervention session opened');
+  }
+
+  async function withSite(scenario, fn) {
+    const site = createFakeTock(scenario);
+    const server = await site.listen();
+    try {
+      await fn(site, server);
+    } finally {
+      await server.close();
+    }
+  }
+
+  test('a person enters the emailed verification code', async () => {
+    await withSite({ verificationCode: '246810', restaurants: { 'fake-bistro': { availability: {} } } }, async (site, server) => {
+      const run = runBot({
+        baseUrl: server.url, dataDir, targets: [BISTRO], env: { INTERVENTION_ENABLED: 'true', INTERVENTION_TIMEOUT_SECONDS: '60' }
+      });
+      await takeOver([{ type: 'type', text: '246810' }, { type: 'press', key: 'Enter' }]);
+      await run;
+
+      assert.equal(site.state.logins, 1);
+      assert.equal(readJson(dataDir, 'intervention/worker-0/session.json').status, 'resolved');
+      assert.equal(lastRun(dataDir).outcome, 'no-availability');
+    });
+  });
+
+  test('a person clicks through a challenge that never clears on its own', async () => {
+    fs.rmSync(path.join(dataDir, 'sessions'), { recursive: true, force: true });
+    const scenario = { challenge: { pages: ['login'], solveAfterMs: null, solveOnClick: true } };
+    await withSite(scenario, async (site, server) => {
+      const run = runBot({
+        baseUrl: server.url, dataDir, targets: [BISTRO], env: { INTERVENTION_ENABLED: 'true', INTERVENTION_TIMEOUT_SECONDS: '60' }
+      });
+      // The fake checkbox is pinned to the top left corner
+      await takeOver([{ type: 'click', x: 20, y: 20 }]);
+      const { output } = await run;
+
+      assert.equal(readJson(dataDir, 'intervention/worker-0/session.json').status, 'resolved');
+      assert.equal(site.state.logins, 1);
+      assert.match(output, /cleared during remote intervention/);
+      assert.doesNotMatch(output, /auto-solved/);
+      const solved = readJsonl(dataDir, 'challenge-decisions.jsonl').filter(d => d.decision === 'solved');
+      assert.deepEqual(solved.map(d => d.by), ['intervention']);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+// Date/time parsing, matching rules and candidate ranking
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.EXCLUDED_DAYS;
+
+const {
+  parseDateLabel, parseTime, formatMinutes, parseTimeWindow, buildRules, dateAllowed, timeRank, rankCandidates
+} = require('../src/matcher');
+
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+describe('parsing', () => {
+  test('parseDateLabel reads Tock labels, ISO dates and labels without a year', () => {
+    assert.equal(parseDateLabel('Saturday, November 14, 2026'), '2026-11-14');
+    assert.equal(parseDateLabel('2026-11-14'), '2026-11-14');
+    assert.equal(parseDateLabel('Nov 3rd', NOW), '2026-11-03');
+    // Already past this year, so next year's
+    assert.equal(parseDateLabel('Jan 5', NOW), '2027-01-05');
+    assert.equal(parseDateLabel('Tasting menu'), null);
+    assert.equal(parseDateLabel(null), null);
+  });
+
+  test('parseTime handles noon, midnight and 24-hour times', () => {
+    assert.equal(parseTime('6:30 PM'), 18 * 60 + 30);
+    assert.equal(parseTime('6pm'), 18 * 60);
+    assert.equal(parseTime('18:30'), 18 * 60 + 30);
+    assert.equal(parseTime('12:00 PM'), 12 * 60);
+    assert.equal(parseTime('12:15 a.m.'), 15);
+    assert.equal(parseTime('11:00 PM'), 23 * 60);
+    assert.equal(parseTime('25:00'), null);
+    assert.equal(parseTime('7 o\'clock'), null);
+    assert.equal(formatMinutes(0), '12:00 AM');
+    assert.equal(formatMinutes(12 * 60 + 5), '12:05 PM');
+  });
+
+  test('parseTimeWindow understands ranges and after/before', () => {
+    assert.deepEqual(parseTimeWindow('6:00 PM-8:30 PM'), { start: 18 * 60, end: 20 * 60 + 30 });
+    assert.deepEqual(parseTimeWindow('after 6pm'), { start: 18 * 60, end: 24 * 60 - 1 });
+    assert.deepEqual(parseTimeWindow('before 1pm'), { start: 0, end: 13 * 60 });
+    assert.deepEqual(parseTimeWindow({ after: '11:30 AM', before: '12:30 PM' }), { start: 11 * 60 + 30, end: 12 * 60 + 30 });
+    assert.throws(() => parseTimeWindow('dinner-late'), /Invalid time window/);
+  });
+});
+
+describe('time windows', () => {
+  test('a window across noon', () => {
+    const rules = buildRules({ timeWindows: ['11:30 AM-12:30 PM'] });
+    assert.notEqual(timeRank(parseTime('12:00 PM'), rules), null);
+    assert.notEqual(timeRank(parseTime('11:30 AM'), rules), null);
+    assert.equal(timeRank(parseTime('12:45 PM'), rules), null);
+    assert.equal(timeRank(parseTime('12:15 AM'), rules), null);
+  });
+
+  test('a window across midnight', () => {
+    const rules = buildRules({ timeWindows: ['10:00 PM-1:00 AM'] });
+    assert.notEqual(timeRank(parseTime('11:30 PM'), rules), null);
+    assert.notEqual(timeRank(parseTime('12:00 AM'), rules), null);
+    assert.notEqual(timeRank(parseTime('1:00 AM'), rules), null);
+    assert.equal(timeRank(parseTime('1:30 AM'), rules), null);
+    assert.equal(timeRank(parseTime('9:00 PM'), rules), null);
+  });
+});
+
+describe('date rules', () => {
+  test('weekdays keep only those days', () => {
+    const rules = buildRules({ weekdays: 'fri,Saturday' });
+    assert.equal(dateAllowed('2026-11-13', rules), true); // Friday
+    assert.equal(dateAllowed('2026-11-14', rules), true); // Saturday
+    assert.equal(dateAllowed('2026-11-15', rules), false); // Sunday
+  });
+
+  test('date ranges are inclusive and may be open-ended', () => {
+    const rules = buildRules({ dateRanges: ['2026-11-01..2026-11-10', { from: '2026-12-20' }] });
+    assert.equal(dateAllowed('2026-11-01', rules), true);
+    assert.equal(dateAllowed('2026-11-10', rules), true);
+    assert.equal(dateAllowed('2026-11-11', rules), false);
+    assert.equal(dateAllowed('2027-03-01', rules), true);
+  });
+
+  test('excluded weekdays and blackout dates win over the other rules', () => {
+    const rules = buildRules({
+      dateRange: '2026-11-01..2026-11-30',
+      excludedDays: 'mon,2026-11-14',
+      blackoutDates: ['2026-11-20']
+    });
+    assert.equal(dateAllowed('2026-11-16', rules), false); // Monday
+    assert.equal(dateAllowed('2026-11-14', rules), false);
+    assert.equal(dateAllowed('2026-11-20', rules), false);
+    assert.equal(dateAllowed('2026-11-17', rules), true);
+  });
+});
+
+describe('ranking', () => {
+  const slots = [
+    { dateLabel: 'November 15, 2026', time: '8:00 PM' },
+    { dateLabel: 'November 14, 2026', time: '9:00 PM' },
+    { dateLabel: 'November 14, 2026', time: '6:00 PM' },
+    { dateLabel: 'November 13, 2026', time: '7:30 PM' },
+    { dateLabel: 'November 16, 2026', time: '8:00 PM' }, // Monday, excluded
+    { dateLabel: 'November 14, 2026', time: '5:00 PM' } // matches nothing
+  ];
+  const target = {
+    desiredTimes: '8:00 PM,6:00 PM',
+    timeWindows: ['7:00 PM-10:00 PM'],
+    preferredTime: '7:00 PM',
+    excludedDays: 'mon'
+  };
+
+  test('listed times in list order, then window matches closest to the preferred time', () => {
+    const ranked = rankCandidates(slots, buildRules(target), NOW);
+    assert.deepEqual(ranked.map(c => `${c.date} ${c.time}`), [
+      '2026-11-15 8:00 PM',
+      '2026-11-14 6:00 PM',
+      '2026-11-13 7:30 PM',
+      '2026-11-14 9:00 PM'
+    ]);
+    assert.equal(ranked[0].minutes, 20 * 60);
+  });
+
+  test('prefer: date takes the earliest date first', () => {
+    const ranked = rankCandidates(slots, buildRules({ ...target, prefer: 'date' }), NOW);
+    assert.deepEqual(ranked.map(c => `${c.date} ${c.time}`), [
+      '2026-11-13 7:30 PM',
+      '2026-11-14 6:00 PM',
+      '2026-11-14 9:00 PM',
+      '2026-11-15 8:00 PM'
+    ]);
+  });
+
+  test('same rank breaks ties by date, then time', () => {
+    const ranked = rankCandidates([
+      { dateLabel: 'November 15, 2026', time: '8:00 PM' },
+      { dateLabel: 'November 14, 2026', time: '8:00 PM' }
+    ], buildRules({ desiredTimes: ['8:00 PM'] }), NOW);
+    assert.deepEqual(ranked.map(c => c.date), ['2026-11-14', '2026-11-15']);
+  });
+});
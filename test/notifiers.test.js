@@ -0,0 +1,207 @@
+// Notification channels against a local mock HTTP server and a minimal SMTP server:
+// per-channel level filters, each backend's payload, redaction and timeouts
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-notifiers-'));
+process.env.DATA_DIR = dataDir;
+process.env.NOTIFIERS_FILE = path.join(dataDir, 'notifiers.json');
+process.env.NOTIFY_TIMEOUT_SECONDS = '1';
+for (const name of ['SLACK_WEBHOOK_URL', 'WEBHOOK_URL', 'DISCORD_WEBHOOK_URL', 'NTFY_TOPIC', 'PUSHOVER_TOKEN', 'SMTP_HOST']) {
+  delete process.env[name];
+}
+
+const { createChannels, loadChannelConfigs, notify, flushNotifications } = require('../src/notifiers');
+const { addSecret } = require('../src/redact');
+
+// Records every request; /hang never answers
+function mockHttp() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url === '/hang') return;
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  return { requests, server };
+}
+
+// Just enough SMTP for nodemailer: no TLS, no auth
+function mockSmtp() {
+  const mails = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 mock ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data !== null) {
+          if (line === '.') {
+            mails.push(data);
+            data = null;
+            socket.write('250 queued\r\n');
+          } else {
+            data += `${line}\n`;
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO') socket.write('250-mock\r\n250 8BITMIME\r\n');
+        else if (command === 'DATA') { data = ''; socket.write('354 go ahead\r\n'); }
+        else if (command === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return { mails, server };
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+const web = mockHttp();
+const smtp = mockSmtp();
+let base;
+let smtpPort;
+
+before(async () => {
+  base = `http://127.0.0.1:${await listen(web.server)}`;
+  smtpPort = await listen(smtp.server);
+});
+
+after(() => {
+  web.server.closeAllConnections();
+  web.server.close();
+  smtp.server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  web.requests.length = 0;
+  smtp.mails.length = 0;
+});
+
+async function send(config, message, level) {
+  const [channel] = createChannels([config]);
+  await channel.send({ message, level, timestamp: '2026-10-19T17:00:00.000Z' });
+}
+
+describe('backends', () => {
+  test('webhook posts the message, level and timestamp with its headers', async () => {
+    await send({ type: 'webhook', url: `${base}/hook`, headers: { 'X-Key': 'k1' } }, 'Slot open', 'availability');
+    const [request] = web.requests;
+    assert.equal(request.url, '/hook');
+    assert.equal(request.headers['x-key'], 'k1');
+    assert.deepEqual(JSON.parse(request.body), { text: 'Slot open', level: 'availability', timestamp: '2026-10-19T17:00:00.000Z' });
+  });
+
+  test('slack sends text with the bot name and icon', async () => {
+    await send({ type: 'slack', url: `${base}/slack`, username: 'Tockstalk', iconEmoji: ':fork_and_knife:' }, 'Booked!', 'success');
+    assert.deepEqual(JSON.parse(web.requests[0].body), { username: 'Tockstalk', icon_emoji: ':fork_and_knife:', text: 'Booked!' });
+  });
+
+  test('discord sends content and username', async () => {
+    await send({ type: 'discord', url: `${base}/discord`, username: 'Tockstalk' }, 'Booked!', 'success');
+    assert.deepEqual(JSON.parse(web.requests[0].body), { content: 'Booked!', username: 'Tockstalk' });
+  });
+
+  test('ntfy posts plain text to the topic with priority and tags', async () => {
+    await send({ type: 'ntfy', url: `${base}/`, topic: 'my tables', token: 'tk_1' }, 'Slot open', 'availability');
+    const [request] = web.requests;
+    assert.equal(request.url, '/my%20tables');
+    assert.equal(request.body, 'Slot open');
+    assert.equal(request.headers.priority, 'high');
+    assert.equal(request.headers.tags, 'availability');
+    assert.equal(request.headers.title, 'Tockstalk');
+    assert.equal(request.headers.authorization, 'Bearer tk_1');
+  });
+
+  test('pushover posts a form with the mapped priority', async () => {
+    await send({ type: 'pushover', url: `${base}/pushover`, token: 'app', user: 'me' }, 'Blocked again', 'cloudflare');
+    const fields = Object.fromEntries(new URLSearchParams(web.requests[0].body));
+    assert.deepEqual(fields, { token: 'app', user: 'me', title: 'Tockstalk', message: 'Blocked again', priority: '-1' });
+  });
+
+  test('email sends the first line as the subject', async () => {
+    await send({ type: 'email', host: '127.0.0.1', port: smtpPort, from: 'bot@example.com', to: 'me@example.com' }, 'Booked!\nConfirmation ABC123', 'success');
+    const [mail] = smtp.mails;
+    assert.match(mail, /^Subject: \[Tockstalk\] SUCCESS: Booked!$/m);
+    assert.match(mail, /^To: me@example.com$/m);
+    assert.match(mail, /Confirmation ABC123/);
+  });
+
+  test('a failed request reports the status', async () => {
+    const server = http.createServer((req, res) => { res.statusCode = 500; res.end('nope'); });
+    const port = await listen(server);
+    try {
+      await assert.rejects(send({ type: 'webhook', url: `http://127.0.0.1:${port}/` }, 'x', 'info'), /HTTP 500: nope/);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('a hung endpoint times out instead of blocking', async () => {
+    const started = Date.now();
+    await assert.rejects(send({ type: 'webhook', url: `${base}/hang` }, 'x', 'info'), /abort|timeout/i);
+    assert.ok(Date.now() - started < 3000);
+  });
+
+  test('a hung Slack webhook times out too', async () => {
+    const started = Date.now();
+    await assert.rejects(send({ type: 'slack', url: `${base}/hang` }, 'x', 'info'), /did not answer/);
+    assert.ok(Date.now() - started < 3000);
+  });
+});
+
+describe('notify', () => {
+  before(() => {
+    fs.writeFileSync(process.env.NOTIFIERS_FILE, JSON.stringify({
+      channels: [
+        { type: 'webhook', name: 'phone', url: `${base}/phone`, levels: 'availability,success' },
+        { type: 'webhook', name: 'log', url: `${base}/log`, levels: ['cloudflare', 'error'] },
+        { type: 'webhook', name: 'everything', url: `${base}/all` },
+        { type: 'webhook', name: 'stuck', url: `${base}/hang`, levels: 'error' }
+      ]
+    }));
+  });
+
+  test('sends each level only to the channels that accept it', async () => {
+    assert.equal(loadChannelConfigs().length, 4);
+    await notify('Slot open', 'availability');
+    await notify('Blocked', 'cloudflare');
+    await notify('Nightly digest', 'digest');
+
+    const byUrl = url => web.requests.filter(r => r.url === url).map(r => JSON.parse(r.body).text);
+    assert.deepEqual(byUrl('/phone'), ['Slot open']);
+    assert.deepEqual(byUrl('/log'), ['Blocked']);
+    assert.deepEqual(byUrl('/all'), ['Slot open', 'Blocked', 'Nightly digest']);
+  });
+
+  test('scrubs secrets before anything leaves', async () => {
+    addSecret('hunter2-password');
+    await notify('Login failed with hunter2-password', 'availability');
+    assert.ok(!web.requests.some(r => r.body.includes('hunter2-password')));
+  });
+
+  test('never throws, and a hung channel only delays its own message', async () => {
+    const started = Date.now();
+    const sending = notify('Crashed', 'error');
+    await flushNotifications();
+    await sending;
+    assert.ok(Date.now() - started < 3000);
+    assert.deepEqual(web.requests.filter(r => r.url === '/log').map(r => JSON.parse(r.body).text), ['Crashed']);
+  });
+});
@@ -0,0 +1,155 @@
+// Network probing: parsing the calendar's availability response, and runs that read it
+// instead of clicking through the days
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { DEFAULT_PROFILE } = require('../src/site-profile');
+const { parseAvailability } = require('../src/probe');
+const { createFakeTock } = require('./fake-tock/server');
+const recorded = require('./fake-tock/calendar-response.json');
+const {
+  browserUnavailable, makeDataDir, isoDateFromNow, runBot, readJsonl
+} = require('./helpers');
+
+const FIELDS = DEFAULT_PROFILE.probe;
+
+describe('availability response parsing', () => {
+  test('reads every open date and time for the party size', () => {
+    assert.deepEqual(parseAvailability([recorded], FIELDS, 2), {
+      '2026-11-14': ['5:00 PM', '7:30 PM'],
+      '2026-11-21': ['12:00 PM', '6:30 PM'],
+      '2026-11-28': ['8:00 PM']
+    });
+  });
+
+  test('leaves out ticket groups the party is too big or too small for', () => {
+    assert.deepEqual(parseAvailability([recorded], FIELDS, 4), {
+      '2026-11-14': ['5:00 PM'],
+      '2026-11-15': ['6:00 PM'],
+      '2026-11-21': ['12:00 PM', '6:30 PM'],
+      '2026-11-28': ['8:00 PM']
+    });
+  });
+
+  test('merges several responses', () => {
+    const extra = { result: { ticketGroup: [{ date: '2026-12-05', time: '7:00 PM', availableTickets: 2 }] } };
+    const days = parseAvailability([recorded, extra], FIELDS, 2);
+    assert.deepEqual(days['2026-12-05'], ['7:00 PM']);
+    assert.equal(Object.keys(days).length, 4);
+  });
+
+  test('is null when nothing has the expected shape', () => {
+    assert.equal(parseAvailability([], FIELDS, 2), null);
+    assert.equal(parseAvailability([{ data: { slots: [] } }], FIELDS, 2), null);
+    assert.deepEqual(parseAvailability([{ result: { ticketGroup: [] } }], FIELDS, 2), {});
+  });
+
+  test('follows the site profile field names', () => {
+    const fields = { ...FIELDS, slotsPath: 'data.slots', dateField: 'day', timeField: 'start', availableField: 'open' };
+    const payload = { data: { slots: [{ day: '2026-11-14', start: '18:15', open: true }] } };
+    assert.deepEqual(parseAvailability([payload], fields, 2), { '2026-11-14': ['6:15 PM'] });
+  });
+});
+
+const skip = browserUnavailable();
+
+const BISTRO = {
+  id: 'bistro',
+  name: 'Fake Bistro',
+  bookingPage: '/fake-bistro/experience/1001/tasting-menu',
+  partySize: 2,
+  desiredTimes: ['7:00 PM']
+};
+
+const DAY_ONE = isoDateFromNow(20);
+const DAY_TWO = isoDateFromNow(21);
+const AVAILABILITY = { [DAY_ONE]: ['5:00 PM', '7:00 PM'], [DAY_TWO]: ['7:00 PM'] };
+
+function withSite(restaurant) {
+  const context = {};
+  before(async () => {
+    context.site = createFakeTock({ restaurants: { 'fake-bistro': { availability: AVAILABILITY, ...restaurant } } });
+    context.server = await context.site.listen();
+    context.dataDir = makeDataDir();
+  });
+  after(async () => {
+    await context.server.close();
+    fs.rmSync(context.dataDir, { recursive: true, force: true });
+  });
+  return context;
+}
+
+function phases(dataDir, phase) {
+  return readJsonl(dataDir, 'events.jsonl').filter(e => e.type === 'phase' && e.phase === phase);
+}
+
+describe('network probing', { skip }, () => {
+  const ctx = withSite({});
+
+  test('reads the availability response and only clicks to book', async () => {
+    await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [BISTRO] });
+
+    const [probe] = phases(ctx.dataDir, 'probe');
+    assert.equal(probe.status, 'ok');
+    assert.deepEqual({ days: probe.days, slots: probe.slots }, { days: 2, slots: 3 });
+    assert.equal(phases(ctx.dataDir, 'day-scan').length, 0);
+
+    const [snapshot] = readJsonl(ctx.dataDir, 'analytics.jsonl');
+    assert.equal(snapshot.source, 'network');
+    assert.deepEqual(snapshot.availableDays.map(d => [d.isoDate, d.timeSlots]), [[DAY_ONE, ['5:00 PM', '7:00 PM']], [DAY_TWO, ['7:00 PM']]]);
+
+    assert.equal(ctx.site.state.bookings.length, 1);
+    assert.deepEqual({ date: ctx.site.state.bookings[0].date, time: ctx.site.state.bookings[0].time }, { date: DAY_ONE, time: '7:00 PM' });
+  });
+});
+
+describe('probe fallback', { skip }, () => {
+  describe('no availability response', () => {
+    const ctx = withSite({ calendarApi: false });
+
+    test('clicks through the days instead', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [BISTRO], env: { PROBE_WAIT_SECONDS: '1' } });
+
+      assert.equal(phases(ctx.dataDir, 'probe')[0].status, 'error');
+      assert.equal(phases(ctx.dataDir, 'day-scan').length, 2);
+      assert.equal(readJsonl(ctx.dataDir, 'analytics.jsonl')[0].source, 'dom');
+      assert.equal(ctx.site.state.bookings.length, 1);
+    });
+  });
+
+  describe('no availability response over several months', () => {
+    // 35 days apart, so always in different months
+    const ctx = withSite({ calendarApi: false, pagedCalendar: true, availability: { [DAY_ONE]: ['7:00 PM'], [isoDateFromNow(55)]: ['7:00 PM'] } });
+
+    test('only waits for it on the first month', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [{ ...BISTRO, desiredTimes: ['11:00 PM'] }] });
+
+      assert.equal(phases(ctx.dataDir, 'probe').length, 1);
+      const months = phases(ctx.dataDir, 'calendar-month');
+      assert.ok(months.length >= 2);
+      assert.ok(months.every(m => m.source === 'dom'));
+    });
+  });
+
+  describe('response that disagrees with the calendar', () => {
+    const ctx = withSite({ calendarApi: { result: { ticketGroup: [] } } });
+
+    test('trusts the open days on the page', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [BISTRO] });
+
+      assert.equal(phases(ctx.dataDir, 'day-scan').length, 2);
+      assert.equal(ctx.site.state.bookings.length, 1);
+    });
+  });
+
+  describe('PROBE_MODE=dom', () => {
+    const ctx = withSite({});
+
+    test('never waits for the response', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [BISTRO], env: { PROBE_MODE: 'dom' } });
+
+      assert.equal(phases(ctx.dataDir, 'probe').length, 0);
+      assert.equal(phases(ctx.dataDir, 'day-scan').length, 2);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+// Site profile loading and the --selftest command
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PROFILE, mergeProfile, loadSiteProfile, loginUrl, unverifiedSelector } = require('../src/site-profile');
+const { createFakeTock } = require('./fake-tock/server');
+const { browserUnavailable, makeDataDir, isoDateFromNow, runBot, readJson } = require('./helpers');
+
+describe('site profile', () => {
+  test('overrides only the entries it names', () => {
+    const profile = mergeProfile({ selectors: { timeSlot: '.slot' }, text: { notifyModal: 'Notify me' } });
+
+    assert.equal(profile.selectors.timeSlot, '.slot');
+    assert.equal(profile.selectors.calendarDay, DEFAULT_PROFILE.selectors.calendarDay);
+    assert.equal(profile.text.notifyModal, 'Notify me');
+    assert.deepEqual(profile.text.challenge, DEFAULT_PROFILE.text.challenge);
+  });
+
+  test('overrides where the availability response is read from', () => {
+    const profile = mergeProfile({ probe: { slotsPath: 'data.slots' } });
+    assert.equal(profile.probe.slotsPath, 'data.slots');
+    assert.equal(profile.probe.responsePattern, DEFAULT_PROFILE.probe.responsePattern);
+  });
+
+  test('rejects entries with the wrong shape', () => {
+    assert.throws(() => mergeProfile({ selectors: { timeSlot: ['.a', '.b'] } }), /timeSlot must be a non-empty string/);
+    assert.throws(() => mergeProfile({ selectors: 'nope' }), /"selectors" must be an object/);
+  });
+
+  test('loads an override file and lets TOCK_BASE_URL win', () => {
+    const dir = makeDataDir();
+    const file = path.join(dir, 'site-profile.json');
+    fs.writeFileSync(file, JSON.stringify({ baseUrl: 'https://example.test', paths: { login: '/signin' } }));
+
+    const profile = loadSiteProfile(file, { TOCK_BASE_URL: 'http://127.0.0.1:3100/' });
+    assert.equal(profile.baseUrl, 'http://127.0.0.1:3100');
+    assert.equal(profile.source, file);
+    assert.equal(profile.version, `${DEFAULT_PROFILE.version}+local`);
+    assert.equal(loginUrl(profile, '/r/experience/1/x?size=2'), 'http://127.0.0.1:3100/signin?continue=%2Fr%2Fexperience%2F1%2Fx%3Fsize%3D2');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('falls back to the built-in profile', () => {
+    const profile = loadSiteProfile('/nonexistent/site-profile.json', {});
+    assert.equal(profile.source, 'built-in');
+    assert.equal(profile.baseUrl, DEFAULT_PROFILE.baseUrl);
+  });
+
+  test('treats a replaced default as confirmed', () => {
+    assert.equal(unverifiedSelector(DEFAULT_PROFILE, 'checkoutSummary'), true);
+    assert.equal(unverifiedSelector(DEFAULT_PROFILE, 'signIn'), false);
+    assert.equal(unverifiedSelector(mergeProfile({ selectors: { checkoutSummary: '.summary' } }), 'checkoutSummary'), false);
+  });
+});
+
+describe('selftest', { skip: browserUnavailable() }, () => {
+  const target = {
+    id: 'bistro',
+    bookingPage: '/fake-bistro/experience/1001/tasting-menu',
+    partySize: 2,
+    desiredTimes: ['7:00 PM']
+  };
+  let site;
+  let server;
+  let dataDir;
+
+  before(async () => {
+    site = createFakeTock({ restaurants: { 'fake-bistro': { availability: { [isoDateFromNow(20)]: ['7:00 PM'] } } } });
+    server = await site.listen();
+    dataDir = makeDataDir();
+  });
+  after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('passes when every reachable selector resolves', async () => {
+    const { code } = await runBot({ baseUrl: server.url, dataDir, targets: [target], args: ['--selftest'] });
+
+    const report = readJson(dataDir, 'selftest.json');
+    assert.equal(code, 0);
+    assert.equal(report.ok, true);
+    const byName = Object.fromEntries(report.results.map(r => [r.name, r]));
+    assert.equal(byName.signIn.ok, true);
+    assert.equal(byName.availableDay.count, 1);
+    assert.equal(byName.timeSlot.ok, true);
+    assert.equal(byName.purchaseButton.ok, null);
+    // Unreachable and never confirmed on Tock: reported, but not a failure
+    assert.equal(byName.checkoutSummary.unverified, true);
+    assert.ok(report.unconfirmed.includes('checkoutSummary'));
+    assert.ok(!report.unconfirmed.includes('timeSlot'));
+    assert.equal(site.state.bookings.length, 0);
+  });
+
+  test('fails and names the selector that broke', async () => {
+    const profileFile = path.join(dataDir, 'broken-profile.json');
+    fs.writeFileSync(profileFile, JSON.stringify({ selectors: { timeSlot: '[data-testid="slot-v2"]' } }));
+
+    const { code } = await runBot({
+      baseUrl: server.url, dataDir, targets: [target], args: ['--selftest'], env: { SITE_PROFILE_FILE: profileFile }
+    });
+
+    const report = readJson(dataDir, 'selftest.json');
+    assert.equal(code, 1);
+    assert.deepEqual(report.results.filter(r => r.ok === false).map(r => r.name), ['timeSlot']);
+  });
+});
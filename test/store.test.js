@@ -0,0 +1,172 @@
+// JSONL store: time-range queries, compaction into rollups and the legacy file migration
+const { test, describe, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-store-'));
+process.env.DATA_DIR = dataDir;
+process.env.ANALYTICS_RETENTION_DAYS = '30';
+
+const store = require('../src/store');
+
+const NOW = new Date('2026-10-19T17:00:00Z');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  for (const file of fs.readdirSync(dataDir)) {
+    fs.rmSync(path.join(dataDir, file), { recursive: true, force: true });
+  }
+});
+
+function daysAgo(days) {
+  return new Date(NOW.getTime() - days * 86400000).toISOString();
+}
+
+function check(days, extra = {}) {
+  return { timestamp: daysAgo(days), target: 'bistro', totalAvailableDays: 0, totalTimeSlots: 0, ...extra };
+}
+
+describe('query', () => {
+  test('keeps records in range even when they were appended out of order', async () => {
+    // Runs are keyed by startedAt but appended when they finish, so a long run lands after a short one
+    store.append('runs', { startedAt: daysAgo(1), outcome: 'no-match' });
+    store.append('runs', { startedAt: daysAgo(3), outcome: 'booked' });
+    store.append('runs', { startedAt: daysAgo(2), outcome: 'no-match' });
+
+    const { total, items } = await store.query('runs', { from: daysAgo(1.5), to: daysAgo(0.5) });
+    assert.equal(total, 1);
+    assert.equal(items[0].startedAt, daysAgo(1));
+    assert.equal((await store.query('runs', { to: daysAgo(1.5) })).total, 2);
+  });
+
+  test('filters, pages and orders newest first', async () => {
+    [5, 4, 3, 2, 1].forEach(days => store.append('analytics', check(days, { totalAvailableDays: days % 2 })));
+    fs.appendFileSync(store.collectionFile('analytics'), '{"timestamp": "torn\n');
+
+    const odd = await store.query('analytics', { filter: r => r.totalAvailableDays > 0, order: 'desc', limit: 2 });
+    assert.equal(odd.total, 3);
+    assert.deepEqual(odd.items.map(r => r.timestamp), [daysAgo(1), daysAgo(3)]);
+    assert.deepEqual((await store.query('analytics', { offset: 1, limit: 2 })).items.map(r => r.timestamp), [daysAgo(4), daysAgo(3)]);
+  });
+});
+
+describe('compact', () => {
+  test('rolls expired records up by day and target', () => {
+    store.append('analytics', check(40, { totalAvailableDays: 1, totalTimeSlots: 2, matchedSlot: '7:00 PM' }));
+    store.append('analytics', check(40, { isPeakWindow: true }));
+    store.append('analytics', check(1));
+
+    assert.deepEqual(store.compact('analytics', NOW), { kept: 1, expired: 2 });
+    assert.deepEqual(store.readAll('analytics'), [check(1)]);
+    assert.deepEqual(store.readRollups('analytics'), [{
+      date: daysAgo(40).slice(0, 10),
+      target: 'bistro',
+      checks: 2,
+      checksWithAvailability: 1,
+      peakChecks: 1,
+      cloudflareBlocked: 0,
+      totalTimeSlots: 2,
+      matches: 1
+    }]);
+    assert.deepEqual(store.compact('analytics', NOW), { kept: 1, expired: 0 });
+  });
+
+  test('keeps records appended while it runs', t => {
+    store.append('analytics', check(40));
+    store.append('analytics', check(1));
+
+    // Another process appends right after the file is moved aside, and again before it is replaced
+    const file = store.collectionFile('analytics');
+    const { renameSync, linkSync } = fs;
+    t.mock.method(fs, 'renameSync', (from, to) => {
+      renameSync(from, to);
+      if (from === file && to.endsWith('.compacting')) store.append('analytics', check(0.5));
+    });
+    let raced = false;
+    t.mock.method(fs, 'linkSync', (from, to) => {
+      if (!raced) {
+        raced = true;
+        store.append('analytics', check(0.25));
+      }
+      linkSync(from, to);
+    });
+
+    store.compact('analytics', NOW);
+    assert.deepEqual(store.readAll('analytics'), [check(1), check(0.5), check(0.25)]);
+    assert.deepEqual(fs.readdirSync(dataDir).filter(name => name.startsWith('analytics.jsonl')), ['analytics.jsonl']);
+  });
+
+  test('never compacts the bookings ledger', () => {
+    store.append('bookings', { timestamp: daysAgo(900), confirmationId: 'OLD' });
+    assert.deepEqual(store.compact('bookings', NOW), { kept: 0, expired: 0 });
+    assert.equal(store.readAll('bookings').length, 1);
+  });
+});
+
+describe('legacy migration', () => {
+  test('imports analytics.json and cloudflare-blocks.json ahead of newer records', () => {
+    store.append('analytics', check(1));
+    fs.writeFileSync(path.join(dataDir, 'analytics.json'), JSON.stringify([check(3), check(2)]));
+    fs.writeFileSync(path.join(dataDir, 'cloudflare-blocks.json'), JSON.stringify({
+      total: 5,
+      history: [{ timestamp: daysAgo(2), blocked: true }, { timestamp: daysAgo(1), blocked: false }]
+    }));
+
+    store.migrateLegacy();
+    assert.deepEqual(store.readAll('analytics'), [check(3), check(2), check(1)]);
+    assert.deepEqual(store.readAll('cloudflare'), [{ timestamp: daysAgo(2), blocked: true }, { timestamp: daysAgo(1), blocked: false }]);
+    // Blocks older than the last 100 checks survive as a rollup
+    assert.deepEqual(store.readRollups('cloudflare'), [{ date: daysAgo(2).slice(0, 10), checks: 4, blocked: 4 }]);
+    assert.ok(fs.existsSync(path.join(dataDir, 'analytics.json.migrated')));
+    assert.ok(fs.existsSync(path.join(dataDir, 'cloudflare-blocks.json.migrated')));
+  });
+
+  test('keeps records appended while it runs', t => {
+    store.append('analytics', check(1));
+    fs.writeFileSync(path.join(dataDir, 'analytics.json'), JSON.stringify([check(3)]));
+
+    // Another process appends right after the collection is moved aside, and again before it is replaced
+    const file = store.collectionFile('analytics');
+    const { renameSync, linkSync } = fs;
+    t.mock.method(fs, 'renameSync', (from, to) => {
+      renameSync(from, to);
+      if (from === file && to.endsWith('.migrating')) store.append('analytics', check(0.5));
+    });
+    let raced = false;
+    t.mock.method(fs, 'linkSync', (from, to) => {
+      if (!raced) {
+        raced = true;
+        store.append('analytics', check(0.25));
+      }
+      linkSync(from, to);
+    });
+
+    store.migrateLegacy();
+    assert.deepEqual(store.readAll('analytics'), [check(3), check(1), check(0.5), check(0.25)]);
+    assert.deepEqual(fs.readdirSync(dataDir).filter(name => name.startsWith('analytics.jsonl')), ['analytics.jsonl']);
+  });
+
+  test('sets a corrupt file aside instead of throwing, and still migrates the other', () => {
+    fs.writeFileSync(path.join(dataDir, 'analytics.json'), '[{"timestamp": "2026-');
+    fs.writeFileSync(path.join(dataDir, 'cloudflare-blocks.json'), JSON.stringify({ total: 1, history: [{ timestamp: daysAgo(1), blocked: true }] }));
+
+    assert.doesNotThrow(() => store.migrateLegacy());
+    const files = fs.readdirSync(dataDir);
+    assert.ok(files.includes('analytics.json.corrupt'));
+    assert.ok(!files.some(name => name.endsWith('.migrating')));
+    assert.deepEqual(store.readAll('analytics'), []);
+    assert.equal(store.readAll('cloudflare').length, 1);
+
+    // Nothing left to retry on the next start
+    assert.doesNotThrow(() => store.migrateLegacy());
+  });
+
+  test('rejects JSON that is not a list of checks', () => {
+    fs.writeFileSync(path.join(dataDir, 'analytics.json'), '{"checks": []}');
+    store.migrateLegacy();
+    assert.ok(fs.existsSync(path.join(dataDir, 'analytics.json.corrupt')));
+  });
+});
@@ -0,0 +1,173 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// vault.js reads DATA_DIR and the passphrase when it loads
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-vault-'));
+process.env.DATA_DIR = dataDir;
+process.env.VAULT_PASSPHRASE = 'unit-test-passphrase';
+process.env.TOCK_EMAIL = 'env-diner@example.com';
+process.env.TOCK_PASSWORD = 'env-password-123';
+
+const vault = require('../src/vault');
+const { redact, errorMessage } = require('../src/redact');
+const { createFakeTock, ACCOUNT } = require('./fake-tock/server');
+const { browserUnavailable, makeDataDir, runBot, readJson, lastRun } = require('./helpers');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const COOKIES = [{ name: 'tock_session', value: 'abc123', domain: 'localhost', path: '/', expires: -1 }];
+
+describe('vault', () => {
+  test('round-trips values and rejects the wrong key', () => {
+    const key = crypto.randomBytes(32);
+    const box = vault.encrypt({ secret: 'shh' }, key);
+    assert.deepEqual(vault.decrypt(box, key), { secret: 'shh' });
+    assert.throws(() => vault.decrypt(box, crypto.randomBytes(32)), /wrong VAULT_PASSPHRASE/);
+  });
+
+  test('stores accounts encrypted and merges in the env account', () => {
+    vault.writeVaultAccounts({ vip: { email: 'vip@example.com', password: 'vip-password-456', cvv: '999' } });
+
+    const raw = fs.readFileSync(vault.VAULT_FILE, 'utf-8');
+    assert.ok(!raw.includes('vip-password-456'));
+    assert.ok(!raw.includes('vip@example.com'));
+
+    assert.equal(vault.getAccount('vip').password, 'vip-password-456');
+    assert.equal(vault.getAccount('vip').source, 'vault');
+    // No account named on the target: the env account
+    assert.equal(vault.getAccount().email, 'env-diner@example.com');
+    assert.throws(() => vault.getAccount('nobody'), /Unknown Tock account "nobody"/);
+  });
+
+  test('saves sessions encrypted and loads them back', () => {
+    vault.saveSession('vip', COOKIES);
+
+    const record = readJson(dataDir, 'sessions/vip.json');
+    assert.equal(record.encrypted, true);
+    assert.ok(!JSON.stringify(record).includes('abc123'));
+    assert.deepEqual(vault.loadSession('vip'), COOKIES);
+  });
+
+  test('drops a session past its expiry but keeps its lifetime', () => {
+    const savedAt = new Date('2026-10-01T12:00:00Z');
+    vault.saveSession('vip', COOKIES, savedAt);
+    const { expiresAt } = readJson(dataDir, 'sessions/vip.json');
+    assert.equal(expiresAt, '2026-10-08T12:00:00.000Z');
+
+    assert.equal(vault.loadSession('vip', new Date('2026-10-09T12:00:00Z')), null);
+    const record = readJson(dataDir, 'sessions/vip.json');
+    assert.equal(record.endReason, 'expired');
+    assert.equal(record.lifetimeHours, 192);
+    assert.equal(record.data, undefined);
+    assert.equal(vault.listSessions().find(s => s.account === 'vip').active, false);
+  });
+
+  test('skips session files it cannot read', () => {
+    vault.saveSession('vip', COOKIES);
+    fs.writeFileSync(path.join(dataDir, 'sessions', 'torn.json'), '{"account": "torn", "sav');
+    assert.deepEqual(vault.listSessions().map(s => s.account), ['vip']);
+    fs.rmSync(path.join(dataDir, 'sessions', 'torn.json'));
+  });
+
+  test('warns loudly when there is no key to encrypt a session with', () => {
+    const dir = makeDataDir();
+    try {
+      const script = `const v = require('./src/vault'); v.saveSession('a', ${JSON.stringify(COOKIES)}); v.saveSession('b', [])`;
+      const { stdout } = spawnSync(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '..'), env: { PATH: process.env.PATH, DATA_DIR: dir }, encoding: 'utf-8'
+      });
+      assert.equal(stdout.match(/WARNING: saving the a login session UNENCRYPTED/g).length, 1);
+      assert.equal(readJson(dir, 'sessions/a.json').encrypted, false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('ends a session early when a cookie it needs expires first', () => {
+    const now = new Date('2026-10-01T12:00:00Z');
+    vault.saveSession('vip', [{ ...COOKIES[0], expires: now.getTime() / 1000 + 3600 }], now);
+    assert.equal(readJson(dataDir, 'sessions/vip.json').expiresAt, '2026-10-01T13:00:00.000Z');
+  });
+
+  test('moves a legacy tock-cookies.json into the default session', () => {
+    fs.writeFileSync(path.join(dataDir, 'tock-cookies.json'), JSON.stringify(COOKIES));
+
+    assert.deepEqual(vault.loadSession('default'), COOKIES);
+    assert.ok(!fs.existsSync(path.join(dataDir, 'tock-cookies.json')));
+    assert.equal(readJson(dataDir, 'sessions/default.json').encrypted, true);
+  });
+});
+
+describe('redact', () => {
+  test('scrubs account credentials once they are loaded', () => {
+    vault.loadAccounts();
+    const message = redact('Login as vip@example.com with vip-password-456 failed');
+    assert.equal(message, 'Login as [redacted] with [redacted] failed');
+  });
+
+  test('scrubs password/CVV fields, cookies and card numbers', () => {
+    assert.equal(redact('POST /checkout cvv=123&party=2'), 'POST /checkout cvv=[redacted]&party=2');
+    assert.equal(redact('{"password": "hunter22"}'), '{"password": "[redacted]"}');
+    assert.equal(redact('Cookie: tock_session=abc123; theme=dark'), 'Cookie: tock_session=[redacted]; theme=dark');
+    assert.equal(redact('card 4242 4242 4242 4242 declined'), 'card [card] declined');
+  });
+
+  test('leaves ordinary text alone', () => {
+    const message = 'Booked Fake Bistro at 7:00 PM ($123.45), confirmation FAKE-1234, run 1760000000000';
+    assert.equal(redact(message), message);
+  });
+
+  test('errorMessage redacts error text', () => {
+    assert.equal(errorMessage(new Error('fill failed for env-password-123')), 'fill failed for [redacted]');
+  });
+});
+
+const skip = browserUnavailable();
+
+const BISTRO = {
+  id: 'bistro',
+  name: 'Fake Bistro',
+  bookingPage: '/fake-bistro/experience/1001/tasting-menu',
+  partySize: 2,
+  desiredTimes: ['7:00 PM'],
+  account: 'diner'
+};
+
+describe('vault accounts in a run', { skip }, () => {
+  let site;
+  let server;
+  let botDir;
+
+  before(async () => {
+    site = createFakeTock({ restaurants: { 'fake-bistro': { availability: {} } } });
+    server = await site.listen();
+    botDir = makeDataDir();
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(botDir, { recursive: true, force: true });
+  });
+
+  test('logs in with an account that only exists in the vault', async () => {
+    const env = { PATH: process.env.PATH, DATA_DIR: botDir, VAULT_PASSPHRASE: 'test-passphrase' };
+    const imported = spawnSync(process.execPath, [path.join(__dirname, '..', 'src', 'vault.js'), 'import-env', 'diner'], {
+      cwd: botDir, env: { ...env, TOCK_EMAIL: ACCOUNT.email, TOCK_PASSWORD: ACCOUNT.password, TOCK_CVV: ACCOUNT.cvv }
+    });
+    assert.equal(imported.status, 0, String(imported.stderr));
+
+    const { output } = await runBot({
+      baseUrl: server.url, dataDir: botDir, targets: [BISTRO], env: { TOCK_EMAIL: '', TOCK_PASSWORD: '', TOCK_CVV: '' }
+    });
+
+    assert.equal(site.state.logins, 1);
+    assert.equal(readJson(botDir, 'sessions/diner.json').encrypted, true);
+    assert.equal(lastRun(botDir).outcome, 'no-availability');
+    assert.ok(!output.includes(ACCOUNT.password));
+  });
+});
@@ -0,0 +1,178 @@
+// Tock "Set Notify" waitlists: which sold-out days to join, the joined list, notifications,
+// and runs that enroll against the fake site
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-waitlists-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOCK_DIR = dataDir;
+process.env.WATCHLIST_FILE = path.join(dataDir, 'watchlist.json');
+process.env.RELEASE_TIMES = '5:00 PM';
+process.env.RELEASE_TIMEZONE = 'America/Los_Angeles';
+delete process.env.WAITLIST_ENROLL;
+
+const waitlists = require('../src/waitlists');
+const { nextCheckDelay } = require('../src/scheduler');
+const { addTarget } = require('../src/watchlist');
+const { createFakeTock } = require('./fake-tock/server');
+const {
+  browserUnavailable, makeDataDir, isoDateFromNow, runBot, readJsonl
+} = require('./helpers');
+
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  fs.rmSync(waitlists.WAITLIST_FILE, { force: true });
+});
+
+function soldOut(...dates) {
+  return dates.map(date => ({ date, dateLabel: date, month: date.slice(0, 7) }));
+}
+
+describe('enrollment', () => {
+  test('is opt-in, per target or with WAITLIST_ENROLL', () => {
+    assert.equal(waitlists.waitlistEnabled({}), false);
+    assert.equal(waitlists.waitlistEnabled({ waitlist: true }), true);
+    assert.throws(() => addTarget({ bookingPage: '/bistro/experience/1/dinner', desiredTimes: ['7:00 PM'], waitlist: 'yes' }), /waitlist must be true or false/);
+  });
+
+  test('picks sold-out days the target would take, earliest first', () => {
+    const target = { id: 'bistro', weekdays: 'fri,sat', horizon: '30d' };
+    // Sat, Fri, a Wednesday, a day already past and one beyond the horizon
+    const days = soldOut('2026-10-31', '2026-10-23', '2026-10-21', '2026-10-17', '2026-11-27');
+    assert.deepEqual(waitlists.waitlistCandidates(target, days, NOW).map(day => day.date), ['2026-10-23', '2026-10-31']);
+  });
+
+  test('never joins the same date twice', () => {
+    const target = { id: 'bistro', horizon: '30d' };
+    waitlists.recordEnrollment('bistro', '2026-10-23', { times: ['7:00 PM'], account: 'default' }, NOW);
+    assert.deepEqual(waitlists.waitlistCandidates(target, soldOut('2026-10-23', '2026-10-24'), NOW).map(day => day.date), ['2026-10-24']);
+    assert.deepEqual(waitlists.waitlistCandidates({ ...target, id: 'counter' }, soldOut('2026-10-23'), NOW).map(day => day.date), ['2026-10-23']);
+  });
+
+  test('forgets dates once they have passed', () => {
+    waitlists.recordEnrollment('bistro', '2026-10-20', {}, NOW);
+    const later = new Date(2026, 9, 22, 12, 0);
+    assert.deepEqual(Object.keys(waitlists.targetWaitlists('bistro', later)), []);
+    waitlists.recordEnrollment('bistro', '2026-10-30', {}, later);
+    assert.deepEqual(Object.keys(waitlists.readWaitlists().targets.bistro), ['2026-10-30']);
+  });
+
+  test('keeps a date until it has passed at the restaurant', () => {
+    // 8 PM on the 19th in Los Angeles is already the 20th in UTC
+    const evening = new Date('2026-10-20T03:00:00Z');
+    waitlists.recordEnrollment('bistro', '2026-10-19', {}, new Date('2026-10-19T17:00:00Z'));
+    assert.deepEqual(Object.keys(waitlists.targetWaitlists('bistro', evening)), ['2026-10-19']);
+    assert.deepEqual(waitlists.waitlistCandidates({ id: 'counter', horizon: '30d' }, soldOut('2026-10-19'), evening).map(d => d.date), ['2026-10-19']);
+    assert.deepEqual(Object.keys(waitlists.targetWaitlists('bistro', new Date('2026-10-20T08:00:00Z'))), []);
+  });
+});
+
+describe('notifications', () => {
+  test('mark the matching waitlists', () => {
+    waitlists.recordEnrollment('bistro', '2026-10-23', {}, NOW);
+    waitlists.recordEnrollment('bistro', '2026-10-24', {}, NOW);
+    waitlists.recordEnrollment('counter', '2026-10-23', {}, NOW);
+
+    assert.deepEqual(waitlists.recordNotification({ date: '2026-10-23' }, NOW), [
+      { target: 'bistro', date: '2026-10-23' },
+      { target: 'counter', date: '2026-10-23' }
+    ]);
+    assert.deepEqual(waitlists.recordNotification({ target: 'bistro' }, NOW).map(n => n.date), ['2026-10-23', '2026-10-24']);
+    assert.deepEqual(waitlists.recordNotification({ target: 'nobody' }, NOW), []);
+    assert.throws(() => waitlists.recordNotification({ date: 'Oct 23' }, NOW), RangeError);
+  });
+
+  test('speed up polling for a while', () => {
+    const now = new Date('2026-10-19T12:00:00Z'); // 5 AM in Los Angeles, far from a release
+    assert.equal(nextCheckDelay(now), 900000);
+
+    waitlists.recordEnrollment('bistro', '2026-10-23', {}, now);
+    waitlists.recordNotification({ target: 'bistro' }, now);
+    assert.deepEqual(waitlists.notifiedTargets(new Date(now.getTime() + 10 * 60000)), ['bistro']);
+    assert.equal(nextCheckDelay(new Date(now.getTime() + 10 * 60000)), 15000);
+
+    assert.deepEqual(waitlists.notifiedTargets(new Date(now.getTime() + 31 * 60000)), []);
+    assert.equal(nextCheckDelay(new Date(now.getTime() + 31 * 60000)), 900000);
+  });
+});
+
+const skip = browserUnavailable();
+
+const OPEN = isoDateFromNow(12);
+const SOLD_OUT = isoDateFromNow(13);
+const LATER_SOLD_OUT = isoDateFromNow(14);
+
+const BISTRO = {
+  id: 'bistro',
+  name: 'Fake Bistro',
+  bookingPage: '/fake-bistro/experience/1001/tasting-menu',
+  partySize: 2,
+  desiredTimes: ['7:00 PM', '8:00 PM'],
+  waitlist: true
+};
+
+function withSite(restaurant) {
+  const context = {};
+  before(async () => {
+    context.site = createFakeTock({ restaurants: { 'fake-bistro': restaurant } });
+    context.server = await context.site.listen();
+    context.dataDir = makeDataDir();
+  });
+  after(async () => {
+    await context.server.close();
+    fs.rmSync(context.dataDir, { recursive: true, force: true });
+  });
+  return context;
+}
+
+function readWaitlists(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'waitlists.json'), 'utf-8')).targets;
+}
+
+describe('waitlist runs', { skip }, () => {
+  describe('sold-out days', () => {
+    const ctx = withSite({ availability: { [OPEN]: ['5:00 PM'] }, soldOut: [SOLD_OUT, LATER_SOLD_OUT] });
+
+    test('joins the notify list for the times the target wants, once', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [BISTRO] });
+
+      assert.equal(ctx.site.state.bookings.length, 0);
+      assert.deepEqual(ctx.site.state.notifications.map(n => [n.date, n.times]), [
+        [SOLD_OUT, ['7:00 PM', '8:00 PM']],
+        [LATER_SOLD_OUT, ['7:00 PM', '8:00 PM']]
+      ]);
+      assert.deepEqual(Object.keys(readWaitlists(ctx.dataDir).bistro), [SOLD_OUT, LATER_SOLD_OUT]);
+      assert.equal(readJsonl(ctx.dataDir, 'events.jsonl').filter(e => e.phase === 'waitlist').length, 2);
+
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [BISTRO] });
+      assert.equal(ctx.site.state.notifications.length, 2);
+    });
+  });
+
+  describe('opted out', () => {
+    const ctx = withSite({ soldOut: [SOLD_OUT] });
+
+    test('leaves sold-out days alone', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [{ ...BISTRO, waitlist: false }], env: { WAITLIST_ENROLL: 'true' } });
+      assert.equal(ctx.site.state.notifications.length, 0);
+    });
+  });
+
+  describe('a slot taken at checkout', () => {
+    const ctx = withSite({ availability: { [OPEN]: ['7:00 PM'] }, taken: [`${OPEN} 7:00 PM`] });
+
+    test('asks to be notified if it frees up', async () => {
+      await runBot({ baseUrl: ctx.server.url, dataDir: ctx.dataDir, targets: [BISTRO] });
+
+      assert.equal(ctx.site.state.bookings.length, 0);
+      assert.deepEqual(ctx.site.state.notifications.map(n => [n.date, n.times]), [[OPEN, ['7:00 PM']]]);
+      assert.equal(readWaitlists(ctx.dataDir).bistro[OPEN].source, 'taken');
+    });
+  });
+});
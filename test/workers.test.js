@@ -0,0 +1,96 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Accounts and lock files live in a temp dir
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tockstalk-workers-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOCK_DIR = dataDir;
+process.env.TOCK_EMAIL = 'diner@example.com';
+process.env.TOCK_PASSWORD = 'correct-horse';
+
+const {
+  createWorkers, accountFor, createTargetQueue, splitDays, slotKey, createClaims, serialize
+} = require('../src/workers');
+const { acquireBookingGuard, releaseBookingGuard, bookingGuardFile } = require('../src/lock');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function worker(fields = {}) {
+  return { index: 0, account: null, activeAccount: null, ...fields };
+}
+
+describe('worker pool', () => {
+  test('hands out accounts round-robin', async () => {
+    const workers = await createWorkers(async index => ({ page: `page-${index}` }), 3, ['default', 'partner']);
+    assert.deepEqual(workers.map(w => [w.account, w.page]), [['default', 'page-0'], ['partner', 'page-1'], ['default', 'page-2']]);
+  });
+
+  test('only gives a worker targets for its account', () => {
+    const pinned = worker({ account: 'default' });
+    assert.equal(accountFor(pinned, { id: 'a' }), 'default');
+    assert.equal(accountFor(worker(), { id: 'a' }), 'default');
+    assert.equal(accountFor(pinned, { id: 'b', account: 'partner' }), null);
+  });
+
+  test('queue prefers targets on the account a worker is logged in as', () => {
+    const queue = createTargetQueue([{ id: 'first' }, { id: 'second' }]);
+    const w = worker({ activeAccount: 'default' });
+    assert.equal(queue.next(w).id, 'first');
+    assert.equal(queue.next(worker({ index: 1 })).id, 'second');
+    assert.equal(queue.next(w), null);
+  });
+
+  test('queue leaves targets no worker can take', () => {
+    const queue = createTargetQueue([{ id: 'theirs', account: 'default' }]);
+    assert.equal(queue.next(worker({ account: 'partner' })), null);
+    assert.deepEqual(queue.remaining().map(t => t.id), ['theirs']);
+  });
+
+  test('splits days round-robin', () => {
+    assert.deepEqual(splitDays(['a', 'b', 'c', 'd', 'e'], 2), [['a', 'c', 'e'], ['b', 'd']]);
+    assert.deepEqual(splitDays(['a'], 3), [['a']]);
+    assert.deepEqual(splitDays([], 3), [[]]);
+  });
+
+  test('a slot can only be claimed by one worker', () => {
+    const claims = createClaims();
+    const key = slotKey({ bookingPage: '/bistro' }, { date: '2026-11-01', time: '7:00 PM' });
+    assert.equal(claims.claim(key, 0), true);
+    assert.equal(claims.claim(key, 1), false);
+    assert.equal(claims.claim(key, 0), true);
+  });
+
+  test('serialize runs calls with the same key one at a time', async () => {
+    const order = [];
+    const slow = serialize('login:default', async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      order.push('first');
+    });
+    const fast = serialize('login:default', async () => order.push('second'));
+    await Promise.all([slow, fast]);
+    assert.deepEqual(order, ['first', 'second']);
+  });
+});
+
+describe('booking guard', () => {
+  test('is held until released', () => {
+    assert.equal(acquireBookingGuard('/bistro'), true);
+    assert.equal(acquireBookingGuard('/bistro'), false);
+    assert.equal(acquireBookingGuard('/counter'), true);
+
+    releaseBookingGuard('/bistro');
+    assert.equal(acquireBookingGuard('/bistro'), true);
+    releaseBookingGuard('/bistro');
+    releaseBookingGuard('/counter');
+  });
+
+  test('takes over a guard whose process is gone', () => {
+    fs.writeFileSync(bookingGuardFile('/bistro'), '999999999');
+    assert.equal(acquireBookingGuard('/bistro'), true);
+    releaseBookingGuard('/bistro');
+    assert.ok(!fs.existsSync(bookingGuardFile('/bistro')));
+  });
+});